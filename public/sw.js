@@ -2,7 +2,7 @@
 // Service Worker for ORB - Handles both local and push notifications
 // Version: 2.0 (Improved background notification handling)
 
-const CACHE_VERSION = 'orb-v2';
+const CACHE_VERSION = 'orb-v3';
 
 // Install event - cache important assets if needed
 self.addEventListener('install', (event) => {
@@ -72,7 +72,7 @@ self.addEventListener('push', (event) => {
     vibrate: data.severity === 'critical' ? [300, 100, 300, 100, 300] : [200, 100, 200], // Vibration pattern
     timestamp: data.timestamp ? data.timestamp * 1000 : Date.now(),
     data: {
-      url: data.token_address ? `/?token=${data.token_address}` : '/',
+      url: data.token_address ? `/#/token/${data.token_address}` : '/', // HashRouter token route
       token_address: data.token_address,
       severity: data.severity,
       timestamp: data.timestamp
@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react';
-import { Key, X, Info, RefreshCw } from 'lucide-react';
-
-const BACKEND_URL = 'https://orbonsolana.up.railway.app';
+import { Key, X, Info, RefreshCw, Settings, AlertCircle, Database } from 'lucide-react';
+import { getBackendUrl, getQueryOverrides, trustBackendUrl, CONFIG_CHANGED_EVENT } from './config';
+import { onQuotaExceeded, onQuotaRefresh, setQuotaStatus } from './quota';
+import { SettingsPanel } from './components/SettingsPanel';
+import { CacheInspector } from './components/CacheInspector';
 
 /**
  * AccessControl Component
@@ -16,6 +18,12 @@ export function AccessControl({ children }) {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState(null); // { limit, used, remaining, resets_at }
+  const [showSettings, setShowSettings] = useState(false);
+  const [showCache, setShowCache] = useState(false);
+  const [quotaExceeded, setQuotaExceeded] = useState(false);
+  const [now, setNow] = useState(Date.now() / 1000);
+  // ?backend= host from the link that the user hasn't confirmed yet
+  const [pendingBackend, setPendingBackend] = useState(() => getQueryOverrides().untrustedBackendUrl || null);
 
   /**
    * Load saved access code from localStorage on mount
@@ -32,12 +40,74 @@ export function AccessControl({ children }) {
     }
   }, []);
 
+  /**
+   * Re-fetch status when endpoints change in the settings screen
+   */
+  useEffect(() => {
+    const handleConfigChange = () => {
+      fetchAccessStatus(localStorage.getItem('orb_access_code') || 'anonymous');
+    };
+    window.addEventListener(CONFIG_CHANGED_EVENT, handleConfigChange);
+    return () => window.removeEventListener(CONFIG_CHANGED_EVENT, handleConfigChange);
+  }, []);
+
+  /**
+   * Listen for HTTP 429s reported by api.js and mark the quota as used up
+   */
+  useEffect(() => {
+    return onQuotaExceeded((quota) => {
+      setStatus(prev => ({
+        ...prev,
+        limit: quota.limit ?? prev?.limit,
+        used: quota.used ?? quota.limit ?? prev?.limit,
+        remaining: 0,
+        resets_at: quota.resets_at,
+        isFallback: false
+      }));
+      setNow(Date.now() / 1000);
+      setQuotaExceeded(true);
+    });
+  }, []);
+
+  /**
+   * Share the latest status with scans, and re-fetch when a scan asks for it.
+   * The placeholder shown when the backend can't be reached isn't shared -
+   * scans shouldn't budget against made-up numbers.
+   */
+  useEffect(() => {
+    setQuotaStatus(status?.isFallback ? null : status);
+  }, [status]);
+
+  useEffect(() => {
+    return onQuotaRefresh(() => {
+      fetchAccessStatus(localStorage.getItem('orb_access_code') || 'anonymous');
+    });
+  }, []);
+
+  /**
+   * Tick the reset countdown while the banner is up; refresh status once it resets
+   */
+  useEffect(() => {
+    if (!quotaExceeded) return;
+
+    const interval = setInterval(() => {
+      const current = Date.now() / 1000;
+      setNow(current);
+      if (status?.resets_at && current >= status.resets_at) {
+        setQuotaExceeded(false);
+        fetchAccessStatus(accessCode);
+      }
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [quotaExceeded, status?.resets_at, accessCode]);
+
   /**
    * Fetch access code status from backend
    */
   const fetchAccessStatus = async (code) => {
     try {
-      const response = await fetch(`${BACKEND_URL}/api/access/status`, {
+      const response = await fetch(`${getBackendUrl()}/api/access/status`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ access_code: code })
@@ -61,7 +131,8 @@ export function AccessControl({ children }) {
           used: 0,
           remaining: 10,
           resets_at: Date.now() / 1000 + 86400,
-          masked_code: '***'
+          masked_code: '***',
+          isFallback: true
         });
       }
     } catch (error) {
@@ -72,7 +143,8 @@ export function AccessControl({ children }) {
         used: 0,
         remaining: 10,
         resets_at: Date.now() / 1000 + 86400,
-        masked_code: '***'
+        masked_code: '***',
+        isFallback: true
       });
     }
   };
@@ -94,7 +166,7 @@ export function AccessControl({ children }) {
 
     try {
       // Validate the code with the backend
-      const response = await fetch(`${BACKEND_URL}/api/access/status`, {
+      const response = await fetch(`${getBackendUrl()}/api/access/status`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ access_code: code })
@@ -157,6 +229,17 @@ export function AccessControl({ children }) {
     return date.toLocaleString();
   };
 
+  /**
+   * Format seconds remaining until reset as HH:MM:SS
+   */
+  const formatCountdown = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds));
+    const hrs = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return [hrs, mins, secs].map(n => n.toString().padStart(2, '0')).join(':');
+  };
+
   /**
    * Get color for remaining analyses
    */
@@ -204,6 +287,20 @@ export function AccessControl({ children }) {
           >
             <RefreshCw className="w-3 h-3" />
           </button>
+          <button
+            onClick={() => setShowSettings(true)}
+            className="text-xs text-cyan-400 hover:text-cyan-300 transition px-2 py-1 border border-cyan-400/30 rounded flex items-center gap-1"
+            title="Settings"
+          >
+            <Settings className="w-3 h-3" />
+          </button>
+          <button
+            onClick={() => setShowCache(true)}
+            className="text-xs text-yellow-400 hover:text-yellow-300 transition px-2 py-1 border border-yellow-400/30 rounded flex items-center gap-1"
+            title="Analysis cache"
+          >
+            <Database className="w-3 h-3" />
+          </button>
           <button
             onClick={() => setShowModal(true)}
             className="text-xs text-green-400 hover:text-green-300 transition px-3 py-1 border border-green-400/30 rounded flex items-center gap-1"
@@ -214,9 +311,73 @@ export function AccessControl({ children }) {
         </div>
       </div>
 
+      {/* Unconfirmed ?backend= link - not used until confirmed, since the access code is sent there */}
+      {pendingBackend && (
+        <div className="bg-yellow-400/10 border-b border-yellow-400/50 px-4 py-2 flex justify-between items-center gap-4">
+          <div className="flex items-center gap-2 text-xs text-yellow-400">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <span>
+              This link asks to use the backend <strong className="font-mono break-all">{pendingBackend}</strong>.
+              Your access code will be sent to it. Only continue if you trust this host.
+            </span>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => {
+                trustBackendUrl(pendingBackend);
+                setPendingBackend(null);
+              }}
+              className="text-xs text-yellow-400 hover:text-yellow-300 transition px-3 py-1 border border-yellow-400/50 rounded whitespace-nowrap"
+            >
+              USE THIS BACKEND
+            </button>
+            <button
+              onClick={() => setPendingBackend(null)}
+              className="text-yellow-400/60 hover:text-yellow-400 transition"
+              title="Ignore"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Quota exceeded banner */}
+      {quotaExceeded && status && (
+        <div className="bg-red-400/10 border-b border-red-400/50 px-4 py-2 flex justify-between items-center gap-4">
+          <div className="flex items-center gap-2 text-xs text-red-400">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <span>
+              <strong>Daily analysis limit reached</strong> ({status.used}/{status.limit}). Scans are paused until the limit resets.
+            </span>
+          </div>
+          <div className="flex items-center gap-3">
+            <div className="text-xs">
+              <span className="text-red-400/60">Resets in</span>{' '}
+              <span className="text-red-400 font-bold font-mono">
+                {formatCountdown(status.resets_at - now)}
+              </span>
+            </div>
+            <button
+              onClick={() => setQuotaExceeded(false)}
+              className="text-red-400/60 hover:text-red-400 transition"
+              title="Dismiss"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Main app content */}
       {children}
 
+      {/* Endpoint Settings Modal */}
+      {showSettings && <SettingsPanel onClose={() => setShowSettings(false)} />}
+
+      {/* Cache Inspector Modal */}
+      {showCache && <CacheInspector onClose={() => setShowCache(false)} />}
+
       {/* Access Code Modal */}
       {showModal && (
         <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center p-4 z-50">
@@ -7,12 +7,12 @@ import { useState, useEffect, useRef } from 'react';
 import { 
   Search, TrendingUp, Brain, Wallet, Activity, Zap, AlertCircle, 
   ChevronRight, Sparkles, ExternalLink, RefreshCw, Copy, Check, 
-  TrendingDown, Minus 
+  TrendingDown, Minus, History, Filter
 } from 'lucide-react';
 import {
   fetchTokenInfoByAddress,
   fetchTokenInfoBySymbol,
-  fetchMarketplaceTokens,
+  searchTokens,
   fetchTokenHolders,
   getTokenSupply,
   analyzeWalletViaBackend,
@@ -23,75 +23,164 @@ import {
   getTrackingStatus,
   getRealtimeMetrics,
   startTrackingToken,
-  stopTrackingToken
+  stopTrackingToken,
+  isAbortError,
+  RateLimitError
 } from './api';
-import { HashRouter, Routes, Route, Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { HashRouter, Routes, Route, Link, Navigate, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
 import { AccessControl } from './AccessControl';
 import { SimpleWallet } from './SimpleWallet';
 import { AlertButton } from './components/AlertButton';
+import { getConfig } from './config';
+import { getQuotaStatus, requestQuotaRefresh } from './quota';
+import { runQueue, TaskTimeoutError } from './workQueue';
+import { getCacheKey, getCached, setCached, readThrough } from './analysisCache';
+import { CachedBadge } from './components/CachedBadge';
+import { TokenSearchResults } from './components/TokenSearchResults';
+import { MarketsPanel } from './components/MarketsPanel';
+import { PriceChart } from './components/PriceChart';
+import { SignalTimeline } from './components/SignalTimeline';
+import { CoinScoreBreakdown } from './components/CoinScoreBreakdown';
+import { HolderDistribution } from './components/HolderDistribution';
+import { WalletClusters } from './components/WalletClusters';
+import { TokenSafety } from './components/TokenSafety';
+import { ExportMenu } from './components/ExportMenu';
+import { SnapshotImport } from './components/SnapshotImport';
+import { ScreenerPanel } from './components/ScreenerPanel';
+import { VirtualGrid } from './components/VirtualGrid';
+import { SignalBadge } from './components/SignalBadge';
+import { LiveFeedControls } from './components/LiveFeedControls';
+import { TokenSourcePicker } from './components/TokenSourcePicker';
+import { getSignalHistory, recordSignal } from './signalHistory';
+import { computeCoinScore, loadScoringModel, saveScoringModel } from './coinScore';
+import { buildSnapshot, loadImportedSnapshot } from './reportExport';
+import { DEFAULT_FILTERS, toBackendParams, matchesFilters, countActiveFilters, signalSortValue, loadFilterPresets } from './marketplaceFilters';
+import { mergeRefreshedPage, appendPage, diffFeed, loadFeedAlerts, saveFeedAlerts } from './marketplaceFeed';
+import { showNotification, playAlertTone } from './notifications';
+import { TOKEN_SOURCES, fetchFromSources, loadSelectedSources, saveSelectedSources } from './tokenSources';
+import { useSignalStream } from './signalStream';
+import { tokenPath, walletPath, comparePath, SNAPSHOT_PATH } from './routes';
+import { WalletProfile } from './WalletProfile';
+import { Performance } from './Performance';
+import { Compare } from './Compare';
 // Note: Notifications are handled internally by AlertButton component
+// Top holders analyzed per wallet-mode scan (each one costs an analysis from the quota)
+const MAX_HOLDERS_TO_ANALYZE = 30;
+const SUGGEST_DEBOUNCE_MS = 300;
+// Marketplace cards are fixed-height so the grid can be virtualized
+const MARKETPLACE_CARD_HEIGHT = 356;
+// Marketplace live feed (creation-time view)
+const FEED_NEW_MARKER_MS = 2 * 60 * 1000;
+const FEED_ANIMATION_MS = 2000;
+// Fused-signal badges on Marketplace cards
+const MARKETPLACE_SIGNAL_BATCH_SIZE = 20;
+const MARKETPLACE_SIGNAL_DEBOUNCE_MS = 400;
+const MARKETPLACE_SIGNAL_REFRESH_MS = 5 * 60 * 1000;
+
 // ============================================
-// CACHE SYSTEM
+// ROUTES
 // ============================================
 
-const cache = new Map();
-
-const getCacheKey = (type, identifier) => `${type}:${identifier}`;
-
-const getCachedData = (key, ttl) => {
-  const cached = cache.get(key);
-  if (!cached) return null;
-  const age = Date.now() - cached.timestamp;
-  if (age > ttl) {
-    cache.delete(key);
-    return null;
-  }
-  return cached.data;
-};
-
-const setCachedData = (key, data) => {
-  cache.set(key, { data, timestamp: Date.now() });
-};
-
-const CACHE_TTL = {
-  TOKEN_INFO: 60 * 1000,
-  TOP_HOLDERS: 60 * 1000,
-  HOLDER_DATA: 5 * 60 * 1000,
-  ANALYZED_WALLETS: 60 * 1000,
-};
+/**
+ * Old links used /#/?token=<address> - send them to the token route
+ */
+function LegacyTokenRedirect() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  return token
+    ? <Navigate to={tokenPath(token, searchParams.get('mode') || 'fusion')} replace />
+    : <Terminal />;
+}
 
 // ============================================
 // TERMINAL COMPONENT
 // ============================================
 
-function Terminal() {
-  const [searchParams] = useSearchParams();
-  const tokenFromUrl = searchParams.get('token');
-  
-  const [searchInput, setSearchInput] = useState(tokenFromUrl || '');
+function Terminal({ snapshotMode = false }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  // The loaded token and mode live in the URL (/token/:address?mode=wallet);
+  // the search box is only input until it's submitted
+  const { address: tokenAddress } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Imported analysis shown read-only on /snapshot - nothing is fetched while it's open
+  const [snapshot, setSnapshot] = useState(null);
+  const mode = snapshot ? snapshot.mode : searchParams.get('mode') === 'wallet' ? 'wallet' : 'fusion';
+  const privacyMode = mode === 'fusion';
+
+  const [searchInput, setSearchInput] = useState(tokenAddress || '');
   const [loading, setLoading] = useState(false);
   const [currentToken, setCurrentToken] = useState(null);
   const [walletAnalysis, setWalletAnalysis] = useState([]);
+  const [scannedHolders, setScannedHolders] = useState(null); // { holders, supply } the wallet scan fetched
   const [coinScore, setCoinScore] = useState(null);
+  const [scoringModel, setScoringModel] = useState(loadScoringModel); // Coin IQ weights/thresholds (wallet mode)
   const [error, setError] = useState('');
   const [isScanning, setIsScanning] = useState(false);
   const [countdown, setCountdown] = useState(180);
   const [copiedAddress, setCopiedAddress] = useState(null);
-  const [privacyMode, setPrivacyMode] = useState(true);
   const [analysisProgress, setAnalysisProgress] = useState({ current: 0, total: 0 });
   // State for fusion signal (privacy mode enhanced analysis)
   const [fusedSignal, setFusedSignal] = useState(null);
+  const [signalHistory, setSignalHistory] = useState([]); // locally recorded snapshots for this token
   const [realtimeMetrics, setRealtimeMetrics] = useState(null); // NEW: Store metrics with predictions
   const [showMetricsDetail, setShowMetricsDetail] = useState(false);
   const [showSlippageDetail, setShowSlippageDetail] = useState(false);
+  // When the shown data came from the persistent cache: { tokenInfo, holders } timestamps (null = fresh)
+  const [cacheTimes, setCacheTimes] = useState({ tokenInfo: null, holders: null });
+
+  // Type-ahead matches for a symbol query: { query, results }
+  const [suggestions, setSuggestions] = useState({ query: '', results: [] });
+  const [suggesting, setSuggesting] = useState(false);
+  const [showSuggestions, setShowSuggestions] = useState(false);
 
   const abortControllerRef = useRef(null);
   const countdownIntervalRef = useRef(null);
 
   useEffect(() => {
-    if (tokenFromUrl) analyzeToken();
+    if (tokenAddress) {
+      setSearchInput(tokenAddress);
+      // Clear the previous token/mode's results before re-analyzing
+      setWalletAnalysis([]);
+      setFusedSignal(null);
+      setCoinScore(null);
+      setSignalHistory(getSignalHistory(tokenAddress));
+      analyzeToken(tokenAddress);
+    }
     return () => stopScanning();
-  }, [tokenFromUrl]);
+  }, [tokenAddress, mode]);
+
+  // Snapshot mode: every panel renders from the imported file
+  useEffect(() => {
+    if (!snapshotMode) return;
+    const imported = loadImportedSnapshot();
+    if (!imported) {
+      navigate('/', { replace: true });
+      return;
+    }
+    setSnapshot(imported);
+    setSearchInput(imported.token.contractAddress);
+    setCurrentToken(imported.token);
+    setCoinScore(imported.coinScore);
+    setFusedSignal(imported.fusedSignal);
+    setRealtimeMetrics(imported.realtimeMetrics);
+    setWalletAnalysis(imported.walletAnalysis);
+    setSignalHistory(imported.signalHistory);
+    setCacheTimes({
+      tokenInfo: imported.sources.tokenInfo?.cachedAt || null,
+      holders: imported.sources.holders?.cachedAt || null
+    });
+    setError('');
+  }, [snapshotMode, location.key]);
+
+  const handleScoringModelChange = (model) => {
+    setScoringModel(model);
+    saveScoringModel(model);
+    // Rescore the holders already on screen - no need to re-run the scan
+    if (!privacyMode && coinScore && !isScanning) {
+      setCoinScore(computeCoinScore(walletAnalysis, model));
+    }
+  };
 
   const stopScanning = () => {
     setIsScanning(false);
@@ -105,8 +194,78 @@ function Terminal() {
     }
   };
 
-  const analyzeToken = async (forceRefresh = false) => {
-    if (!searchInput.trim()) return;
+  // Debounced type-ahead for symbol/name queries (addresses skip the picker)
+  useEffect(() => {
+    const query = searchInput.trim();
+    if (query.length < 2 || query.length > 20 || query === tokenAddress) {
+      setSuggesting(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    setSuggesting(true);
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchTokens(query, { signal: controller.signal });
+        setSuggestions({ query, results });
+      } catch (err) {
+        if (!isAbortError(err)) console.error('Token search error:', err);
+      } finally {
+        if (!controller.signal.aborted) setSuggesting(false);
+      }
+    }, SUGGEST_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [searchInput]);
+
+  const selectSearchResult = (token) => {
+    setShowSuggestions(false);
+    setSearchInput(token.contractAddress);
+    navigate(tokenPath(token.contractAddress, mode));
+  };
+
+  /**
+   * Search box submit: addresses go straight to their route.
+   * Symbols open the picker unless exactly one Solana token matches.
+   */
+  const handleSearch = async () => {
+    const query = searchInput.trim();
+    if (!query) return;
+
+    if (query.length > 20) {
+      navigate(tokenPath(query, mode));
+      return;
+    }
+
+    setError('');
+    let results = suggestions.query === query ? suggestions.results : null;
+    if (!results) {
+      setLoading(true);
+      try {
+        results = await searchTokens(query);
+        setSuggestions({ query, results });
+      } catch (err) {
+        console.error('Token search error:', err);
+        results = [];
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    if (results.length === 0) {
+      setError('Token not found');
+    } else if (results.length === 1) {
+      selectSearchResult(results[0]);
+    } else {
+      setShowSuggestions(true);
+    }
+  };
+
+  const analyzeToken = async (tokenIdentifier, forceRefresh = false) => {
+    if (!tokenIdentifier) return;
 
     stopScanning();
     abortControllerRef.current = new AbortController();
@@ -117,6 +276,7 @@ function Terminal() {
     setIsScanning(true);
     setCountdown(180);
     setAnalysisProgress({ current: 0, total: 0 });
+    setScannedHolders(null);
 
     if (countdownIntervalRef.current) clearInterval(countdownIntervalRef.current);
     countdownIntervalRef.current = setInterval(() => {
@@ -127,37 +287,40 @@ function Terminal() {
       if (signal.aborted) return;
 
       // Step 1: Fetch token info
-      const tokenIdentifier = searchInput.trim();
-      let tokenInfo;
       const tokenCacheKey = getCacheKey('token_info', tokenIdentifier);
-      const cachedTokenInfo = !forceRefresh ? getCachedData(tokenCacheKey, CACHE_TTL.TOKEN_INFO) : null;
-
-      if (cachedTokenInfo) {
-        tokenInfo = cachedTokenInfo;
-      } else {
-        if (tokenIdentifier.length > 20) {
-          tokenInfo = await fetchTokenInfoByAddress(tokenIdentifier);
-        } else {
-          tokenInfo = await fetchTokenInfoBySymbol(tokenIdentifier);
+      const tokenResult = await readThrough(
+        tokenCacheKey,
+        () => tokenIdentifier.length > 20
+          ? fetchTokenInfoByAddress(tokenIdentifier)
+          : fetchTokenInfoBySymbol(tokenIdentifier),
+        {
+          forceRefresh,
+          // Stale token info is shown immediately, then swapped for the refetched copy
+          onRevalidate: (fresh) => {
+            if (signal.aborted) return;
+            setCurrentToken(fresh);
+            setCacheTimes(prev => ({ ...prev, tokenInfo: null }));
+          }
         }
+      );
+      const tokenInfo = tokenResult.data;
 
-        if (!tokenInfo) {
-          setError('Token not found');
-          setLoading(false);
-          setIsScanning(false);
-          return;
-        }
-        setCachedData(tokenCacheKey, tokenInfo);
+      if (!tokenInfo) {
+        setError('Token not found');
+        setLoading(false);
+        setIsScanning(false);
+        return;
       }
 
       if (signal.aborted) return;
       setCurrentToken(tokenInfo);
+      setCacheTimes({ tokenInfo: tokenResult.fromCache ? tokenResult.timestamp : null, holders: null });
 
       // Step 2: Handle Privacy Mode with Fusion Signal
       if (privacyMode) {
         try {
           // Fetch the fused signal which combines real-time metrics + slippage analysis
-          const fusionResult = await getFusedSignal(tokenInfo.contractAddress);
+          const fusionResult = await getFusedSignal(tokenInfo.contractAddress, false, { signal });
     
           if (signal.aborted) return;
     
@@ -171,10 +334,11 @@ function Terminal() {
     
     // Store the complete fusion signal
           setFusedSignal(fusionResult.signal);
+          setSignalHistory(recordSignal(tokenInfo.contractAddress, fusionResult.signal));
     
     // NEW: Also fetch realtime metrics to get transition predictions
           try {
-            const metricsData = await getRealtimeMetrics(tokenInfo.contractAddress);
+            const metricsData = await getRealtimeMetrics(tokenInfo.contractAddress, { signal });
             setRealtimeMetrics(metricsData); // Store predictions data
           } catch (metricsError) {
             console.log('No prediction data available yet:', metricsError);
@@ -200,7 +364,9 @@ function Terminal() {
     
         } catch (fusionError) {
           console.error('Fusion signal error:', fusionError);
-          setError('Failed to analyze token in privacy mode');
+          setError(fusionError instanceof RateLimitError
+            ? 'Daily analysis limit reached'
+            : 'Failed to analyze token in privacy mode');
           setLoading(false);
           setIsScanning(false);
           if (countdownIntervalRef.current) clearInterval(countdownIntervalRef.current);
@@ -211,17 +377,20 @@ function Terminal() {
 
       // Step 3: Wallet Analysis Mode
       const holdersCacheKey = getCacheKey('holders', tokenInfo.contractAddress);
-      let cachedHolders = !forceRefresh ? getCachedData(holdersCacheKey, CACHE_TTL.TOP_HOLDERS) : null;
+      // Holder scans are never revalidated in the background - each one costs quota
+      const cachedHolders = !forceRefresh ? await getCached(holdersCacheKey) : null;
       let analyzedHolders;
 
       if (cachedHolders) {
-        analyzedHolders = cachedHolders;
+        analyzedHolders = cachedHolders.data;
+        setCacheTimes(prev => ({ ...prev, holders: cachedHolders.timestamp }));
       } else {
         if (signal.aborted) return;
 
         try {
-          const holderData = await fetchTokenHolders(tokenInfo.contractAddress);
+          const holderData = await fetchTokenHolders(tokenInfo.contractAddress, { signal });
           const totalSupply = await getTokenSupply(tokenInfo.contractAddress);
+          if (!signal.aborted) setScannedHolders({ holders: holderData || [], supply: totalSupply });
 
           if (!holderData || holderData.length === 0) {
             setError('Failed to retrieve token holders');
@@ -230,115 +399,113 @@ function Terminal() {
             return;
           }
 
-          const walletsToAnalyze = holderData.slice(0, 30);
+          // Don't start more wallet analyses than the daily quota has left.
+          // Without a real status (or a usable `remaining`) the budget is unknown.
+          const remaining = getQuotaStatus()?.remaining;
+          const budget = Number.isFinite(remaining) ? remaining : MAX_HOLDERS_TO_ANALYZE;
+          if (budget <= 0) {
+            setError('No analyses remaining today - wait for the quota to reset');
+            setLoading(false);
+            setIsScanning(false);
+            if (countdownIntervalRef.current) clearInterval(countdownIntervalRef.current);
+            return;
+          }
+
+          const walletsToAnalyze = holderData.slice(0, Math.min(MAX_HOLDERS_TO_ANALYZE, budget));
+          if (walletsToAnalyze.length < Math.min(MAX_HOLDERS_TO_ANALYZE, holderData.length)) {
+            setError(`Quota has ${budget} analyses left - scanning the top ${walletsToAnalyze.length} holders only`);
+          }
           setAnalysisProgress({ current: 0, total: walletsToAnalyze.length });
+          setWalletAnalysis([]);
 
           analyzedHolders = [];
-
-          for (let i = 0; i < walletsToAnalyze.length; i++) {
-            if (signal.aborted) throw new Error('Scanning stopped');
-
-            const holder = walletsToAnalyze[i];
-            // Use backend-provided holdingPercent if available, otherwise calculate
-            const holdingPercent = holder.holdingPercent
-              ? holder.holdingPercent.toFixed(2)
-              : (holder.amount / totalSupply * 100).toFixed(2);
-
-            setAnalysisProgress({ current: i + 1, total: walletsToAnalyze.length });
-            
-            try {
-              const walletData = await analyzeWalletViaBackend(
-                holder.address,
-                tokenInfo.contractAddress,
-                parseFloat(holdingPercent)
-              );
-              
-              analyzedHolders.push({
-                address: holder.address,
-                iq: walletData.iq || 50,
-                winRate: walletData.winRate || '0.0',
-                trades: walletData.trades || 0,
-                tradesScore: walletData.tradesScore || 0,
-                portfolio: walletData.portfolio || 0,
-                pattern: walletData.pattern || 'Unknown',
-                holdScore: walletData.holdScore || 0,
-                holdingAmount: holder.amount.toFixed(0),
-                holdingPercent,
-                firstBuyTime: walletData.firstBuyTime || null
-              });
-            } catch (error) {
+          const { scanConcurrency, walletTimeoutMs } = getConfig();
+
+          // Use backend-provided holdingPercent if available, otherwise calculate.
+          // null when neither is known (supply read failed)
+          const getHoldingPercent = (holder) => holder.holdingPercent
+            ? holder.holdingPercent.toFixed(2)
+            : totalSupply ? (holder.amount / totalSupply * 100).toFixed(2) : null;
+
+          await runQueue(walletsToAnalyze, async (holder, { signal: walletSignal }) => {
+            const holdingPercent = getHoldingPercent(holder);
+            const walletData = await analyzeWalletViaBackend(
+              holder.address,
+              tokenInfo.contractAddress,
+              holdingPercent === null ? null : parseFloat(holdingPercent),
+              { signal: walletSignal }
+            );
+
+            return {
+              address: holder.address,
+              iq: walletData.iq || 50,
+              winRate: walletData.winRate || '0.0',
+              trades: walletData.trades || 0,
+              tradesScore: walletData.tradesScore || 0,
+              portfolio: walletData.portfolio || 0,
+              pattern: walletData.pattern || 'Unknown',
+              holdScore: walletData.holdScore || 0,
+              holdingAmount: holder.amount.toFixed(0),
+              holdingPercent,
+              firstBuyTime: walletData.firstBuyTime || null,
+              isFallback: walletData.isFallback
+            };
+          }, {
+            concurrency: scanConcurrency,
+            taskTimeout: walletTimeoutMs,
+            signal,
+            onTaskError: (error, holder) => {
+              // Quota is gone - every remaining wallet would fail too, so stop the scan
+              if (error instanceof RateLimitError) throw error;
               console.error(`Error analyzing wallet ${holder.address}:`, error);
-              analyzedHolders.push({
+              return {
                 address: holder.address,
                 iq: 50,
                 winRate: '0.0',
                 trades: 0,
                 tradesScore: 0,
                 portfolio: 0,
-                pattern: 'ERROR',
+                pattern: error instanceof TaskTimeoutError ? 'TIMEOUT' : 'ERROR',
                 holdScore: 0,
                 holdingAmount: holder.amount.toFixed(0),
-                holdingPercent
-              });
+                holdingPercent: getHoldingPercent(holder),
+                isFallback: true
+              };
+            },
+            // Stream rows into the table as each wallet finishes
+            onResult: (row) => {
+              analyzedHolders.push(row);
+              // Real analyses first (by IQ), placeholder rows last
+              analyzedHolders.sort((a, b) => (a.isFallback - b.isFallback) || b.iq - a.iq);
+              setWalletAnalysis([...analyzedHolders]);
+              setAnalysisProgress({ current: analyzedHolders.length, total: walletsToAnalyze.length });
             }
-          }
+          });
 
-          analyzedHolders.sort((a, b) => b.iq - a.iq);
-          setCachedData(holdersCacheKey, analyzedHolders);
+          // Not stored if any wallet fell back (see CACHE_POLICIES.holders) - the next visit rescans
+          setCached(holdersCacheKey, analyzedHolders);
 
         } catch (error) {
-          console.error('Error fetching holders:', error);
-          analyzedHolders = [];
+          if (error instanceof RateLimitError && analyzedHolders) {
+            // Keep the wallets analyzed before the limit hit, but don't cache a partial scan
+            setError(`Daily analysis limit reached - scan stopped after ${analyzedHolders.length} wallets`);
+          } else {
+            console.error('Error fetching holders:', error);
+            analyzedHolders = [];
+          }
         }
+        // Wallet analyses count against the quota - let AccessControl show the new totals
+        requestQuotaRefresh();
       }
 
       if (signal.aborted) return;
       setWalletAnalysis(analyzedHolders);
 
-      // Calculate coin score
-      if (analyzedHolders.length > 0) {
-        let weightedIQSum = 0;
-        let totalHoldingPercent = 0;
-        
-        analyzedHolders.forEach(w => {
-          const holdingPct = parseFloat(w.holdingPercent) || 0;
-          const walletIQ = parseFloat(w.iq) || 0;
-          weightedIQSum += walletIQ * holdingPct;
-          totalHoldingPercent += holdingPct;
-        });
-
-        const weightedAvgIQ = totalHoldingPercent > 0 ? weightedIQSum / totalHoldingPercent : 0;
-        const walletIQComponent = weightedAvgIQ * 0.5;
-
-        const smartMoneyCount = analyzedHolders.filter(w => w.iq >= 75).length;
-        const smartMoneyPercent = (smartMoneyCount / analyzedHolders.length) * 100;
-        const smartMoneyComponent = smartMoneyPercent * 0.3;
-
-        const majorHolders = analyzedHolders.filter(w => 
-          parseFloat(w.holdingPercent) > 0.5 && w.holdScore > 17
-        );
-        const majorHoldersComponent = Math.min(majorHolders.length, 20);
-
-        const coinIQ = Math.floor(walletIQComponent + smartMoneyComponent + majorHoldersComponent);
-        const avgWinRate = analyzedHolders.reduce((sum, w) => sum + (parseFloat(w.winRate) || 0), 0) / analyzedHolders.length;
-
-        setCoinScore({
-          overall: coinIQ,
-          smartMoney: smartMoneyPercent.toFixed(1),
-          avgWinRate: avgWinRate.toFixed(1),
-          rating: coinIQ >= 80 ? 'ELITE' : coinIQ >= 60 ? 'SMART' : coinIQ >= 40 ? 'AVERAGE' : 'DEGEN'
-        });
-      } else {
-        setCoinScore({
-          overall: 0,
-          smartMoney: '0.0',
-          avgWinRate: '0.0',
-          rating: 'UNKNOWN'
-        });
-      }
+      // Fallback rows carry placeholder values - computeCoinScore skips them
+      setCoinScore(computeCoinScore(analyzedHolders, scoringModel));
 
     } catch (err) {
-      if (err.message === 'Scanning stopped') {
+      if (err.message === 'Scanning stopped' || isAbortError(err)) {
         setError('Scanning stopped by user');
       } else {
         setError(err.message || 'Error analyzing token');
@@ -419,22 +586,13 @@ function Terminal() {
                   {privacyMode ? 'FUSION ANALYSIS' : 'WALLET ANALYSIS'}
                 </span>
                 <button
+                  disabled={Boolean(snapshot)}
                   onClick={() => {
-                    const newMode = !privacyMode;
-                    setPrivacyMode(newMode);
-    
-    // Re-analyze if token exists and mode changed
-                    if (currentToken) {
-      // Clear previous results
-                      setWalletAnalysis([]);
-                      setFusedSignal(null);
-                      setCoinScore(null);
-      
-      // Re-trigger analysis in new mode
-                      analyzeToken(false); // false = don't force refresh cache
-                    }
+                    // Mode is part of the URL; the token route re-analyzes when it changes
+                    const newMode = privacyMode ? 'wallet' : 'fusion';
+                    setSearchParams(newMode === 'wallet' ? { mode: 'wallet' } : {}, { replace: true });
                   }}
-                  className={`relative w-12 h-6 rounded-full transition-all ${
+                  className={`relative w-12 h-6 rounded-full transition-all disabled:opacity-50 ${
                     privacyMode ? 'bg-purple-400' : 'bg-green-400/30'
                   }`}
                 >
@@ -458,10 +616,34 @@ function Terminal() {
                 <Link to="/dashboard" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
                   DASHBOARD
                 </Link>
+                <Link to="/performance" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                  PERFORMANCE
+                </Link>
               </div>
+
+              <SnapshotImport onError={setError} />
             </div>
           </div>
-          
+
+          {snapshot && (
+            <div className="mb-4 flex items-center justify-between gap-3 flex-wrap px-3 py-2 bg-yellow-400/10 border-2 border-yellow-400/50 rounded">
+              <div className="flex items-center gap-2 text-xs text-yellow-400">
+                <History className="w-4 h-4 flex-shrink-0" />
+                <span>
+                  <span className="font-bold">SNAPSHOT MODE</span> · {snapshot.token.symbol} as captured{' '}
+                  {new Date(snapshot.capturedAt).toLocaleString()} · read-only, nothing is fetched
+                  (price chart, holder distribution, safety checks and alerts are hidden)
+                </span>
+              </div>
+              <Link
+                to={tokenPath(snapshot.token.contractAddress, snapshot.mode)}
+                className="text-xs px-3 py-1 rounded border border-yellow-400/50 text-yellow-400 hover:bg-yellow-400/10"
+              >
+                OPEN LIVE
+              </Link>
+            </div>
+          )}
+
           {/* Search Bar */}
           <div className="flex gap-2">
             <div className="flex-1 relative">
@@ -469,15 +651,28 @@ function Terminal() {
               <input
                 type="text"
                 value={searchInput}
-                onChange={(e) => setSearchInput(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && !loading && analyzeToken()}
+                onChange={(e) => {
+                  setSearchInput(e.target.value);
+                  setShowSuggestions(true);
+                }}
+                onKeyPress={(e) => e.key === 'Enter' && !loading && handleSearch()}
+                onKeyDown={(e) => e.key === 'Escape' && setShowSuggestions(false)}
+                onFocus={() => setShowSuggestions(true)}
+                onBlur={() => setShowSuggestions(false)}
                 placeholder="Enter token address or symbol..."
                 className="w-full bg-black border-2 border-green-400/30 rounded px-10 py-3 text-green-400 placeholder-green-400/30 focus:border-green-400 focus:outline-none"
               />
+              {showSuggestions && searchInput.trim().length >= 2 && searchInput.trim().length <= 20 && (
+                <TokenSearchResults
+                  results={suggestions.query === searchInput.trim() ? suggestions.results : []}
+                  loading={suggesting}
+                  onSelect={selectSearchResult}
+                />
+              )}
             </div>
             {!isScanning ? (
               <button
-                onClick={() => analyzeToken()}
+                onClick={handleSearch}
                 disabled={loading}
                 className="px-6 py-3 bg-green-400 text-black font-bold rounded hover:bg-green-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
               >
@@ -526,27 +721,74 @@ function Terminal() {
             {/* Token Info Card */}
             <div className="border-2 border-green-400/30 rounded-lg p-4 bg-black/50">
               <div className="flex items-start gap-3">
-                <img
-                  src={currentToken.image}
-                  alt={currentToken.symbol}
-                  className="w-12 h-12 rounded-full border-2 border-green-400"
-                  onError={(e) => { e.target.src = 'https://via.placeholder.com/50'; }}
-                />
+                {snapshot ? (
+                  // Snapshot mode stays offline - no remote token image
+                  <div className="w-12 h-12 flex-shrink-0 rounded-full border-2 border-green-400 flex items-center justify-center text-lg font-bold text-green-400">
+                    {currentToken.symbol?.[0] || '?'}
+                  </div>
+                ) : (
+                  <img
+                    src={currentToken.image}
+                    alt={currentToken.symbol}
+                    className="w-12 h-12 rounded-full border-2 border-green-400"
+                    onError={(e) => { e.target.src = 'https://via.placeholder.com/50'; }}
+                  />
+                )}
                 <div className="flex-1">
-                  <h3 className="text-lg font-bold text-green-400">{currentToken.symbol}</h3>
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <h3 className="text-lg font-bold text-green-400">{currentToken.symbol}</h3>
+                    <CachedBadge
+                      timestamp={cacheTimes.tokenInfo}
+                      onRefresh={!loading && !snapshot ? () => analyzeToken(tokenAddress, true) : undefined}
+                    />
+                    <div className="ml-auto flex items-center gap-2">
+                      <ExportMenu
+                        holderCount={privacyMode ? 0 : walletAnalysis.length}
+                        getSnapshot={() => snapshot || buildSnapshot({
+                          mode,
+                          token: currentToken,
+                          coinScore,
+                          fusedSignal,
+                          realtimeMetrics,
+                          walletAnalysis: privacyMode ? [] : walletAnalysis,
+                          signalHistory,
+                          scoringModel,
+                          cacheTimes
+                        })}
+                      />
+                      <Link
+                        to={comparePath([currentToken.contractAddress])}
+                        className="text-[10px] px-2 py-0.5 rounded border border-cyan-400/30 text-cyan-400 hover:bg-cyan-400/10"
+                        title="Compare with other tokens"
+                      >
+                        COMPARE
+                      </Link>
+                    </div>
+                  </div>
                   <p className="text-xs text-green-400/60 truncate">{currentToken.contractAddress}</p>
                   <div className="mt-2 space-y-1 text-xs">
                     <div className="flex justify-between">
-                      <span className="text-green-400/60">Price:</span>
+                      <span className="text-green-400/60" title={currentToken.pairs?.length > 1 ? `Liquidity-weighted across ${currentToken.pairs.length} pairs` : undefined}>
+                        Price:
+                      </span>
                       <span className="text-cyan-400">${currentToken.price?.toFixed(8) || 'N/A'}</span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-green-400/60">MCap:</span>
                       <span className="text-cyan-400">${(currentToken.marketcap || 0).toLocaleString()}</span>
                     </div>
+                    <div className="flex justify-between">
+                      <span className="text-green-400/60">Liquidity:</span>
+                      <span className="text-cyan-400">${Math.round(currentToken.liquidity || 0).toLocaleString()}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-green-400/60">Vol 24h:</span>
+                      <span className="text-cyan-400">${Math.round(currentToken.volumeIn24h || 0).toLocaleString()}</span>
+                    </div>
                   </div>
                 </div>
               </div>
+              <MarketsPanel pairs={currentToken.pairs} />
             </div>
 
             {/* Coin Score Card */}
@@ -571,9 +813,11 @@ function Terminal() {
             {/* Metrics Card */}
             <div className="border-2 border-cyan-400/30 rounded-lg p-4 bg-black/50 space-y-3">
               {/* Alert Control - Add this section */}
-              <div className="pb-3 border-b border-cyan-400/20">
-                <AlertButton tokenAddress={currentToken.contractAddress} />
-              </div>
+              {!snapshot && (
+                <div className="pb-3 border-b border-cyan-400/20">
+                  <AlertButton tokenAddress={currentToken.contractAddress} />
+                </div>
+              )}
               {privacyMode && coinScore.privacyMetrics ? (
                 <>
                   <div className="flex items-center justify-between">
@@ -633,6 +877,41 @@ function Terminal() {
           </div>
         )}
 
+        {/* How the Coin IQ was put together (wallet mode) */}
+        {currentToken && coinScore && !privacyMode && (
+          <CoinScoreBreakdown
+            score={coinScore}
+            model={snapshot?.scoringModel || scoringModel}
+            onModelChange={snapshot ? undefined : handleScoringModelChange}
+          />
+        )}
+
+        {/* Top-holder concentration */}
+        {currentToken && coinScore && !snapshot && (
+          <HolderDistribution
+            tokenAddress={currentToken.contractAddress}
+            pairs={currentToken.pairs}
+            scanned={mode === 'wallet' ? scannedHolders : null}
+          />
+        )}
+
+        {/* Holders linked by funding, timing or pattern (wallet mode) */}
+        {currentToken && coinScore && !privacyMode && walletAnalysis.length > 1 && (
+          <WalletClusters holders={walletAnalysis} tokenAddress={currentToken.contractAddress} readOnly={Boolean(snapshot)} />
+        )}
+
+        {/* Price chart for the most liquid pair */}
+        {currentToken && coinScore && currentToken.pairs?.length > 0 && !snapshot && (
+          <PriceChart
+            tokenAddress={currentToken.contractAddress}
+            poolAddress={currentToken.pairs[0].pairAddress}
+            signalHistory={signalHistory}
+          />
+        )}
+
+        {/* Recorded fused-signal snapshots for this token */}
+        {currentToken && coinScore && <SignalTimeline history={signalHistory} />}
+
         {/* Privacy Mode - Fusion Signal Analysis */}
         {privacyMode && fusedSignal && currentToken && (
           <div className="border-2 border-purple-400/30 rounded-lg bg-black/50 overflow-hidden mb-6">
@@ -770,35 +1049,38 @@ function Terminal() {
                 </div>
               )}
 
-              {/* Risk Assessment Section */}
-              {fusedSignal.risk_factors && fusedSignal.risk_factors.length > 0 && (
-                <div className={`border-2 rounded-lg p-4 ${
-                  fusedSignal.risk_level === 'extreme' ? 'border-red-600 bg-red-600/20' :
-                  fusedSignal.risk_level === 'high' ? 'border-red-400 bg-red-400/10' :
-                  fusedSignal.risk_level === 'medium' ? 'border-yellow-400 bg-yellow-400/10' :
-                  'border-green-400 bg-green-400/10'
-                }`}>
-                  <div className="flex items-center justify-between mb-3 flex-wrap gap-2">
-                    <div className="text-sm font-bold text-green-400/60">RISK ASSESSMENT</div>
-                    <span className={`text-sm font-bold px-3 py-1 rounded ${
-                      fusedSignal.risk_level === 'extreme' ? 'bg-red-600/30 text-red-600' :
-                      fusedSignal.risk_level === 'high' ? 'bg-red-400/20 text-red-400' :
-                      fusedSignal.risk_level === 'medium' ? 'bg-yellow-400/20 text-yellow-400' :
-                      'bg-green-400/20 text-green-400'
-                    }`}>
-                      {fusedSignal.risk_level.toUpperCase()} RISK
-                    </span>
-                  </div>
-                  <div className="space-y-2">
-                    {fusedSignal.risk_factors.map((factor, idx) => (
-                      <div key={idx} className="flex items-start gap-2 text-sm">
-                        <span className="text-yellow-400 mt-0.5 flex-shrink-0">•</span>
-                        <span className="text-green-400/80">{factor}</span>
-                      </div>
-                    ))}
+              {/* Risk Assessment + on-chain safety checks */}
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {fusedSignal.risk_factors && fusedSignal.risk_factors.length > 0 && (
+                  <div className={`border-2 rounded-lg p-4 ${
+                    fusedSignal.risk_level === 'extreme' ? 'border-red-600 bg-red-600/20' :
+                    fusedSignal.risk_level === 'high' ? 'border-red-400 bg-red-400/10' :
+                    fusedSignal.risk_level === 'medium' ? 'border-yellow-400 bg-yellow-400/10' :
+                    'border-green-400 bg-green-400/10'
+                  }`}>
+                    <div className="flex items-center justify-between mb-3 flex-wrap gap-2">
+                      <div className="text-sm font-bold text-green-400/60">RISK ASSESSMENT</div>
+                      <span className={`text-sm font-bold px-3 py-1 rounded ${
+                        fusedSignal.risk_level === 'extreme' ? 'bg-red-600/30 text-red-600' :
+                        fusedSignal.risk_level === 'high' ? 'bg-red-400/20 text-red-400' :
+                        fusedSignal.risk_level === 'medium' ? 'bg-yellow-400/20 text-yellow-400' :
+                        'bg-green-400/20 text-green-400'
+                      }`}>
+                        {fusedSignal.risk_level.toUpperCase()} RISK
+                      </span>
+                    </div>
+                    <div className="space-y-2">
+                      {fusedSignal.risk_factors.map((factor, idx) => (
+                        <div key={idx} className="flex items-start gap-2 text-sm">
+                          <span className="text-yellow-400 mt-0.5 flex-shrink-0">•</span>
+                          <span className="text-green-400/80">{factor}</span>
+                        </div>
+                      ))}
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
+                {!snapshot && <TokenSafety tokenAddress={currentToken.contractAddress} pairs={currentToken.pairs} />}
+              </div>
 
               {/* Collapsible Technical Details */}
               <div className="space-y-3">
@@ -874,7 +1156,7 @@ function Terminal() {
                                  fusedSignal.metrics_signal.pii < -0.1 ? '🔴 Sell pressure' : '⚪ Neutral'}
                               </div>
                             </div>
-                            {fusedSignal.metrics_signal.vei !== undefined && (
+                            {fusedSignal.metrics_signal.vei != null && (
                               <div className="bg-black/30 rounded p-2">
                                 <div className="text-xs text-green-400/60 mb-1">VEI (Exhaustion)</div>
                                 <div className="text-lg font-bold text-cyan-400">{fusedSignal.metrics_signal.vei.toFixed(2)}</div>
@@ -883,7 +1165,7 @@ function Terminal() {
                                 </div>
                               </div>
                             )}
-                            {fusedSignal.metrics_signal.conviction_multiplier !== undefined && (
+                            {fusedSignal.metrics_signal.conviction_multiplier != null && (
                               <div className="bg-black/30 rounded p-2">
                                 <div className="text-xs text-green-400/60 mb-1">Conviction Quality</div>
                                 <div className="text-lg font-bold text-cyan-400">{fusedSignal.metrics_signal.conviction_multiplier.toFixed(2)}</div>
@@ -1161,10 +1443,16 @@ function Terminal() {
         {walletAnalysis.length > 0 && !privacyMode && (
           <div className="border-2 border-green-400/30 rounded-lg bg-black/50 overflow-hidden">
             <div className="p-4 border-b-2 border-green-400/30">
-              <h2 className="text-lg font-bold text-green-400 flex items-center gap-2">
-                <Wallet className="w-5 h-5" />
-                TOP HOLDER INTELLIGENCE ANALYSIS
-              </h2>
+              <div className="flex items-center justify-between flex-wrap gap-2">
+                <h2 className="text-lg font-bold text-green-400 flex items-center gap-2">
+                  <Wallet className="w-5 h-5" />
+                  TOP HOLDER INTELLIGENCE ANALYSIS
+                </h2>
+                <CachedBadge
+                  timestamp={cacheTimes.holders}
+                  onRefresh={!loading && !snapshot ? () => analyzeToken(tokenAddress, true) : undefined}
+                />
+              </div>
             </div>
             <div className="overflow-x-auto">
               <table className="w-full">
@@ -1191,9 +1479,13 @@ function Terminal() {
                       </td>
                       <td className="p-3">
                         <div className="flex items-center gap-2">
-                          <span className="text-cyan-400 text-sm font-mono">
+                          <Link
+                            to={walletPath(wallet.address, currentToken.contractAddress)}
+                            className="text-cyan-400 text-sm font-mono hover:underline"
+                            title="Open wallet profile"
+                          >
                             {wallet.address.slice(0, 8)}...{wallet.address.slice(-4)}
-                          </span>
+                          </Link>
                           <button
                             onClick={() => copyToClipboard(wallet.address)}
                             className="p-1 hover:bg-green-400/10 rounded transition-all"
@@ -1207,9 +1499,15 @@ function Terminal() {
                         </div>
                       </td>
                       <td className="p-3 text-right">
-                        <span className={`text-lg font-bold ${getIQColor(wallet.iq)}`}>
-                          {wallet.iq}
-                        </span>
+                        {wallet.isFallback ? (
+                          <span className="text-lg font-bold text-green-400/30" title="Backend analysis failed - placeholder value">
+                            --
+                          </span>
+                        ) : (
+                          <span className={`text-lg font-bold ${getIQColor(wallet.iq)}`}>
+                            {wallet.iq}
+                          </span>
+                        )}
                       </td>
                       <td className="p-3">
                         <span className="text-xs px-2 py-1 bg-green-400/10 border border-green-400/30 rounded text-green-400">
@@ -1242,7 +1540,9 @@ function Terminal() {
                           <div className="text-purple-400 font-bold">
                             {parseFloat(wallet.holdingAmount).toLocaleString()}
                           </div>
-                          <div className="text-xs text-green-400/60">{wallet.holdingPercent}%</div>
+                          <div className="text-xs text-green-400/60">
+                            {wallet.holdingPercent != null ? `${wallet.holdingPercent}%` : 'N/A'}
+                          </div>
                         </div>
                       </td>
                     </tr>
@@ -1322,41 +1622,163 @@ function Marketplace() {
   const [error, setError] = useState('');
   const [sortBy, setSortBy] = useState('time');
   const [refreshing, setRefreshing] = useState(false);
-
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [showScreener, setShowScreener] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const nextPageRef = useRef(null);
+  const loadingMoreRef = useRef(false);
+  const loadedFeedRef = useRef(null); // sort + backend filters the loaded pages belong to
+  const currentFeedRef = useRef(null);
+  const [sources, setSources] = useState(loadSelectedSources);
+  const [sourceWarning, setSourceWarning] = useState('');
+  const [signals, setSignals] = useState({}); // mint -> { signal, fetchedAt } | { error, fetchedAt }
+  const signalRequestedRef = useRef(new Map()); // mint -> last request time
+  const pendingVisibleRef = useRef([]);
+  const signalTimerRef = useRef(null);
+
+  // Signal sorts reorder the creation-time feed client-side
+  const sortParam = sortBy === 'mcap' ? 'market_cap' : 'created_at';
+  const backendFilterParams = toBackendParams(filters);
+  const backendFilterKey = new URLSearchParams(backendFilterParams).toString();
+  const feedKey = `${sources.join('+')}:${sortParam}${backendFilterKey ? `?${backendFilterKey}` : ''}`;
+  currentFeedRef.current = feedKey;
+
+  // The creation-time view is the live feed: refreshes are diffed and can be paused
+  const liveFeed = sortBy === 'time';
+  const [paused, setPaused] = useState(false);
+  const [feedAlerts, setFeedAlerts] = useState(loadFeedAlerts);
+  const [newListings, setNewListings] = useState({}); // mint -> first seen
+  const [flashes, setFlashes] = useState({}); // mint -> { price, market_cap, at }
+  const tokensRef = useRef(tokens);
+  const liveFeedRef = useRef(liveFeed);
+  const pausedRef = useRef(false);
+  const feedAlertsRef = useRef(feedAlerts);
+  tokensRef.current = tokens;
+  liveFeedRef.current = liveFeed;
+  pausedRef.current = paused && liveFeed;
+  feedAlertsRef.current = feedAlerts;
+
+  // Ticks and resumes always go to the network - a cached page would be
+  // diffed against newer data and flash changes that already happened
   useEffect(() => {
     loadTrendingTokens();
-    const interval = setInterval(loadTrendingTokens, 30000);
+    const interval = setInterval(() => {
+      if (!pausedRef.current) loadTrendingTokens(true, { quiet: true });
+    }, 30000);
     return () => clearInterval(interval);
-  }, [sortBy]); // Reload when sort option changes
+  }, [feedKey]); // Reload when sort option or backend-side filters change
+
+  // Resuming catches up straight away
+  useEffect(() => {
+    if (!paused && loadedFeedRef.current) loadTrendingTokens(true, { quiet: true });
+  }, [paused]);
 
-  const loadTrendingTokens = async (forceRefresh = false) => {
-    if (forceRefresh) setRefreshing(true);
+  const handleSourcesChange = (ids) => {
+    setSources(ids);
+    saveSelectedSources(ids);
+  };
 
-    try {
-      const trendingCacheKey = getCacheKey('marketplace', 'backend');
-      const cachedTrending = !forceRefresh ? getCachedData(trendingCacheKey, 30000) : null;
+  const handleFeedAlertsChange = (alerts) => {
+    setFeedAlerts(alerts);
+    saveFeedAlerts(alerts);
+  };
 
-      if (cachedTrending) {
-        setTokens(cachedTrending);
-        setError('');
-        setLoading(false);
-        setRefreshing(false);
-        return;
-      }
+  // Signal filters in the preset can't apply yet - new listings have no signal loaded
+  const alertNewListings = (added) => {
+    const alerts = feedAlertsRef.current;
+    if (added.length === 0 || !alerts.preset || !(alerts.sound || alerts.notify)) return;
 
-      // Fetch from backend marketplace API with limit of 50
-      const sortParam = sortBy === 'time' ? 'created_at' : 'market_cap';
-      const tokens = await fetchMarketplaceTokens({
-        limit: 50,
-        sort_by: sortParam,
-        sort_type: 'desc'
+    const preset = loadFilterPresets()[alerts.preset];
+    if (!preset) return;
+
+    const matches = added.filter(token => matchesFilters(token, preset));
+    if (matches.length === 0) return;
+
+    if (alerts.sound) playAlertTone();
+    if (alerts.notify) {
+      showNotification(
+        `${matches.length} new listing${matches.length !== 1 ? 's' : ''} match "${alerts.preset}"`,
+        matches.slice(0, 5).map(token => token.symbol).join(', '),
+        'low'
+      );
+    }
+  };
+
+  const recordFeedChanges = (pageTokens) => {
+    const { added, changes } = diffFeed(tokensRef.current, pageTokens);
+    const now = Date.now();
+
+    if (added.length > 0) {
+      setNewListings(prev => {
+        const next = Object.fromEntries(Object.entries(prev).filter(([, seenAt]) => now - seenAt < FEED_NEW_MARKER_MS));
+        added.forEach(token => { next[token.mint] = now; });
+        return next;
+      });
+    }
+    if (Object.keys(changes).length > 0) {
+      setFlashes(prev => {
+        const next = { ...prev };
+        Object.entries(changes).forEach(([mint, change]) => { next[mint] = { ...change, at: now }; });
+        return next;
       });
+    }
+    alertNewListings(added);
+  };
+
+  // Only freshly changed cards animate, so rows scrolled back into view don't replay it
+  const isNewListing = (mint) => liveFeed && Date.now() - (newListings[mint] || 0) < FEED_NEW_MARKER_MS;
+  const isEntering = (mint) => liveFeed && Date.now() - (newListings[mint] || 0) < FEED_ANIMATION_MS;
+  const flashClass = (mint, field) => {
+    const flash = flashes[mint];
+    if (!liveFeed || !flash?.[field] || Date.now() - flash.at > FEED_ANIMATION_MS) return '';
+    return flash[field] === 'up' ? 'rounded px-1 animate-flash-up' : 'rounded px-1 animate-flash-down';
+  };
+  const newListingCount = tokens.filter(token => isNewListing(token.mint)).length;
+
+  // A new feed replaces the list; a refresh of the same feed is merged in so
+  // pages loaded further down (and the scroll position) are kept
+  /**
+   * `recordChanges: false` merges without flashing or alerting - for the background
+   * revalidation of a cached first load, whose differences aren't live changes
+   */
+  const applyFirstPage = (page, key, { recordChanges = true } = {}) => {
+    if (key !== currentFeedRef.current) return;
+
+    setSourceWarning(page.failed?.length > 0
+      ? `Unavailable: ${page.failed.map(f => TOKEN_SOURCES[f.source].label).join(', ')} - showing the other sources`
+      : '');
+
+    if (loadedFeedRef.current !== key) {
+      loadedFeedRef.current = key;
+      nextPageRef.current = page.next;
+      setHasMore(page.hasMore);
+      setTokens(page.tokens);
+    } else {
+      if (liveFeedRef.current && recordChanges) recordFeedChanges(page.tokens);
+      setTokens(prev => mergeRefreshedPage(prev, page.tokens));
+    }
+  };
+
+  const loadTrendingTokens = async (forceRefresh = false, { quiet = false } = {}) => {
+    if (forceRefresh && !quiet) setRefreshing(true);
+    const key = feedKey;
 
-      setTokens(tokens);
-      setCachedData(trendingCacheKey, tokens);
+    try {
+      const { data: page } = await readThrough(
+        getCacheKey('marketplace', `page1:${key}`),
+        () => fetchFromSources(sources, {
+          sort_by: sortParam,
+          sort_type: 'desc',
+          ...backendFilterParams
+        }),
+        { forceRefresh, onRevalidate: (fresh) => applyFirstPage(fresh, key, { recordChanges: false }) }
+      );
+
+      applyFirstPage(page, key);
       setError('');
     } catch (err) {
-      setError('Failed to load tokens from backend');
+      setError('Failed to load tokens from the selected sources');
       console.error('Error loading marketplace tokens:', err);
     }
 
@@ -1364,8 +1786,85 @@ function Marketplace() {
     setRefreshing(false);
   };
 
+  const loadMoreTokens = async () => {
+    if (loadingMoreRef.current || !hasMore || !nextPageRef.current) return;
+    const key = loadedFeedRef.current;
+
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+
+    try {
+      const page = await fetchFromSources(sources, {
+        sort_by: sortParam,
+        sort_type: 'desc',
+        ...backendFilterParams
+      }, nextPageRef.current);
+
+      if (key === loadedFeedRef.current) {
+        nextPageRef.current = page.next;
+        setHasMore(page.hasMore);
+        setTokens(prev => appendPage(prev, page.tokens));
+      }
+    } catch (err) {
+      setError('Failed to load more tokens');
+      console.error('Error loading more marketplace tokens:', err);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  };
+
+  useEffect(() => () => clearTimeout(signalTimerRef.current), []);
+
+  // Fused signals are fetched in batches for the cards on screen, once
+  // scrolling settles; each token is refetched at most every few minutes
+  const loadVisibleSignals = async () => {
+    const now = Date.now();
+    const requested = signalRequestedRef.current;
+    const due = pendingVisibleRef.current
+      .map(token => token.mint)
+      .filter(mint => now - (requested.get(mint) || 0) > MARKETPLACE_SIGNAL_REFRESH_MS);
+    if (due.length === 0) return;
+    due.forEach(mint => requested.set(mint, now));
+
+    for (let i = 0; i < due.length; i += MARKETPLACE_SIGNAL_BATCH_SIZE) {
+      const batch = due.slice(i, i + MARKETPLACE_SIGNAL_BATCH_SIZE);
+      let results = {};
+      let failure = null;
+
+      try {
+        const response = await getBatchFusedSignals(batch);
+        if (response.success) results = response.results || {};
+        else failure = response.error || 'Signal batch failed';
+      } catch (err) {
+        console.error('Error loading marketplace signals:', err);
+        failure = err.message;
+      }
+
+      setSignals(prev => {
+        const next = { ...prev };
+        batch.forEach(mint => {
+          const result = results[mint];
+          next[mint] = result?.signal
+            ? { signal: result.signal, fetchedAt: now }
+            : { error: result?.error || failure || 'No signal for this token', fetchedAt: now };
+        });
+        return next;
+      });
+    }
+  };
+
+  const handleVisibleTokensChange = (visibleTokens) => {
+    pendingVisibleRef.current = visibleTokens;
+    clearTimeout(signalTimerRef.current);
+    signalTimerRef.current = setTimeout(loadVisibleSignals, MARKETPLACE_SIGNAL_DEBOUNCE_MS);
+  };
+
+  // undefined while not fetched yet, null when the backend has none
+  const signalFor = (mint) => (signals[mint] ? signals[mint].signal || null : undefined);
+
   const handleAnalyze = (tokenAddress) => {
-    navigate(`/?token=${tokenAddress}`);
+    navigate(tokenPath(tokenAddress));
   };
 
   const formatTime = (timestamp) => {
@@ -1383,8 +1882,18 @@ function Marketplace() {
     return `${Math.floor(diffHours / 24)}d ago`;
   };
 
-  // Tokens are already sorted by backend, no need for client-side sorting
-  const sortedTokens = tokens;
+  // Tokens are already sorted by backend except for the signal sorts.
+  // Filters are re-checked here since not every bound goes to the backend.
+  const filteredTokens = tokens.filter(token => matchesFilters(token, filters, { signal: signalFor(token.mint) }));
+  const sortedTokens = sortBy.startsWith('signal_')
+    ? [...filteredTokens].sort((a, b) => {
+        const va = signalSortValue(signalFor(a.mint), sortBy);
+        const vb = signalSortValue(signalFor(b.mint), sortBy);
+        if (va === null || vb === null) return (va === null) - (vb === null);
+        return vb - va;
+      })
+    : filteredTokens;
+  const activeFilterCount = countActiveFilters(filters);
 
   return (
     <div className="min-h-screen bg-black text-green-400 font-mono p-4">
@@ -1411,18 +1920,42 @@ function Marketplace() {
               <Link to="/dashboard" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
                 DASHBOARD
               </Link>
+              <Link to="/performance" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                PERFORMANCE
+              </Link>
             </div>
           </div>
           
           {/* Controls */}
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-2">
-              <Activity className="w-4 h-4 text-green-400 animate-pulse" />
+              <Activity className={`w-4 h-4 ${pausedRef.current ? 'text-yellow-400' : 'text-green-400 animate-pulse'}`} />
               <span className="text-sm text-green-400/60">
-                Live Feed • {tokens.length} tokens
+                {pausedRef.current ? 'Paused' : 'Live Feed'} • {activeFilterCount > 0 ? `${sortedTokens.length} of ${tokens.length}` : tokens.length} tokens
+                {newListingCount > 0 && <span className="text-yellow-400"> • {newListingCount} new</span>}
               </span>
             </div>
             <div className="flex items-center gap-3">
+              {liveFeed && (
+                <LiveFeedControls
+                  paused={paused}
+                  onPausedChange={setPaused}
+                  alerts={feedAlerts}
+                  onAlertsChange={handleFeedAlertsChange}
+                />
+              )}
+              <button
+                onClick={() => setShowScreener(!showScreener)}
+                className={`px-3 py-1 border rounded text-sm transition-all flex items-center gap-2 ${
+                  showScreener || activeFilterCount > 0
+                    ? 'border-cyan-400 text-cyan-400 bg-cyan-400/10'
+                    : 'border-green-400/30 text-green-400 hover:bg-green-400/10'
+                }`}
+              >
+                <Filter className="w-4 h-4" />
+                Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+              </button>
+
               <select
                 value={sortBy}
                 onChange={(e) => setSortBy(e.target.value)}
@@ -1430,6 +1963,8 @@ function Marketplace() {
               >
                 <option value="time">Sort by: Creation Time</option>
                 <option value="mcap">Sort by: Market Cap</option>
+                <option value="signal_direction">Sort by: Signal Direction</option>
+                <option value="signal_confidence">Sort by: Signal Confidence</option>
               </select>
               
               <button
@@ -1442,6 +1977,12 @@ function Marketplace() {
               </button>
             </div>
           </div>
+
+          <div className="mt-3">
+            <TokenSourcePicker selected={sources} onChange={handleSourcesChange} />
+          </div>
+
+          {showScreener && <ScreenerPanel filters={filters} onApply={setFilters} />}
         </div>
 
         {/* Error Display */}
@@ -1452,49 +1993,80 @@ function Marketplace() {
           </div>
         )}
 
-        {/* Token Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          {sortedTokens.map((token) => (
+        {sourceWarning && !error && (
+          <div className="border border-yellow-400/30 rounded-lg p-3 mb-6 bg-yellow-400/5 flex items-center gap-2 text-sm">
+            <AlertCircle className="w-4 h-4 text-yellow-400" />
+            <span className="text-yellow-400">{sourceWarning}</span>
+          </div>
+        )}
+
+        {/* Token Grid - only rows near the viewport are mounted */}
+        <VirtualGrid
+          items={sortedTokens}
+          getKey={(token) => token.mint}
+          rowHeight={MARKETPLACE_CARD_HEIGHT}
+          onEndReached={loadMoreTokens}
+          onVisibleChange={handleVisibleTokensChange}
+          renderItem={(token) => (
             <div
-              key={token.mint}
-              className="border-2 border-green-400/30 rounded-lg p-4 bg-black/50 hover:border-green-400 transition-all cursor-pointer"
+              className={`h-full flex flex-col border-2 rounded-lg p-4 bg-black/50 hover:border-green-400 transition-all cursor-pointer ${
+                isNewListing(token.mint) ? 'border-yellow-400/60' : 'border-green-400/30'
+              } ${isEntering(token.mint) ? 'animate-feed-in' : ''}`}
               onClick={() => handleAnalyze(token.mint)}
             >
               <div className="flex items-start gap-3 mb-3">
                 <img
-                  src={token.image_uri}
-                  alt={token.symbol}
+                  src={token.image_uri || 'https://via.placeholder.com/50'}
+                  alt={token.symbol || token.mint}
                   className="w-12 h-12 rounded-full border-2 border-green-400"
                   onError={(e) => { e.target.src = 'https://via.placeholder.com/50'; }}
                 />
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center gap-2">
                     <h3 className="text-lg font-bold text-green-400 truncate">
-                      {token.symbol}
+                      {token.symbol || token.mint.slice(0, 6)}
                     </h3>
                     {token.is_graduated && (
                       <span className="text-xs px-2 py-0.5 bg-yellow-400/20 border border-yellow-400/40 rounded text-yellow-400 flex items-center gap-1 whitespace-nowrap">
                         🎓 Graduated
                       </span>
                     )}
+                    {isNewListing(token.mint) && (
+                      <span className="ml-auto text-[10px] px-1.5 py-0.5 bg-yellow-400 text-black font-bold rounded">NEW</span>
+                    )}
                   </div>
                   <p className="text-xs text-green-400/60 truncate">{token.name}</p>
                   <div className="flex items-center gap-2 mt-1">
                     <span className="text-xs text-cyan-400 font-mono">
                       {token.mint.slice(0, 6)}...{token.mint.slice(-4)}
                     </span>
+                    {sources.length > 1 && (
+                      <span className="text-[10px] text-green-400/40 truncate">
+                        {token.sources.map(id => TOKEN_SOURCES[id].shortLabel).join(' + ')}
+                      </span>
+                    )}
                   </div>
                 </div>
               </div>
 
+              <div className="mb-3">
+                <SignalBadge entry={signals[token.mint]} />
+              </div>
+
               <p className="text-xs text-green-400/60 mb-3 line-clamp-2 min-h-[2.5rem]">
                 {token.description || 'No description available'}
               </p>
 
               <div className="space-y-2 mb-3">
+                <div className="flex justify-between text-xs">
+                  <span className="text-green-400/60">Price:</span>
+                  <span key={flashes[token.mint]?.at} className={`text-green-400 ${flashClass(token.mint, 'price')}`}>
+                    {token.price ? `$${token.price.toFixed(8)}` : 'N/A'}
+                  </span>
+                </div>
                 <div className="flex justify-between text-xs">
                   <span className="text-green-400/60">Market Cap:</span>
-                  <span className="text-green-400 font-bold">
+                  <span key={flashes[token.mint]?.at} className={`text-green-400 font-bold ${flashClass(token.mint, 'market_cap')}`}>
                     {token.market_cap ? `$${(token.market_cap).toLocaleString(undefined, {minimumFractionDigits: 0, maximumFractionDigits: 0})}` : 'N/A'}
                   </span>
                 </div>
@@ -1512,7 +2084,7 @@ function Marketplace() {
                 </div>
               </div>
 
-              <div className="flex gap-2 pt-3 border-t border-green-400/20">
+              <div className="flex gap-2 pt-3 mt-auto border-t border-green-400/20">
                 <button
                   onClick={() => handleAnalyze(token.mint)}
                   className="flex-1 px-3 py-2 bg-green-400 text-black text-sm font-bold rounded hover:brightness-110 transition-all flex items-center justify-center gap-2"
@@ -1535,8 +2107,22 @@ function Marketplace() {
                 )}
               </div>
             </div>
-          ))}
-        </div>
+          )}
+        />
+
+        {/* Next page - loads on its own when the last row scrolls into view */}
+        {tokens.length > 0 && (hasMore || loadingMore) && (
+          <div className="mt-4 text-center">
+            <button
+              onClick={loadMoreTokens}
+              disabled={loadingMore}
+              className="px-4 py-2 bg-green-400/10 border border-green-400/30 rounded text-sm text-green-400 hover:bg-green-400/20 transition-all disabled:opacity-50 inline-flex items-center gap-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${loadingMore ? 'animate-spin' : ''}`} />
+              {loadingMore ? 'Loading more...' : 'Load more'}
+            </button>
+          </div>
+        )}
 
         {/* Loading State */}
         {loading && tokens.length === 0 && (
@@ -1546,7 +2132,7 @@ function Marketplace() {
             </div>
             <h3 className="text-xl font-bold text-green-400/60 mb-2">LOADING TOKENS...</h3>
             <p className="text-green-400/40 text-sm">
-              Fetching trending tokens from DexScreener
+              Fetching tokens from {sources.map(id => TOKEN_SOURCES[id].label).join(', ')}
             </p>
           </div>
         )}
@@ -1567,6 +2153,23 @@ function Marketplace() {
             </button>
           </div>
         )}
+
+        {/* Everything filtered out */}
+        {tokens.length > 0 && sortedTokens.length === 0 && (
+          <div className="border-2 border-green-400/30 rounded-lg p-12 text-center bg-black/50">
+            <Filter className="w-16 h-16 mx-auto mb-4 text-green-400/30" />
+            <h3 className="text-xl font-bold text-green-400/60 mb-2">NO TOKENS MATCH</h3>
+            <p className="text-green-400/40 text-sm">
+              None of the {tokens.length} loaded tokens pass the current filters
+            </p>
+            <button
+              onClick={() => setFilters(DEFAULT_FILTERS)}
+              className="mt-4 px-4 py-2 bg-green-400/10 border border-green-400/30 rounded text-sm text-green-400 hover:bg-green-400/20 transition-all"
+            >
+              Clear Filters
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1582,6 +2185,7 @@ function Dashboard() {
   const navigate = useNavigate();
   const [trackedTokens, setTrackedTokens] = useState([]);
   const [tokenSignals, setTokenSignals] = useState({});
+  const [tokenMetrics, setTokenMetrics] = useState({}); // pushed /metrics/realtime snapshots
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [refreshing, setRefreshing] = useState(false);
@@ -1589,17 +2193,48 @@ function Dashboard() {
   const [addingToken, setAddingToken] = useState(false);
   // NOTE: Alert polling is handled by AlertButton component - no duplicate polling here
 
+  // Live fused-signal and metrics pushes for tracked tokens (same shapes as the REST results)
+  const streamStatus = useSignalStream(
+    trackedTokens.map(t => t.token_address || t.address),
+    {
+      onFusedSignal: (address, data) => {
+        if (!data?.success) return;
+        recordSignal(address, data.signal);
+        setTokenSignals(prev => ({
+          ...prev,
+          [address]: {
+            signal: data.signal,
+            has_metrics: data.data_sources?.metrics_available,
+            has_slippage: data.data_sources?.slippage_available
+          }
+        }));
+      },
+      onMetrics: (address, data) => {
+        if (!data) return;
+        setTokenMetrics(prev => ({ ...prev, [address]: data }));
+        setTokenSignals(prev => prev[address]?.signal
+          ? { ...prev, [address]: { ...prev[address], has_metrics: true } }
+          : prev);
+      }
+    }
+  );
+  const isLive = streamStatus === 'open';
+
   // Fetch tracked tokens and their signals on component mount
   useEffect(() => {
     loadDashboard();
-    
-    // Auto-refresh every 60 seconds
+  }, []);
+
+  // Auto-refresh every 60 seconds, only while the live stream is down
+  useEffect(() => {
+    if (isLive) return;
+
     const interval = setInterval(() => {
       loadDashboard(true);
     }, 60000);
     
     return () => clearInterval(interval);
-  }, []);
+  }, [isLive]);
 
   // NOTE: Notification permission and alert polling are handled by AlertButton component
   // No duplicate polling here to avoid conflicts
@@ -1633,7 +2268,11 @@ function Dashboard() {
           const batchResponse = await getBatchFusedSignals(tokenAddresses);
           
           if (batchResponse.success) {
-            setTokenSignals(batchResponse.results || {});
+            const results = batchResponse.results || {};
+            Object.entries(results).forEach(([addr, result]) => {
+              if (result.signal) recordSignal(addr, result.signal);
+            });
+            setTokenSignals(results);
           }
         } catch (batchError) {
           console.error('Batch signals failed, fetching individually:', batchError);
@@ -1645,6 +2284,7 @@ function Dashboard() {
             try {
               const fusionResult = await getFusedSignal(addr);
               if (fusionResult.success) {
+                recordSignal(addr, fusionResult.signal);
                 signals[addr] = {
                   signal: fusionResult.signal,
                   has_metrics: fusionResult.data_sources?.metrics_available,
@@ -1709,7 +2349,7 @@ function Dashboard() {
   };
 
   const handleAnalyzeToken = (tokenAddress) => {
-    navigate(`/?token=${tokenAddress}`);
+    navigate(tokenPath(tokenAddress));
   };
 
   const getDirectionColor = (direction) => {
@@ -1757,6 +2397,9 @@ function Dashboard() {
               <Link to="/dashboard" className="px-3 py-1 bg-green-400 text-black text-sm font-bold rounded">
                 DASHBOARD
               </Link>
+              <Link to="/performance" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                PERFORMANCE
+              </Link>
             </div>
           </div>
 
@@ -1777,6 +2420,14 @@ function Dashboard() {
                 <RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} />
                 {refreshing ? 'Refreshing...' : 'Refresh'}
               </button>
+              {trackedTokens.length > 0 && (
+                <span
+                  className={`px-2 py-0.5 rounded text-xs font-bold border ${isLive ? 'text-green-400 border-green-400/50 bg-green-400/10' : 'text-yellow-400 border-yellow-400/30'}`}
+                  title={isLive ? 'Signals are pushed as they change' : 'Live stream unavailable - refreshing every 60s'}
+                >
+                  {isLive ? '● LIVE' : 'POLLING 60s'}
+                </span>
+              )}
             </div>
 
             {/* Add Token Input */}
@@ -1838,6 +2489,8 @@ function Dashboard() {
               const signalData = tokenSignals[addr];
               const signal = signalData?.signal;
               const hasError = signalData?.error;
+              const nextPhase = Object.entries(tokenMetrics[addr]?.predictions?.next_phase_probabilities || {})
+                .sort(([, a], [, b]) => b - a)[0];
 
               return (
                 <div
@@ -1914,6 +2567,16 @@ function Dashboard() {
                         </span>
                       </div>
 
+                      {/* Most likely next phase, from pushed metrics */}
+                      {nextPhase && (
+                        <div className="flex items-center justify-between text-xs">
+                          <span className="text-green-400/60">Next phase:</span>
+                          <span className="font-bold text-purple-400">
+                            {nextPhase[0].toUpperCase().replace('_', ' ')} ({(nextPhase[1] * 100).toFixed(0)}%)
+                          </span>
+                        </div>
+                      )}
+
                       {/* Risk Level */}
                       {signal.risk_level && (
                         <div className="flex items-center justify-between text-xs">
@@ -1964,7 +2627,12 @@ function App() {
     <AccessControl>
       <HashRouter>
         <Routes>
-          <Route path="/" element={<Terminal />} />
+          <Route path="/" element={<LegacyTokenRedirect />} />
+          <Route path="/token/:address" element={<Terminal />} />
+          <Route path={SNAPSHOT_PATH} element={<Terminal key="snapshot" snapshotMode />} />
+          <Route path="/wallet/:address" element={<WalletProfile />} />
+          <Route path="/performance" element={<Performance />} />
+          <Route path="/compare" element={<Compare />} />
           <Route path="/marketplace" element={<Marketplace />} />
           <Route path="/dashboard" element={<Dashboard />} />
         </Routes>
@@ -0,0 +1,327 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Columns, X, Plus, AlertCircle, RefreshCw } from 'lucide-react';
+import { fetchTokenInfoByAddress, getFusedSignal, isAbortError, RateLimitError } from './api';
+import { getCacheKey, readThrough } from './analysisCache';
+import { recordSignal } from './signalHistory';
+import { tokenPath } from './routes';
+
+const MAX_TOKENS = 4;
+
+const DIRECTION_RANK = { strong_bullish: 2, bullish: 1, neutral: 0, bearish: -1, strong_bearish: -2 };
+const ACTION_RANK = { BUY: 2, HOLD: 1, WAIT: 1, SELL: 0, AVOID: -1, EXIT: -1 };
+const RISK_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+const LIQUIDITY_HEALTH_RANK = { favorable: 3, healthy: 2, degrading: 1 };
+
+const formatUsd = (value) => {
+  if (value === null || value === undefined) return '--';
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(2)}`;
+};
+const formatNumber = (digits) => (value) => (value === null || value === undefined ? '--' : value.toFixed(digits));
+const formatText = (value) => (value === null || value === undefined ? '--' : String(value).replace('_', ' ').toUpperCase());
+const formatBool = (value) => (value === null || value === undefined ? '--' : value ? 'YES' : 'NO');
+
+/**
+ * Comparison rows. `score` maps a column's raw value to a number where higher is better
+ * (null = not comparable); rows without `score` are shown but never highlighted.
+ */
+const SECTIONS = [
+  {
+    title: 'MARKET',
+    rows: [
+      { label: 'Price', get: c => c.info?.price, format: v => (v === undefined ? '--' : `$${v.toPrecision(4)}`) },
+      { label: 'Market Cap', get: c => c.info?.marketcap, format: formatUsd },
+      { label: 'Liquidity', get: c => c.info?.liquidity, format: formatUsd, score: v => v },
+      { label: 'Volume 24h', get: c => c.info?.volumeIn24h, format: formatUsd, score: v => v },
+      {
+        label: 'Change 24h',
+        get: c => c.info?.priceChangeIn24h,
+        format: v => (v === undefined ? '--' : `${v > 0 ? '+' : ''}${v.toFixed(1)}%`),
+        score: v => v
+      }
+    ]
+  },
+  {
+    title: 'FUSED SIGNAL',
+    rows: [
+      { label: 'Direction', get: c => c.signal?.direction, format: formatText, score: v => DIRECTION_RANK[v] ?? null },
+      { label: 'Action', get: c => c.signal?.action_code, format: formatText, score: v => ACTION_RANK[v] ?? null },
+      {
+        label: 'Confidence',
+        get: c => c.signal?.confidence,
+        format: v => (v === undefined ? '--' : `${(v * 100).toFixed(0)}%`),
+        score: v => v
+      },
+      { label: 'Risk Level', get: c => c.signal?.risk_level, format: formatText, score: v => (v in RISK_RANK ? -RISK_RANK[v] : null) },
+      { label: 'Systems Agree', get: c => c.signal?.systems_agree, format: formatBool, score: v => (v ? 1 : 0) }
+    ]
+  },
+  {
+    title: 'METRICS',
+    rows: [
+      { label: 'VTS (Volume Trend)', get: c => c.signal?.metrics_signal?.vts, format: formatNumber(2), score: v => v },
+      { label: 'PII (Pressure)', get: c => c.signal?.metrics_signal?.pii, format: formatNumber(3), score: v => v },
+      { label: 'VEI (Exhaustion)', get: c => c.signal?.metrics_signal?.vei, format: formatNumber(2), score: v => v },
+      { label: 'Conviction', get: c => c.signal?.metrics_signal?.conviction_multiplier, format: formatNumber(2), score: v => v }
+    ]
+  },
+  {
+    title: 'SLIPPAGE',
+    rows: [
+      {
+        label: 'Asymmetry',
+        get: c => c.signal?.slippage_signal?.asymmetry_ratio,
+        format: v => (v === undefined ? '--' : `${v.toFixed(2)}x`),
+        score: v => -v
+      },
+      {
+        label: 'Liquidity Health',
+        get: c => c.signal?.slippage_signal?.liquidity_health,
+        format: formatText,
+        score: v => LIQUIDITY_HEALTH_RANK[v] ?? 0
+      },
+      { label: 'Honeypot', get: c => c.signal?.slippage_signal?.is_honeypot, format: formatBool, score: v => (v ? 0 : 1) }
+    ]
+  }
+];
+
+/**
+ * Indexes of the best and worst column for a row, or nulls when fewer than
+ * two columns are comparable or they're all equal
+ */
+const rankRow = (row, columns) => {
+  if (!row.score) return { best: null, worst: null };
+
+  const scored = columns
+    .map((column, index) => {
+      const value = row.get(column);
+      return { index, score: value === undefined || value === null ? null : row.score(value) };
+    })
+    .filter(s => s.score !== null && Number.isFinite(s.score));
+
+  if (scored.length < 2) return { best: null, worst: null };
+  const max = Math.max(...scored.map(s => s.score));
+  const min = Math.min(...scored.map(s => s.score));
+  if (max === min) return { best: null, worst: null };
+
+  return {
+    best: scored.find(s => s.score === max).index,
+    worst: scored.find(s => s.score === min).index
+  };
+};
+
+/**
+ * Compare Component
+ *
+ * /compare?tokens=a,b,c - token info and fused signal for up to four tokens
+ * in aligned columns, with the best and worst value in each row highlighted.
+ */
+export function Compare() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tokenAddresses = (searchParams.get('tokens') || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean)
+    .slice(0, MAX_TOKENS);
+  const tokensKey = tokenAddresses.join(',');
+
+  const [columns, setColumns] = useState({}); // address -> { info, signal, loading, error, reloadKey }
+  const [addInput, setAddInput] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    tokenAddresses.forEach(async (address) => {
+      // Adding a token shouldn't refetch the ones already shown
+      if (columns[address]?.reloadKey === reloadKey) return;
+
+      setColumns(prev => ({ ...prev, [address]: { ...prev[address], loading: true, error: null } }));
+      try {
+        const { data: info } = await readThrough(
+          getCacheKey('token_info', address),
+          () => fetchTokenInfoByAddress(address, { signal: controller.signal }),
+          { forceRefresh: reloadKey > 0 }
+        );
+
+        let signal = null;
+        let signalError = null;
+        try {
+          const fusionResult = await getFusedSignal(address, false, { signal: controller.signal });
+          if (fusionResult.success) {
+            signal = fusionResult.signal;
+            recordSignal(address, signal);
+          }
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          signalError = err instanceof RateLimitError ? 'Daily analysis limit reached' : 'Signal unavailable';
+        }
+
+        setColumns(prev => ({ ...prev, [address]: { info, signal, loading: false, error: signalError, reloadKey } }));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setColumns(prev => ({ ...prev, [address]: { loading: false, error: err.message || 'Failed to load' } }));
+      }
+    });
+
+    return () => controller.abort();
+  }, [tokensKey, reloadKey]);
+
+  const setTokens = (addresses) => {
+    setSearchParams(addresses.length > 0 ? { tokens: addresses.join(',') } : {});
+  };
+
+  const handleAdd = () => {
+    const address = addInput.trim();
+    if (!address || tokenAddresses.includes(address) || tokenAddresses.length >= MAX_TOKENS) return;
+    setTokens([...tokenAddresses, address]);
+    setAddInput('');
+  };
+
+  const columnData = tokenAddresses.map(address => columns[address] || { loading: true });
+
+  return (
+    <div className="min-h-screen bg-black text-green-400 font-mono p-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="border-2 border-green-400 rounded-lg p-4 mb-6 bg-black/50 backdrop-blur">
+          <div className="flex flex-col md:flex-row items-center justify-between gap-4 mb-4">
+            <div className="flex items-center gap-3">
+              <Columns className="w-8 h-8 text-cyan-400" />
+              <div>
+                <h1 className="text-2xl font-bold bg-gradient-to-r from-cyan-400 to-purple-400 bg-clip-text text-transparent">
+                  COMPARE TOKENS
+                </h1>
+                <p className="text-xs text-green-400/60">Up to {MAX_TOKENS} tokens side by side</p>
+              </div>
+            </div>
+
+            {/* Navigation */}
+            <div className="flex gap-2 border border-green-400/30 rounded p-1">
+              <Link to="/" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                TERMINAL
+              </Link>
+              <Link to="/marketplace" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                MARKETPLACE
+              </Link>
+              <Link to="/dashboard" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                DASHBOARD
+              </Link>
+              <Link to="/performance" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                PERFORMANCE
+              </Link>
+            </div>
+          </div>
+
+          {/* Add token */}
+          <div className="flex items-center gap-2 flex-wrap">
+            <input
+              type="text"
+              value={addInput}
+              onChange={(e) => setAddInput(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+              placeholder={tokenAddresses.length >= MAX_TOKENS ? `Maximum ${MAX_TOKENS} tokens` : 'Add token address...'}
+              disabled={tokenAddresses.length >= MAX_TOKENS}
+              className="flex-1 min-w-[240px] bg-black border-2 border-green-400/30 rounded px-3 py-1 text-sm text-green-400 placeholder-green-400/30 focus:border-green-400 focus:outline-none disabled:opacity-50"
+            />
+            <button
+              onClick={handleAdd}
+              disabled={!addInput.trim() || tokenAddresses.length >= MAX_TOKENS}
+              className="px-3 py-1 bg-cyan-400/20 border border-cyan-400/50 rounded text-sm text-cyan-400 hover:bg-cyan-400/30 transition-all disabled:opacity-50 flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              Add
+            </button>
+            <button
+              onClick={() => setReloadKey(k => k + 1)}
+              disabled={tokenAddresses.length === 0}
+              className="px-3 py-1 bg-green-400/10 border border-green-400/30 rounded text-sm text-green-400 hover:bg-green-400/20 transition-all disabled:opacity-50 flex items-center gap-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${columnData.some(c => c.loading) ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {tokenAddresses.length === 0 ? (
+          <div className="border-2 border-green-400/30 rounded-lg p-12 text-center bg-black/50">
+            <Columns className="w-16 h-16 mx-auto mb-4 text-green-400/30" />
+            <h3 className="text-xl font-bold text-green-400/60 mb-2">NOTHING TO COMPARE</h3>
+            <p className="text-sm text-green-400/40">Add token addresses above, or use COMPARE on a token card</p>
+          </div>
+        ) : (
+          <div className="border-2 border-green-400/30 rounded-lg bg-black/50 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b-2 border-green-400/30">
+                  <th className="p-3 w-48"></th>
+                  {tokenAddresses.map((address, i) => {
+                    const column = columnData[i];
+                    return (
+                      <th key={address} className="p-3 text-left align-top border-l border-green-400/20">
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="min-w-0">
+                            <Link to={tokenPath(address)} className="text-green-400 font-bold hover:underline">
+                              {column.info ? `$${column.info.symbol}` : `${address.slice(0, 6)}...`}
+                            </Link>
+                            <div className="text-[10px] text-green-400/50 font-mono truncate font-normal">{address}</div>
+                            {column.loading && <div className="text-[10px] text-cyan-400 font-normal">Loading...</div>}
+                            {column.error && (
+                              <div className="text-[10px] text-red-400 font-normal flex items-center gap-1">
+                                <AlertCircle className="w-3 h-3" />
+                                {column.error}
+                              </div>
+                            )}
+                          </div>
+                          <button
+                            onClick={() => setTokens(tokenAddresses.filter(a => a !== address))}
+                            className="text-green-400/40 hover:text-red-400"
+                            title="Remove"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </th>
+                    );
+                  })}
+                </tr>
+              </thead>
+              <tbody>
+                {SECTIONS.map(section => [
+                  <tr key={section.title} className="bg-green-400/5">
+                    <td colSpan={tokenAddresses.length + 1} className="px-3 py-1 text-xs font-bold text-purple-400">
+                      {section.title}
+                    </td>
+                  </tr>,
+                  ...section.rows.map(row => {
+                    const { best, worst } = rankRow(row, columnData);
+                    return (
+                      <tr key={`${section.title}-${row.label}`} className="border-b border-green-400/10">
+                        <td className="p-3 text-xs text-green-400/60">{row.label}</td>
+                        {columnData.map((column, i) => (
+                          <td
+                            key={tokenAddresses[i]}
+                            className={`p-3 border-l border-green-400/20 font-bold ${
+                              i === best ? 'bg-green-400/15 text-green-400' :
+                              i === worst ? 'bg-red-400/10 text-red-400' :
+                              'text-cyan-400'
+                            }`}
+                          >
+                            {row.format(row.get(column))}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })
+                ])}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
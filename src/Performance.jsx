@@ -0,0 +1,376 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { Target, RefreshCw, AlertCircle } from 'lucide-react';
+import { fetchTokenInfoByAddress, fetchOhlcv, getOhlcvIntervalSeconds, isAbortError } from './api';
+import { getCacheKey, readThrough } from './analysisCache';
+import { runQueue } from './workQueue';
+import { getSignalHistory, getSignalChanges, listSignalHistoryTokens } from './signalHistory';
+import { HORIZONS, CONFIDENCE_BUCKETS, computeForwardReturns, summarize } from './backtest';
+import { tokenPath } from './routes';
+
+// 1000 is GeckoTerminal's max: 5m candles cover ~3.5 days, 1h candles ~41 days
+const CANDLE_LIMIT = 1000;
+const HORIZON_INTERVALS = { '5m': '5m', '1h': '5m', '24h': '1h' };
+
+/**
+ * Candles for every horizon of one token, keyed like HORIZONS
+ */
+const loadPriceSeries = async (tokenAddress, signal) => {
+  const cacheKey = getCacheKey('token_info', tokenAddress);
+  let { data: tokenInfo } = await readThrough(cacheKey, () => fetchTokenInfoByAddress(tokenAddress, { signal }));
+  // Entries cached before per-pair data existed have no pool address
+  if (!tokenInfo.pairs) {
+    ({ data: tokenInfo } = await readThrough(cacheKey, () => fetchTokenInfoByAddress(tokenAddress, { signal }), { forceRefresh: true }));
+  }
+
+  const poolAddress = tokenInfo.pairs?.[0]?.pairAddress;
+  if (!poolAddress) throw new Error('No trading pair');
+
+  const intervals = [...new Set(Object.values(HORIZON_INTERVALS))];
+  const candlesByInterval = {};
+  for (const interval of intervals) {
+    candlesByInterval[interval] = await fetchOhlcv(poolAddress, interval, CANDLE_LIMIT, { signal });
+  }
+
+  return {
+    symbol: tokenInfo.symbol,
+    series: Object.fromEntries(Object.entries(HORIZON_INTERVALS).map(([horizon, interval]) => [
+      horizon,
+      { candles: candlesByInterval[interval], step: getOhlcvIntervalSeconds(interval) }
+    ]))
+  };
+};
+
+const formatPct = (value, signed = false) => {
+  if (value === null || value === undefined) return '--';
+  const pct = value * 100;
+  return `${signed && pct > 0 ? '+' : ''}${pct.toFixed(1)}%`;
+};
+
+const hitRateColor = (rate) => {
+  if (rate === null) return 'text-green-400/30';
+  if (rate >= 0.6) return 'text-green-400';
+  if (rate >= 0.5) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+function StatsTable({ title, rows }) {
+  return (
+    <div className="border-2 border-green-400/30 rounded-lg bg-black/50 overflow-x-auto">
+      <div className="p-3 border-b border-green-400/30 text-sm font-bold text-green-400">{title}</div>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="border-b border-green-400/30 bg-green-400/5">
+            <th className="text-left p-2 text-green-400/60"></th>
+            {Object.keys(HORIZONS).map(h => (
+              <th key={h} colSpan="3" className="text-center p-2 text-green-400/60 font-bold border-l border-green-400/20">{h}</th>
+            ))}
+          </tr>
+          <tr className="border-b border-green-400/20 text-green-400/50">
+            <th></th>
+            {Object.keys(HORIZONS).map(h => (
+              <th key={h} colSpan="3" className="border-l border-green-400/20">
+                <div className="grid grid-cols-3 font-normal">
+                  <span>HIT</span><span>AVG</span><span>N</span>
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, stats]) => (
+            <tr key={label} className="border-b border-green-400/10">
+              <td className="p-2 font-bold text-cyan-400">{label}</td>
+              {Object.keys(HORIZONS).map(h => {
+                const s = stats[h];
+                return (
+                  <td key={h} colSpan="3" className="p-2 border-l border-green-400/20">
+                    <div className="grid grid-cols-3 text-center">
+                      <span className={`font-bold ${hitRateColor(s.hitRate)}`}>{formatPct(s.hitRate)}</span>
+                      <span className={s.avgReturn > 0 ? 'text-green-400' : s.avgReturn < 0 ? 'text-red-400' : 'text-green-400/30'}>
+                        {formatPct(s.avgReturn, true)}
+                      </span>
+                      <span className="text-green-400/60">{s.count}</span>
+                    </div>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function CalibrationChart({ points }) {
+  const size = 240;
+  const pad = 30;
+  const scale = (v) => pad + v * (size - 2 * pad);
+  const maxCount = Math.max(...points.map(p => p.count), 1);
+
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-full max-w-sm">
+      <rect x={pad} y={pad} width={size - 2 * pad} height={size - 2 * pad} fill="none" stroke="#4ade80" strokeOpacity="0.2" />
+      {/* Perfect calibration */}
+      <line x1={scale(0)} y1={size - scale(0)} x2={scale(1)} y2={size - scale(1)} stroke="#4ade80" strokeOpacity="0.4" strokeDasharray="4 4" />
+      {[0, 0.5, 1].map(v => (
+        <g key={v}>
+          <text x={scale(v)} y={size - pad + 14} fontSize="9" fill="#4ade80" fillOpacity="0.6" textAnchor="middle">{v * 100}%</text>
+          <text x={pad - 4} y={size - scale(v) + 3} fontSize="9" fill="#4ade80" fillOpacity="0.6" textAnchor="end">{v * 100}%</text>
+        </g>
+      ))}
+      <text x={size / 2} y={size - 2} fontSize="9" fill="#4ade80" fillOpacity="0.6" textAnchor="middle">stated confidence</text>
+      <text x={8} y={size / 2} fontSize="9" fill="#4ade80" fillOpacity="0.6" textAnchor="middle" transform={`rotate(-90 8 ${size / 2})`}>
+        observed accuracy
+      </text>
+      {points.length > 1 && (
+        <polyline
+          points={points.map(p => `${scale(p.statedConfidence)},${size - scale(p.observedAccuracy)}`).join(' ')}
+          fill="none"
+          stroke="#c084fc"
+          strokeWidth="1.5"
+        />
+      )}
+      {points.map(p => (
+        <circle
+          key={p.bucket}
+          cx={scale(p.statedConfidence)}
+          cy={size - scale(p.observedAccuracy)}
+          r={3 + 5 * Math.sqrt(p.count / maxCount)}
+          fill="#c084fc"
+          fillOpacity="0.6"
+        >
+          <title>{`${p.bucket}: ${formatPct(p.observedAccuracy)} hit rate over ${p.count} calls`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Performance Component
+ *
+ * /performance - backtests every locally recorded fused-signal snapshot against
+ * later prices: hit rate and average return per action_code and confidence bucket
+ * at 5m/1h/24h, plus a calibration curve of stated confidence vs observed accuracy.
+ */
+export function Performance() {
+  const [summary, setSummary] = useState(null);
+  const [tokenRows, setTokenRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ current: 0, total: 0 });
+  const [error, setError] = useState('');
+  const [changesOnly, setChangesOnly] = useState(false);
+  const [calibrationHorizon, setCalibrationHorizon] = useState('1h');
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    runBacktest();
+    return () => controllerRef.current?.abort();
+  }, [changesOnly]);
+
+  const runBacktest = async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const tokens = listSignalHistoryTokens();
+    setRunning(true);
+    setError('');
+    setTokenRows([]);
+    setSummary(null);
+    setProgress({ current: 0, total: tokens.length });
+
+    const allResults = [];
+    const rows = [];
+
+    try {
+      await runQueue(tokens, async (tokenAddress, { signal }) => {
+        const history = getSignalHistory(tokenAddress);
+        const snapshots = changesOnly ? getSignalChanges(history) : history;
+        const { symbol, series } = await loadPriceSeries(tokenAddress, signal);
+        return { tokenAddress, symbol, results: computeForwardReturns(snapshots, series) };
+      }, {
+        // GeckoTerminal's free tier allows ~30 requests a minute
+        concurrency: 2,
+        signal: controller.signal,
+        onTaskError: (err, tokenAddress) => ({ tokenAddress, symbol: null, results: [], error: err.message }),
+        onResult: (row) => {
+          allResults.push(...row.results);
+          rows.push({
+            tokenAddress: row.tokenAddress,
+            symbol: row.symbol,
+            snapshots: row.results.length,
+            scored: row.results.filter(r => Object.values(r.returns).some(v => v !== null)).length,
+            error: row.error
+          });
+          setTokenRows([...rows]);
+          setSummary(summarize(allResults));
+          setProgress({ current: rows.length, total: tokens.length });
+        }
+      });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error('[Performance] Backtest failed:', err);
+      setError(err.message || 'Backtest failed');
+    }
+
+    if (!controller.signal.aborted) {
+      setSummary(summarize(allResults));
+      setRunning(false);
+    }
+  };
+
+  const actionRows = summary
+    ? Object.entries(summary.byAction).sort(([a], [b]) => a.localeCompare(b))
+    : [];
+  const confidenceRows = summary
+    ? CONFIDENCE_BUCKETS.filter(b => summary.byConfidence[b.label]).map(b => [b.label, summary.byConfidence[b.label]])
+    : [];
+
+  return (
+    <div className="min-h-screen bg-black text-green-400 font-mono p-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="border-2 border-green-400 rounded-lg p-4 mb-6 bg-black/50 backdrop-blur">
+          <div className="flex flex-col md:flex-row items-center justify-between gap-4 mb-4">
+            <div className="flex items-center gap-3">
+              <Target className="w-8 h-8 text-purple-400" />
+              <div>
+                <h1 className="text-2xl font-bold bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
+                  SIGNAL PERFORMANCE
+                </h1>
+                <p className="text-xs text-green-400/60">Recorded fused signals scored against later prices</p>
+              </div>
+            </div>
+
+            {/* Navigation */}
+            <div className="flex gap-2 border border-green-400/30 rounded p-1">
+              <Link to="/" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                TERMINAL
+              </Link>
+              <Link to="/marketplace" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                MARKETPLACE
+              </Link>
+              <Link to="/dashboard" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                DASHBOARD
+              </Link>
+              <Link to="/performance" className="px-3 py-1 bg-green-400 text-black text-sm font-bold rounded">
+                PERFORMANCE
+              </Link>
+            </div>
+          </div>
+
+          {/* Controls */}
+          <div className="flex items-center gap-4 flex-wrap text-sm">
+            <button
+              onClick={runBacktest}
+              disabled={running}
+              className="px-3 py-1 bg-green-400/10 border border-green-400/30 rounded text-green-400 hover:bg-green-400/20 transition-all disabled:opacity-50 flex items-center gap-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${running ? 'animate-spin' : ''}`} />
+              {running ? `Scoring ${progress.current}/${progress.total}...` : 'Re-run'}
+            </button>
+            <label className="flex items-center gap-2 text-green-400/80 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={changesOnly}
+                onChange={(e) => setChangesOnly(e.target.checked)}
+                className="accent-green-400"
+              />
+              Only score snapshots where direction or action changed
+            </label>
+            {summary && (
+              <span className="text-green-400/60">
+                {summary.total} snapshots across {tokenRows.length} tokens
+              </span>
+            )}
+          </div>
+
+          {error && (
+            <div className="mt-3 flex items-center gap-2 text-red-400 text-sm">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        {progress.total === 0 && !running ? (
+          <div className="border-2 border-green-400/30 rounded-lg p-12 text-center bg-black/50">
+            <Target className="w-16 h-16 mx-auto mb-4 text-green-400/30" />
+            <h3 className="text-xl font-bold text-green-400/60 mb-2">NO SIGNAL HISTORY YET</h3>
+            <p className="text-sm text-green-400/40">
+              Signals are recorded each time a token is analyzed in fusion mode or refreshed on the dashboard.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <p className="text-xs text-green-400/50">
+              A call is a hit when price moves its way: up for BUY; down for SELL, EXIT and AVOID;
+              within ±2% for everything else. AVG is the return in the call's direction.
+              5m and 1h are priced from 5m candles; 24h uses 1h candles.
+            </p>
+
+            {actionRows.length > 0 && <StatsTable title="BY ACTION" rows={actionRows} />}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2">
+                {confidenceRows.length > 0 && <StatsTable title="BY CONFIDENCE" rows={confidenceRows} />}
+              </div>
+
+              {/* Calibration */}
+              <div className="border-2 border-purple-400/30 rounded-lg p-4 bg-black/50">
+                <div className="flex items-center justify-between mb-3">
+                  <span className="text-sm font-bold text-purple-400">CALIBRATION</span>
+                  <div className="flex gap-1">
+                    {Object.keys(HORIZONS).map(h => (
+                      <button
+                        key={h}
+                        onClick={() => setCalibrationHorizon(h)}
+                        className={`px-2 py-0.5 text-xs font-bold rounded ${
+                          calibrationHorizon === h ? 'bg-purple-400 text-black' : 'text-purple-400 hover:bg-purple-400/10'
+                        }`}
+                      >
+                        {h}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {summary?.calibration[calibrationHorizon]?.length > 0 ? (
+                  <CalibrationChart points={summary.calibration[calibrationHorizon]} />
+                ) : (
+                  <p className="text-xs text-green-400/40">No scored calls at this horizon yet</p>
+                )}
+                <p className="text-[10px] text-green-400/40 mt-2">
+                  Points under the dashed line mean the signal is overconfident.
+                </p>
+              </div>
+            </div>
+
+            {/* Per-token coverage */}
+            <div className="border-2 border-green-400/30 rounded-lg bg-black/50 overflow-x-auto">
+              <div className="p-3 border-b border-green-400/30 text-sm font-bold text-green-400">TOKENS</div>
+              <table className="w-full text-xs">
+                <tbody>
+                  {tokenRows.map(row => (
+                    <tr key={row.tokenAddress} className="border-b border-green-400/10">
+                      <td className="p-2">
+                        <Link to={tokenPath(row.tokenAddress)} className="text-cyan-400 hover:underline">
+                          {row.symbol ? `$${row.symbol}` : `${row.tokenAddress.slice(0, 8)}...`}
+                        </Link>
+                      </td>
+                      <td className="p-2 text-right text-green-400/60">{row.snapshots} snapshots</td>
+                      <td className="p-2 text-right text-green-400/60">{row.scored} with price data</td>
+                      <td className="p-2 text-right text-red-400">{row.error || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,8 @@
 import { useState, useEffect, useCallback } from 'react';
-import { Connection, LAMPORTS_PER_SOL, Keypair } from '@solana/web3.js';
+import { LAMPORTS_PER_SOL, Keypair } from '@solana/web3.js';
 import { Copy, RefreshCw, ExternalLink, Eye, EyeOff, Trash2 } from 'lucide-react';
 import bs58 from 'bs58';
-
-const API_KEY = import.meta.env.VITE_HELIUS_API_KEY;
-const RPC_ENDPOINT = `https://mainnet.helius-rpc.com/?api-key=${API_KEY}`;
+import { getConnection, getCluster } from './config';
 
 /**
  * SimpleWallet Component
@@ -62,11 +60,11 @@ export function SimpleWallet() {
      * Fetch the SOL balance for the current wallet
      */
     const fetchBalance = useCallback(async () => {
-        if (!wallet?.publicKey || !API_KEY) return;
+        if (!wallet?.publicKey) return;
         
         setLoading(true);
         try {
-            const connection = new Connection(RPC_ENDPOINT, 'confirmed');
+            const connection = getConnection();
             const bal = await connection.getBalance(wallet.publicKey);
             setBalance(bal / LAMPORTS_PER_SOL);
         } catch (e) {
@@ -160,7 +158,8 @@ export function SimpleWallet() {
      */
     const openSolscan = () => {
         if (wallet) {
-            window.open(`https://solscan.io/account/${wallet.publicKey.toString()}`, '_blank');
+            const clusterParam = getCluster() === 'devnet' ? '?cluster=devnet' : '';
+            window.open(`https://solscan.io/account/${wallet.publicKey.toString()}${clusterParam}`, '_blank');
         }
     };
 
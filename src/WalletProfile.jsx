@@ -0,0 +1,455 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { PublicKey } from '@solana/web3.js';
+import { Wallet, Brain, Coins, History, AlertCircle, RefreshCw, ExternalLink, Copy, Check } from 'lucide-react';
+import {
+  getWalletBalances,
+  getRecentTransactions,
+  getTokenSupply,
+  analyzeWalletViaBackend,
+  isAbortError,
+  RateLimitError
+} from './api';
+import { getCluster } from './config';
+import { getCacheKey, getCached, listCacheEntries } from './analysisCache';
+import { requestQuotaRefresh } from './quota';
+import { tokenPath, walletPath } from './routes';
+import { CachedBadge } from './components/CachedBadge';
+
+/**
+ * Tokens in `holdings` that ORB has analyzed before (found in the persistent cache),
+ * with the symbol from cached token info and this wallet's row from a cached holder scan.
+ */
+const findAnalyzedHoldings = async (walletAddress, holdings) => {
+  const entries = await listCacheEntries();
+  const analyzedMints = new Set(
+    entries
+      .filter(e => e.type === 'token_info' || e.type === 'holders')
+      .map(e => e.key.slice(e.type.length + 1))
+  );
+
+  const matches = holdings.filter(token => analyzedMints.has(token.mint));
+  return Promise.all(matches.map(async (token) => {
+    const info = await getCached(getCacheKey('token_info', token.mint));
+    const holders = await getCached(getCacheKey('holders', token.mint));
+    return {
+      ...token,
+      symbol: info?.data?.symbol || null,
+      holderRow: holders?.data?.find(row => row.address === walletAddress && !row.isFallback) || null
+    };
+  }));
+};
+
+/**
+ * WalletProfile Component
+ *
+ * /wallet/:address - a holder's analysis, balances, recent transactions,
+ * and the other ORB-analyzed tokens it holds.
+ * The analysis runs against ?token= (the token it was opened from). A cached
+ * holder-scan row is shown when one exists; otherwise the user starts the
+ * analysis (it costs quota), so opening a profile is always free.
+ */
+export function WalletProfile() {
+  const { address } = useParams();
+  const [searchParams] = useSearchParams();
+  const contextToken = searchParams.get('token');
+
+  const [balances, setBalances] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [analyzedHoldings, setAnalyzedHoldings] = useState([]);
+  const [analysis, setAnalysis] = useState(null); // { ...row, timestamp } - timestamp set when cached
+  const [loading, setLoading] = useState(true);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [error, setError] = useState('');
+  const [analysisError, setAnalysisError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const isValidAddress = (() => {
+    try {
+      new PublicKey(address);
+      return true;
+    } catch {
+      return false;
+    }
+  })();
+
+  useEffect(() => {
+    if (!isValidAddress) {
+      setError('Invalid wallet address');
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    loadProfile(controller.signal);
+    return () => controller.abort();
+  }, [address, contextToken]);
+
+  const loadProfile = async (signal) => {
+    setLoading(true);
+    setError('');
+    setAnalysisError('');
+    setAnalysis(null);
+
+    const [balanceResult, txResult] = await Promise.allSettled([
+      getWalletBalances(address),
+      getRecentTransactions(address, 20)
+    ]);
+    if (signal.aborted) return;
+
+    if (balanceResult.status === 'fulfilled') {
+      setBalances(balanceResult.value);
+      setAnalyzedHoldings(await findAnalyzedHoldings(address, balanceResult.value.tokens));
+    } else {
+      console.error('[WalletProfile] Balance fetch failed:', balanceResult.reason);
+      setBalances(null);
+      setError('Failed to load balances from RPC');
+    }
+
+    if (txResult.status === 'fulfilled') {
+      setTransactions(txResult.value);
+    } else {
+      console.error('[WalletProfile] Transaction fetch failed:', txResult.reason);
+      setTransactions([]);
+    }
+    setLoading(false);
+
+    if (!contextToken || signal.aborted) return;
+
+    // A holder scan of this token already analyzed the wallet - no need to spend quota
+    const cachedHolders = await getCached(getCacheKey('holders', contextToken));
+    const cachedRow = cachedHolders?.data?.find(row => row.address === address && !row.isFallback);
+    if (cachedRow && !signal.aborted) {
+      setAnalysis({ ...cachedRow, timestamp: cachedHolders.timestamp });
+    }
+  };
+
+  const runAnalysis = async (signal, tokens = balances?.tokens || []) => {
+    setAnalyzing(true);
+    setAnalysisError('');
+    try {
+      const held = tokens.find(t => t.mint === contextToken);
+      const supply = held ? await getTokenSupply(contextToken) : 0;
+      // Held but the supply read failed - the share is unknown, not 0
+      const holdingPercent = !held ? 0 : supply ? held.amount / supply * 100 : null;
+
+      const result = await analyzeWalletViaBackend(address, contextToken, holdingPercent, { signal });
+      if (signal?.aborted) return;
+
+      if (result.isFallback) {
+        setAnalysisError('Backend analysis failed for this wallet');
+      } else {
+        setAnalysis({ ...result, holdingPercent: holdingPercent?.toFixed(2) ?? null, timestamp: null });
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setAnalysisError(err instanceof RateLimitError ? 'Daily analysis limit reached' : err.message);
+    } finally {
+      setAnalyzing(false);
+      requestQuotaRefresh();
+    }
+  };
+
+  const copyAddress = async () => {
+    try {
+      await navigator.clipboard.writeText(address);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const getIQColor = (iq) => {
+    if (iq >= 100) return 'text-cyan-400';
+    if (iq >= 80) return 'text-green-400';
+    if (iq >= 60) return 'text-yellow-400';
+    return 'text-red-400';
+  };
+
+  const formatTime = (blockTime) => {
+    if (!blockTime) return '--';
+    const diffMins = Math.floor((Date.now() / 1000 - blockTime) / 60);
+    if (diffMins < 1) return 'Just now';
+    if (diffMins < 60) return `${diffMins}m ago`;
+    const diffHours = Math.floor(diffMins / 60);
+    if (diffHours < 24) return `${diffHours}h ago`;
+    return `${Math.floor(diffHours / 24)}d ago`;
+  };
+
+  const clusterParam = getCluster() === 'devnet' ? '?cluster=devnet' : '';
+  const shortAddress = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+  return (
+    <div className="min-h-screen bg-black text-green-400 font-mono p-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="border-2 border-green-400 rounded-lg p-4 mb-6 bg-black/50 backdrop-blur">
+          <div className="flex flex-col md:flex-row items-center justify-between gap-4">
+            <div className="flex items-center gap-3 min-w-0">
+              <Wallet className="w-8 h-8 text-purple-400 flex-shrink-0" />
+              <div className="min-w-0">
+                <h1 className="text-2xl font-bold bg-gradient-to-r from-green-400 to-cyan-400 bg-clip-text text-transparent">
+                  WALLET PROFILE
+                </h1>
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-cyan-400 font-mono truncate">{address}</span>
+                  <button onClick={copyAddress} className="p-1 hover:bg-green-400/10 rounded transition-all">
+                    {copied ? (
+                      <Check className="w-3 h-3 text-green-400" />
+                    ) : (
+                      <Copy className="w-3 h-3 text-green-400/50 hover:text-green-400" />
+                    )}
+                  </button>
+                  <a
+                    href={`https://solscan.io/account/${address}${clusterParam}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-green-400/50 hover:text-green-400"
+                  >
+                    <ExternalLink className="w-3 h-3" />
+                  </a>
+                </div>
+              </div>
+            </div>
+
+            {/* Navigation */}
+            <div className="flex gap-2 border border-green-400/30 rounded p-1">
+              <Link
+                to={contextToken ? tokenPath(contextToken, 'wallet') : '/'}
+                className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10"
+              >
+                TERMINAL
+              </Link>
+              <Link to="/marketplace" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                MARKETPLACE
+              </Link>
+              <Link to="/dashboard" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                DASHBOARD
+              </Link>
+              <Link to="/performance" className="px-3 py-1 text-green-400 text-sm font-bold rounded hover:bg-green-400/10">
+                PERFORMANCE
+              </Link>
+            </div>
+          </div>
+
+          {error && (
+            <div className="mt-3 flex items-center gap-2 text-red-400 text-sm">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="border-2 border-green-400/30 rounded-lg p-12 text-center bg-black/50">
+            <RefreshCw className="w-12 h-12 mx-auto mb-4 text-green-400 animate-spin" />
+            <p className="text-green-400/60">Loading wallet from chain...</p>
+          </div>
+        ) : isValidAddress && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Analysis */}
+            <div className="border-2 border-purple-400/50 rounded-lg p-4 bg-black/50">
+              <div className="flex items-center justify-between mb-4 flex-wrap gap-2">
+                <h2 className="text-lg font-bold text-purple-400 flex items-center gap-2">
+                  <Brain className="w-5 h-5" />
+                  WALLET INTELLIGENCE
+                </h2>
+                {analysis && (
+                  <CachedBadge
+                    timestamp={analysis.timestamp}
+                    onRefresh={!analyzing ? () => runAnalysis() : undefined}
+                  />
+                )}
+              </div>
+
+              {!contextToken ? (
+                <p className="text-sm text-green-400/60">
+                  Wallet analysis runs against a token. Open this wallet from a holder table,
+                  or pick one of the analyzed tokens it holds below.
+                </p>
+              ) : analyzing ? (
+                <div className="flex items-center gap-2 text-sm text-green-400/60">
+                  <RefreshCw className="w-4 h-4 animate-spin" />
+                  Analyzing wallet...
+                </div>
+              ) : !analysis ? (
+                <div className="space-y-3">
+                  {analysisError && (
+                    <div className="flex items-center gap-2 text-sm text-red-400">
+                      <AlertCircle className="w-4 h-4" />
+                      {analysisError}
+                    </div>
+                  )}
+                  <p className="text-sm text-green-400/60">
+                    No cached analysis of this wallet against{' '}
+                    <Link to={tokenPath(contextToken, 'wallet')} className="text-cyan-400 hover:underline">
+                      {shortAddress(contextToken)}
+                    </Link>
+                    . Running one uses an analysis from your daily quota.
+                  </p>
+                  <button
+                    onClick={() => runAnalysis()}
+                    className="px-4 py-2 bg-purple-400 text-black text-sm font-bold rounded hover:brightness-110 transition-all flex items-center gap-2"
+                  >
+                    <Brain className="w-4 h-4" />
+                    ANALYZE
+                  </button>
+                </div>
+              ) : (
+                <>
+                  {analysisError && (
+                    <div className="flex items-center gap-2 text-sm text-red-400 mb-3">
+                      <AlertCircle className="w-4 h-4" />
+                      {analysisError}
+                    </div>
+                  )}
+                  <div className="text-xs text-green-400/60 mb-3">
+                    Against{' '}
+                    <Link to={tokenPath(contextToken, 'wallet')} className="text-cyan-400 hover:underline">
+                      {shortAddress(contextToken)}
+                    </Link>
+                    {analysis.holdingPercent === null
+                      ? ' • holding % unavailable'
+                      : analysis.holdingPercent && ` • holds ${analysis.holdingPercent}%`}
+                  </div>
+                  <div className="grid grid-cols-3 gap-3">
+                    <div className="border border-green-400/30 rounded p-3">
+                      <div className="text-xs text-green-400/60 mb-1">IQ SCORE</div>
+                      <div className={`text-2xl font-bold ${getIQColor(analysis.iq)}`}>{analysis.iq}</div>
+                    </div>
+                    <div className="border border-green-400/30 rounded p-3">
+                      <div className="text-xs text-green-400/60 mb-1">WIN RATE</div>
+                      <div className="text-2xl font-bold text-green-400">{analysis.winRate}%</div>
+                    </div>
+                    <div className="border border-green-400/30 rounded p-3">
+                      <div className="text-xs text-green-400/60 mb-1">TRADES</div>
+                      <div className="text-2xl font-bold text-green-400">{analysis.trades}</div>
+                    </div>
+                    <div className="border border-green-400/30 rounded p-3">
+                      <div className="text-xs text-green-400/60 mb-1">PATTERN</div>
+                      <div className="text-sm font-bold text-green-400">{analysis.pattern}</div>
+                    </div>
+                    <div className="border border-green-400/30 rounded p-3">
+                      <div className="text-xs text-green-400/60 mb-1">HOLD SCORE</div>
+                      <div className="text-2xl font-bold text-green-400">{analysis.holdScore}/50</div>
+                    </div>
+                    <div className="border border-green-400/30 rounded p-3">
+                      <div className="text-xs text-green-400/60 mb-1">PORTFOLIO</div>
+                      <div className="text-2xl font-bold text-green-400">{analysis.portfolio}</div>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* Balances */}
+            <div className="border-2 border-green-400/30 rounded-lg p-4 bg-black/50">
+              <h2 className="text-lg font-bold text-green-400 flex items-center gap-2 mb-4">
+                <Coins className="w-5 h-5" />
+                BALANCES
+              </h2>
+              {balances ? (
+                <>
+                  <div className="flex justify-between items-baseline border-b border-green-400/20 pb-3 mb-3">
+                    <span className="text-sm text-green-400/60">SOL</span>
+                    <span className="text-2xl font-bold text-cyan-400">{balances.sol.toFixed(4)}</span>
+                  </div>
+                  <div className="text-xs text-green-400/60 mb-2">
+                    {balances.tokens.length} SPL token{balances.tokens.length !== 1 ? 's' : ''}
+                  </div>
+                  <div className="max-h-64 overflow-y-auto space-y-1">
+                    {balances.tokens.map(token => (
+                      <div key={token.tokenAccount} className="flex justify-between text-xs">
+                        <Link to={tokenPath(token.mint)} className="text-cyan-400 font-mono hover:underline">
+                          {shortAddress(token.mint)}
+                        </Link>
+                        <span className="text-green-400">{token.amount.toLocaleString()}</span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <p className="text-sm text-green-400/40">Balances unavailable</p>
+              )}
+            </div>
+
+            {/* Other ORB-analyzed tokens */}
+            <div className="border-2 border-cyan-400/30 rounded-lg p-4 bg-black/50">
+              <h2 className="text-lg font-bold text-cyan-400 flex items-center gap-2 mb-4">
+                <Brain className="w-5 h-5" />
+                ANALYZED TOKENS HELD
+              </h2>
+              {analyzedHoldings.length === 0 ? (
+                <p className="text-sm text-green-400/40">None of this wallet's tokens have been analyzed in this browser</p>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="border-b border-green-400/30">
+                      <th className="text-left p-2 text-green-400/60 font-bold">TOKEN</th>
+                      <th className="text-right p-2 text-green-400/60 font-bold">AMOUNT</th>
+                      <th className="text-right p-2 text-green-400/60 font-bold">IQ</th>
+                      <th className="p-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analyzedHoldings.map(token => (
+                      <tr key={token.tokenAccount} className="border-b border-green-400/10">
+                        <td className="p-2">
+                          <Link to={tokenPath(token.mint)} className="text-cyan-400 hover:underline">
+                            {token.symbol ? `$${token.symbol}` : shortAddress(token.mint)}
+                          </Link>
+                        </td>
+                        <td className="p-2 text-right text-green-400">{token.amount.toLocaleString()}</td>
+                        <td className={`p-2 text-right font-bold ${token.holderRow ? getIQColor(token.holderRow.iq) : 'text-green-400/30'}`}>
+                          {token.holderRow ? token.holderRow.iq : '--'}
+                        </td>
+                        <td className="p-2 text-right">
+                          {token.mint !== contextToken && (
+                            <Link to={walletPath(address, token.mint)} className="text-purple-400 hover:underline">
+                              Analyze
+                            </Link>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {/* Recent transactions */}
+            <div className="border-2 border-green-400/30 rounded-lg p-4 bg-black/50">
+              <h2 className="text-lg font-bold text-green-400 flex items-center gap-2 mb-4">
+                <History className="w-5 h-5" />
+                RECENT TRANSACTIONS
+              </h2>
+              {transactions.length === 0 ? (
+                <p className="text-sm text-green-400/40">No recent transactions</p>
+              ) : (
+                <div className="max-h-64 overflow-y-auto space-y-1">
+                  {transactions.map(tx => (
+                    <div key={tx.signature} className="flex justify-between items-center text-xs">
+                      <a
+                        href={`https://solscan.io/tx/${tx.signature}${clusterParam}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-cyan-400 font-mono hover:underline"
+                      >
+                        {tx.signature.slice(0, 12)}...
+                      </a>
+                      <span className={tx.err ? 'text-red-400' : 'text-green-400/60'}>
+                        {tx.err ? 'FAILED' : 'OK'}
+                      </span>
+                      <span className="text-green-400/60">{formatTime(tx.blockTime)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
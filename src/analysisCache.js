@@ -0,0 +1,325 @@
+// src/analysisCache.js
+// Persistent analysis cache for ORB (IndexedDB)
+// Survives reloads so re-opening a token doesn't spend quota again.
+// Size-bounded with LRU eviction, per-type TTLs, stale-while-revalidate reads.
+// Falls back to an in-memory Map when IndexedDB is unavailable (e.g. private mode).
+
+const DB_NAME = 'orb-cache';
+const DB_VERSION = 2;
+const STORE = 'entries';
+// [lastAccess, timestamp, size] - a key cursor over it yields everything
+// eviction needs, least recently used first, without loading payloads
+const EVICTION_INDEX = 'eviction';
+
+const MAX_ENTRIES = 300;
+const MAX_BYTES = 8 * 1024 * 1024; // approximate, measured as JSON length
+
+/**
+ * Per-type policies, keyed by the `type` passed to getCacheKey.
+ * ttl      - how long an entry counts as fresh
+ * maxStale - how long past ttl it may still be served while revalidating
+ * revalidate - whether a stale read refetches in the background.
+ *   Holder scans cost one analysis per wallet, so stale holders are served
+ *   as-is and the user refreshes explicitly.
+ * shouldCache - optional check on the data; false skips the write. A holder
+ *   scan with placeholder rows (failed/timed-out wallets) would otherwise be
+ *   served for a day without healing; a distribution read without the token
+ *   supply is refetched rather than kept.
+ */
+export const CACHE_POLICIES = {
+  token_info: { ttl: 60 * 1000, maxStale: 60 * 60 * 1000, revalidate: true },
+  holders: {
+    ttl: 5 * 60 * 1000,
+    maxStale: 24 * 60 * 60 * 1000,
+    revalidate: false,
+    shouldCache: (rows) => Array.isArray(rows) && rows.length > 0 && rows.every(row => !row.isFallback)
+  },
+  holder_distribution: {
+    ttl: 5 * 60 * 1000,
+    maxStale: 60 * 60 * 1000,
+    revalidate: true,
+    shouldCache: (data) => data?.supply > 0
+  },
+  token_safety: { ttl: 10 * 60 * 1000, maxStale: 24 * 60 * 60 * 1000, revalidate: true },
+  // A wallet's first funding never changes
+  funding: { ttl: 7 * 24 * 60 * 60 * 1000, maxStale: 30 * 24 * 60 * 60 * 1000, revalidate: false },
+  marketplace: { ttl: 30 * 1000, maxStale: 10 * 60 * 1000, revalidate: true }
+};
+
+const DEFAULT_POLICY = { ttl: 60 * 1000, maxStale: 10 * 60 * 1000, revalidate: true };
+
+export const getCacheKey = (type, identifier) => `${type}:${identifier}`;
+
+const getType = (key) => key.split(':')[0];
+const getPolicy = (key) => CACHE_POLICIES[getType(key)] || DEFAULT_POLICY;
+
+// ============================================
+// STORAGE BACKEND
+// ============================================
+
+let dbPromise = null;
+const memoryStore = new Map();
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const store = event.oldVersion < 1
+        ? request.result.createObjectStore(STORE, { keyPath: 'key' })
+        : request.transaction.objectStore(STORE);
+      if (store.indexNames.contains('lastAccess')) store.deleteIndex('lastAccess');
+      store.createIndex(EVICTION_INDEX, ['lastAccess', 'timestamp', 'size']);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('[Cache] IndexedDB unavailable, using memory cache:', request.error);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run several requests in one transaction. `body` gets the store and a
+ * setter for the value the returned promise resolves with once committed.
+ */
+const runTransaction = (db, mode, body) => new Promise((resolve, reject) => {
+  const tx = db.transaction(STORE, mode);
+  let result;
+  body(tx.objectStore(STORE), (value) => { result = value; });
+  tx.oncomplete = () => resolve(result);
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+/**
+ * Run one store operation. `op` receives an IDBObjectStore, or null for the memory fallback.
+ */
+const withStore = async (mode, op, memoryOp) => {
+  const db = await openDb();
+  if (!db) return memoryOp();
+  const store = db.transaction(STORE, mode).objectStore(STORE);
+  return promisify(op(store));
+};
+
+const storePut = (entry) => withStore('readwrite', s => s.put(entry), () => memoryStore.set(entry.key, entry));
+const storeDelete = (key) => withStore('readwrite', s => s.delete(key), () => memoryStore.delete(key));
+const storeAll = () => withStore('readonly', s => s.getAll(), () => [...memoryStore.values()]);
+const storeClear = () => withStore('readwrite', s => s.clear(), () => memoryStore.clear());
+
+// ============================================
+// EVICTION
+// ============================================
+
+const isExpired = (key, timestamp, now) => {
+  const { ttl, maxStale } = getPolicy(key);
+  return now - timestamp > ttl + maxStale;
+};
+
+/**
+ * Keys to drop: expired entries, then least-recently-used ones until under
+ * the size bounds. `entries` ({key, timestamp, size}) must be oldest access first.
+ */
+const pickEvictions = (entries, now) => {
+  const evict = [];
+  const keep = [];
+  for (const entry of entries) {
+    (isExpired(entry.key, entry.timestamp, now) ? evict : keep).push(entry);
+  }
+
+  let totalBytes = keep.reduce((sum, e) => sum + e.size, 0);
+  let count = keep.length;
+
+  for (const entry of keep) {
+    if (count <= MAX_ENTRIES && totalBytes <= MAX_BYTES) break;
+    evict.push(entry);
+    totalBytes -= entry.size;
+    count--;
+  }
+  return evict.map(e => e.key);
+};
+
+/**
+ * Walks the eviction index with a key cursor and deletes in the same transaction
+ */
+const enforceBounds = async () => {
+  const now = Date.now();
+  const db = await openDb();
+
+  if (!db) {
+    const entries = [...memoryStore.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+    pickEvictions(entries, now).forEach(key => memoryStore.delete(key));
+    return;
+  }
+
+  await runTransaction(db, 'readwrite', (store) => {
+    const entries = [];
+    const cursorRequest = store.index(EVICTION_INDEX).openKeyCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        const [, timestamp, size] = cursor.key;
+        entries.push({ key: cursor.primaryKey, timestamp, size });
+        cursor.continue();
+        return;
+      }
+      pickEvictions(entries, now).forEach(key => store.delete(key));
+    };
+  });
+};
+
+/**
+ * Read an entry, deleting it if expired or bumping lastAccess (LRU) otherwise.
+ * Both happen in the read's own transaction, so the touch can't overwrite a
+ * newer write that landed in between.
+ */
+const readAndTouch = async (key, now) => {
+  const db = await openDb();
+
+  if (!db) {
+    const entry = memoryStore.get(key);
+    if (!entry) return null;
+    if (isExpired(key, entry.timestamp, now)) {
+      memoryStore.delete(key);
+      return null;
+    }
+    memoryStore.set(key, { ...entry, lastAccess: now });
+    return entry;
+  }
+
+  return runTransaction(db, 'readwrite', (store, setResult) => {
+    const getRequest = store.get(key);
+    getRequest.onsuccess = () => {
+      const entry = getRequest.result;
+      if (!entry) {
+        setResult(null);
+      } else if (isExpired(key, entry.timestamp, now)) {
+        store.delete(key);
+        setResult(null);
+      } else {
+        store.put({ ...entry, lastAccess: now });
+        setResult(entry);
+      }
+    };
+  });
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Read an entry.
+ * @returns {Promise<{data, timestamp, age, stale}|null>} null on miss or when too old to serve
+ */
+export const getCached = async (key) => {
+  try {
+    const now = Date.now();
+    const entry = await readAndTouch(key, now);
+    if (!entry) return null;
+
+    const age = now - entry.timestamp;
+    return { data: entry.data, timestamp: entry.timestamp, age, stale: age > getPolicy(key).ttl };
+  } catch (error) {
+    console.error('[Cache] Read failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Write an entry and evict if over bounds. Data the type's policy rejects isn't stored.
+ * @returns {Promise<boolean>} whether the entry was written
+ */
+export const setCached = async (key, data) => {
+  if (getPolicy(key).shouldCache?.(data) === false) return false;
+  try {
+    const now = Date.now();
+    await storePut({
+      key,
+      type: getType(key),
+      data,
+      timestamp: now,
+      lastAccess: now,
+      size: JSON.stringify(data)?.length || 0
+    });
+    await enforceBounds();
+    return true;
+  } catch (error) {
+    console.error('[Cache] Write failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Stale-while-revalidate read.
+ * Fresh hit -> cached data. Stale hit -> cached data now, and (if the type's policy
+ * allows) a background refetch whose result is passed to onRevalidate.
+ * Miss or forceRefresh -> awaits fetcher and caches the result.
+ *
+ * @returns {Promise<{data, timestamp, stale, fromCache}>}
+ */
+export const readThrough = async (key, fetcher, { forceRefresh = false, onRevalidate } = {}) => {
+  const cached = forceRefresh ? null : await getCached(key);
+
+  if (cached) {
+    if (cached.stale && getPolicy(key).revalidate) {
+      fetcher()
+        .then(async (fresh) => {
+          await setCached(key, fresh);
+          onRevalidate?.(fresh);
+        })
+        .catch(error => console.warn('[Cache] Revalidate failed:', key, error.message));
+    }
+    return { data: cached.data, timestamp: cached.timestamp, stale: cached.stale, fromCache: true };
+  }
+
+  const data = await fetcher();
+  await setCached(key, data);
+  return { data, timestamp: Date.now(), stale: false, fromCache: false };
+};
+
+/**
+ * All entries without their data, newest first (for the cache inspector)
+ */
+export const listCacheEntries = async () => {
+  const now = Date.now();
+  const entries = await storeAll();
+  return entries
+    .map(({ key, type, timestamp, lastAccess, size }) => ({
+      key,
+      type,
+      timestamp,
+      lastAccess,
+      size,
+      stale: now - timestamp > getPolicy(key).ttl
+    }))
+    .sort((a, b) => b.timestamp - a.timestamp);
+};
+
+export const deleteCached = (key) => storeDelete(key);
+
+export const clearCache = () => storeClear();
+
+/**
+ * "4m ago" style age label
+ */
+export const formatCacheAge = (timestamp) => {
+  const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  const mins = Math.floor(seconds / 60);
+  if (mins < 60) return `${mins}m ago`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getCacheKey, getCached, setCached, clearCache, CACHE_POLICIES } from './analysisCache';
+
+// No IndexedDB under Node - these run against the in-memory fallback
+beforeEach(() => clearCache());
+
+const row = (address, overrides = {}) => ({ address, iq: 90, pattern: 'Diamond Hands', ...overrides });
+
+describe('holder scan caching', () => {
+  const key = getCacheKey('holders', 'Mint111');
+
+  it('stores a scan where every wallet was analyzed', async () => {
+    await expect(setCached(key, [row('a'), row('b')])).resolves.toBe(true);
+    expect((await getCached(key)).data).toHaveLength(2);
+  });
+
+  it.each([
+    ['a timed-out wallet', row('b', { pattern: 'TIMEOUT', isFallback: true })],
+    ['a failed wallet', row('b', { pattern: 'ERROR', isFallback: true })],
+    ['a backend fallback row', row('b', { isFallback: true })]
+  ])('skips a scan with %s', async (_, fallback) => {
+    await expect(setCached(key, [row('a'), fallback])).resolves.toBe(false);
+    expect(await getCached(key)).toBeNull();
+  });
+
+  it('keeps the previous good scan when a rescan falls back', async () => {
+    await setCached(key, [row('a')]);
+    await setCached(key, [row('a', { isFallback: true })]);
+    expect((await getCached(key)).data).toEqual([row('a')]);
+  });
+
+  it('skips an empty scan', () => {
+    expect(CACHE_POLICIES.holders.shouldCache([])).toBe(false);
+  });
+
+  it('skips a holder distribution without a supply', async () => {
+    const distributionKey = getCacheKey('holder_distribution', 'Mint111');
+    await expect(setCached(distributionKey, { holders: [row('a')], supply: null })).resolves.toBe(false);
+    await expect(setCached(distributionKey, { holders: [row('a')], supply: 1e9 })).resolves.toBe(true);
+  });
+
+  it('leaves other types alone', async () => {
+    const infoKey = getCacheKey('token_info', 'Mint111');
+    await expect(setCached(infoKey, { isFallback: true })).resolves.toBe(true);
+  });
+});
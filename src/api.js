@@ -2,15 +2,52 @@
 // ORB COMPLETE API LAYER
 // Uses DexScreener (free) + Your Railway Backend
 // NO API KEYS EXPOSED - All sensitive calls go through backend
+// Endpoints (backend, RPC, DexScreener) come from ./config
+// All HTTP goes through ./httpClient (timeouts, retries, typed errors)
 // ============================================
 
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { getDexScreenerUrl, getGeckoTerminalUrl, getRpcUrls, getConnection } from './config';
+import {
+  request,
+  backendGet,
+  backendPost,
+  NotFoundError,
+  RateLimitError,
+  isAbortError
+} from './httpClient';
+import { reportQuotaExceeded } from './quota';
+import { findFundingSource } from './walletClusters';
+import { METADATA_PROGRAM_ID, LP_POOL_LAYOUTS, parseMetaplexMetadata, readLpPoolState } from './tokenSafety';
+
+export {
+  ApiError,
+  RateLimitError,
+  NotFoundError,
+  BackendUnavailableError,
+  isAbortError
+} from './httpClient';
 
-// Backend URL - your Railway deployment
-const BACKEND_URL = 'https://orbonsolana.up.railway.app';
+/**
+ * Runs an RPC call against each configured RPC URL in turn until one succeeds
+ */
+const withRpcFallback = async (call) => {
+  const rpcCount = getRpcUrls().length;
+  let lastError;
+  for (let i = 0; i < rpcCount; i++) {
+    try {
+      return await call(getConnection(i));
+    } catch (error) {
+      // The caller gave up - don't try the next endpoint
+      if (isAbortError(error)) throw error;
+      console.warn(`RPC ${i + 1}/${rpcCount} failed:`, error.message);
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
 
-// Public RPC (Helius public endpoint - no key needed for basic calls)
-const connection = new Connection('https://api.mainnet-beta.solana.com');
+const getAccessCode = () => localStorage.getItem('orb_access_code') || 'anonymous';
 
 // ============================================
 // TOKEN DATA FUNCTIONS (DexScreener - Free)
@@ -19,33 +56,64 @@ const connection = new Connection('https://api.mainnet-beta.solana.com');
 /**
  * Fetches token info by contract address using DexScreener
  * DexScreener is free and doesn't require API keys
+ *
+ * Aggregates every Solana pair the token trades in: liquidity and 24h volume are
+ * summed, price is liquidity-weighted. Market cap, price change and socials come
+ * from the most liquid pair. `pairs` is the per-market breakdown, most liquid first.
  */
-export const fetchTokenInfoByAddress = async (address) => {
+export const fetchTokenInfoByAddress = async (address, options = {}) => {
   try {
-    const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${address}`);
-    const data = await response.json();
-    
-    if (!data.pairs || data.pairs.length === 0) {
-      throw new Error('Token not found');
+    const data = await request(`${getDexScreenerUrl()}/latest/dex/tokens/${address}`, options);
+
+    // The endpoint also returns pairs where the token is the quote side - keep only its own markets
+    const solanaPairs = (data?.pairs || [])
+      .filter(p => p.chainId === 'solana' && p.baseToken.address === address);
+    const pairs = solanaPairs.length > 0 ? solanaPairs : (data?.pairs || []);
+
+    if (pairs.length === 0) {
+      throw new NotFoundError('Token not found');
     }
 
-    // Get the most liquid Solana pair
-    const pair = data.pairs.find(p => p.chainId === 'solana') || data.pairs[0];
+    const sorted = [...pairs].sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
+    const top = sorted[0];
+
+    const liquidity = sorted.reduce((sum, p) => sum + (p.liquidity?.usd || 0), 0);
+    const volumeIn24h = sorted.reduce((sum, p) => sum + (p.volume?.h24 || 0), 0);
+    const weightedPrice = liquidity > 0
+      ? sorted.reduce((sum, p) => sum + (parseFloat(p.priceUsd) || 0) * (p.liquidity?.usd || 0), 0) / liquidity
+      : parseFloat(top.priceUsd) || 0;
+
+    const withInfo = sorted.find(p => p.info) || top;
+    const oldest = sorted.reduce((min, p) => (p.pairCreatedAt && p.pairCreatedAt < min ? p.pairCreatedAt : min), Infinity);
 
     return {
-      symbol: pair.baseToken.symbol,
-      name: pair.baseToken.name,
-      contractAddress: pair.baseToken.address,
-      image: pair.info?.imageUrl || 'https://via.placeholder.com/50',
-      price: parseFloat(pair.priceUsd) || 0,
-      marketcap: pair.fdv || pair.marketCap || 0,
-      volumeIn24h: pair.volume?.h24 || 0,
-      priceChangeIn24h: pair.priceChange?.h24 || 0,
-      liquidity: pair.liquidity?.usd || 0,
-      created_timestamp: pair.pairCreatedAt ? pair.pairCreatedAt / 1000 : Date.now() / 1000,
-      twitter: pair.info?.socials?.find(s => s.type === 'twitter')?.url,
-      telegram: pair.info?.socials?.find(s => s.type === 'telegram')?.url,
-      website: pair.info?.websites?.[0]?.url
+      symbol: top.baseToken.symbol,
+      name: top.baseToken.name,
+      contractAddress: top.baseToken.address,
+      image: withInfo.info?.imageUrl || 'https://via.placeholder.com/50',
+      price: weightedPrice,
+      marketcap: top.fdv || top.marketCap || 0,
+      volumeIn24h,
+      priceChangeIn24h: top.priceChange?.h24 || 0,
+      liquidity,
+      created_timestamp: Number.isFinite(oldest) ? oldest / 1000 : Date.now() / 1000,
+      twitter: withInfo.info?.socials?.find(s => s.type === 'twitter')?.url,
+      telegram: withInfo.info?.socials?.find(s => s.type === 'telegram')?.url,
+      website: withInfo.info?.websites?.[0]?.url,
+      pairs: sorted.map(p => {
+        const price = parseFloat(p.priceUsd) || 0;
+        return {
+          pairAddress: p.pairAddress,
+          dexId: p.dexId,
+          quoteSymbol: p.quoteToken?.symbol,
+          liquidity: p.liquidity?.usd || 0,
+          volume24h: p.volume?.h24 || 0,
+          price,
+          // % away from the weighted price - large gaps flag thin or stale pools
+          priceDeviation: weightedPrice > 0 ? (price - weightedPrice) / weightedPrice * 100 : 0,
+          url: p.url
+        };
+      })
     };
   } catch (error) {
     console.error("Token fetch error:", error);
@@ -54,80 +122,164 @@ export const fetchTokenInfoByAddress = async (address) => {
 };
 
 /**
- * Fetches token info by symbol/name search
+ * Searches DexScreener for Solana tokens matching a symbol, name or address.
+ * Pairs are grouped by token, so each result is one token with its pairs' liquidity
+ * and volume summed. Ranked: exact symbol matches first, then by liquidity, then volume.
+ *
+ * @returns {Promise<Array<{contractAddress, symbol, name, image, price, liquidity,
+ *   volumeIn24h, pairCreatedAt, dexId, pairCount}>>} empty when nothing matches
  */
-export const fetchTokenInfoBySymbol = async (query) => {
-  try {
-    const response = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${query}`);
-    const data = await response.json();
-    
-    if (!data.pairs || data.pairs.length === 0) {
-      throw new Error('Token not found');
+export const searchTokens = async (query, options = {}) => {
+  const data = await request(`${getDexScreenerUrl()}/latest/dex/search?q=${encodeURIComponent(query)}`, options);
+  const pairs = (data?.pairs || []).filter(p => p.chainId === 'solana');
+
+  const byToken = new Map();
+  for (const pair of pairs) {
+    const address = pair.baseToken.address;
+    const liquidity = pair.liquidity?.usd || 0;
+    const existing = byToken.get(address);
+
+    if (!existing) {
+      byToken.set(address, {
+        contractAddress: address,
+        symbol: pair.baseToken.symbol,
+        name: pair.baseToken.name,
+        image: pair.info?.imageUrl || null,
+        price: parseFloat(pair.priceUsd) || 0,
+        liquidity,
+        volumeIn24h: pair.volume?.h24 || 0,
+        pairCreatedAt: pair.pairCreatedAt || null,
+        dexId: pair.dexId,
+        pairCount: 1,
+        topPairLiquidity: liquidity
+      });
+      continue;
     }
 
-    // Prefer Solana pairs
-    const pair = data.pairs.find(p => p.chainId === 'solana') || data.pairs[0];
+    existing.liquidity += liquidity;
+    existing.volumeIn24h += pair.volume?.h24 || 0;
+    existing.pairCount++;
+    existing.image = existing.image || pair.info?.imageUrl || null;
+    if (pair.pairCreatedAt && (!existing.pairCreatedAt || pair.pairCreatedAt < existing.pairCreatedAt)) {
+      existing.pairCreatedAt = pair.pairCreatedAt;
+    }
+    // Price and DEX come from the most liquid pair
+    if (liquidity > existing.topPairLiquidity) {
+      existing.topPairLiquidity = liquidity;
+      existing.price = parseFloat(pair.priceUsd) || existing.price;
+      existing.dexId = pair.dexId;
+    }
+  }
 
-    return {
-      symbol: pair.baseToken.symbol,
-      name: pair.baseToken.name,
-      contractAddress: pair.baseToken.address,
-      image: pair.info?.imageUrl || 'https://via.placeholder.com/50',
-      price: parseFloat(pair.priceUsd) || 0,
-      marketcap: pair.fdv || pair.marketCap || 0,
-      volumeIn24h: pair.volume?.h24 || 0,
-      priceChangeIn24h: pair.priceChange?.h24 || 0,
-      liquidity: pair.liquidity?.usd || 0,
-      twitter: pair.info?.socials?.find(s => s.type === 'twitter')?.url,
-      telegram: pair.info?.socials?.find(s => s.type === 'telegram')?.url,
-      website: pair.info?.websites?.[0]?.url
-    };
-  } catch (error) {
-    console.error("Token search error:", error);
-    throw error;
+  const normalizedQuery = query.trim().replace(/^\$/, '').toLowerCase();
+  const isExact = (token) => token.symbol?.toLowerCase() === normalizedQuery;
+
+  return [...byToken.values()]
+    .map(({ topPairLiquidity, ...token }) => token)
+    .sort((a, b) => (isExact(b) - isExact(a)) || (b.liquidity - a.liquidity) || (b.volumeIn24h - a.volumeIn24h));
+};
+
+/**
+ * Fetches token info by symbol - the top-ranked searchTokens() match.
+ * Interactive search should let the user pick from searchTokens() instead,
+ * since common tickers have many copies.
+ */
+export const fetchTokenInfoBySymbol = async (query, options = {}) => {
+  const [best] = await searchTokens(query, options);
+  if (!best) {
+    throw new NotFoundError('Token not found');
   }
+  return fetchTokenInfoByAddress(best.contractAddress, options);
+};
+
+// Chart interval -> GeckoTerminal timeframe + aggregate
+const OHLCV_INTERVALS = {
+  '1m': { timeframe: 'minute', aggregate: 1, seconds: 60 },
+  '5m': { timeframe: 'minute', aggregate: 5, seconds: 300 },
+  '1h': { timeframe: 'hour', aggregate: 1, seconds: 3600 },
+  '1d': { timeframe: 'day', aggregate: 1, seconds: 86400 }
+};
+
+/**
+ * Fetches OHLCV candles for a pool (pair address) from GeckoTerminal
+ * @param {string} interval - '1m' | '5m' | '1h' | '1d'
+ * @returns {Promise<Array<{time, open, high, low, close, volume}>>} oldest first, time in unix seconds
+ */
+export const fetchOhlcv = async (poolAddress, interval = '5m', limit = 120, options = {}) => {
+  const { timeframe, aggregate } = OHLCV_INTERVALS[interval] || OHLCV_INTERVALS['5m'];
+  const data = await request(
+    `${getGeckoTerminalUrl()}/networks/solana/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=${aggregate}&limit=${limit}&currency=usd`,
+    options
+  );
+
+  const list = data?.data?.attributes?.ohlcv_list || [];
+  return list
+    .map(([time, open, high, low, close, volume]) => ({ time, open, high, low, close, volume }))
+    .sort((a, b) => a.time - b.time);
 };
 
+export const getOhlcvIntervalSeconds = (interval) => (OHLCV_INTERVALS[interval] || OHLCV_INTERVALS['5m']).seconds;
+
+const MARKETPLACE_PAGE_SIZE = 50;
+
+// Map backend response to frontend format
+const mapMarketplaceToken = (token) => ({
+  mint: token.address,
+  symbol: token.symbol,
+  name: token.name,
+  image_uri: token.logo || null,
+  description: token.description || null,
+  market_cap: token.market_cap,
+  liquidity: token.liquidity,
+  is_graduated: token.is_graduated,
+  created_timestamp: token.created_at,
+  price: token.price,
+  price_change_24h: token.price_change_24h,
+  volume_24h: token.volume_24h,
+  holders: token.holders,
+  twitter: token.twitter,
+  telegram: token.telegram,
+  website: token.website
+});
+
 /**
- * Fetches marketplace tokens from backend
+ * Fetches one page of marketplace tokens from backend
  * Uses the backend /marketplace/tokens endpoint
+ * Screener bounds go through as min_/max_ params (see marketplaceFilters.js)
+ *
+ * Pass the previous result's `next` in params to get the following page. The
+ * backend's next_cursor is used when it sends one, otherwise offset paging.
+ * @returns {Promise<{tokens: Array, next: {cursor}|{offset}, hasMore: boolean}>}
  */
-export const fetchMarketplaceTokens = async (params = {}) => {
+export const fetchMarketplacePage = async (params = {}, options = {}) => {
   try {
     const defaultParams = {
-      limit: 50,
+      limit: MARKETPLACE_PAGE_SIZE,
+      offset: 0,
       sort_by: 'volume_24h',
       sort_type: 'desc'
     };
 
     const queryParams = { ...defaultParams, ...params };
+    if (queryParams.cursor) delete queryParams.offset;
     const queryString = new URLSearchParams(queryParams).toString();
 
-    const response = await fetch(`${BACKEND_URL}/marketplace/tokens?${queryString}`);
-    const data = await response.json();
+    const data = await backendGet(`/marketplace/tokens?${queryString}`, options);
 
     if (!data.success) {
       throw new Error(data.error || 'Failed to fetch marketplace tokens');
     }
 
-    // Map backend response to frontend format
-    return data.tokens.map(token => ({
-      mint: token.address,
-      symbol: token.symbol,
-      name: token.name,
-      image_uri: token.logo || 'https://via.placeholder.com/50',
-      description: token.description || 'No description available',
-      market_cap: token.market_cap,
-      liquidity: token.liquidity,
-      is_graduated: token.is_graduated,
-      created_timestamp: token.created_at,
-      price: token.price,
-      price_change_24h: token.price_change_24h,
-      volume_24h: token.volume_24h,
-      holders: token.holders,
-      twitter: token.twitter,
-      complete: true
-    }));
+    const tokens = data.tokens.map(mapMarketplaceToken);
+    const limit = Number(queryParams.limit);
+
+    return {
+      tokens,
+      next: data.next_cursor
+        ? { cursor: data.next_cursor }
+        : { offset: (Number(queryParams.offset) || 0) + tokens.length },
+      hasMore: typeof data.has_more === 'boolean' ? data.has_more : tokens.length >= limit
+    };
   } catch (error) {
     console.error('Backend marketplace fetch error:', error);
     throw error;
@@ -135,36 +287,124 @@ export const fetchMarketplaceTokens = async (params = {}) => {
 };
 
 /**
- * Fetches trending/new tokens using DexScreener's latest profiles
- * DEPRECATED: Use fetchMarketplaceTokens() instead
+ * Fetches the first page of marketplace tokens from backend
  */
-export const fetchPumpFunTrends = async () => {
+export const fetchMarketplaceTokens = async (params = {}, options = {}) => {
+  const { tokens } = await fetchMarketplacePage(params, options);
+  return tokens;
+};
+
+// ============================================
+// TOKEN DISCOVERY (DexScreener listings)
+// ============================================
+
+const DEXSCREENER_TOKENS_BATCH = 30; // addresses per /tokens/v1 request
+
+/**
+ * Same aggregation as fetchTokenInfoByAddress: price and market cap from the
+ * most liquid pair, liquidity and volume summed, oldest pair's creation time.
+ */
+const summarizePairs = (pairs) => {
+  const sorted = [...pairs].sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
+  const top = sorted[0];
+  const withInfo = sorted.find(p => p.info) || top;
+  const oldest = sorted.reduce((min, p) => (p.pairCreatedAt && p.pairCreatedAt < min ? p.pairCreatedAt : min), Infinity);
+  const price = parseFloat(top.priceUsd);
+
+  return {
+    symbol: top.baseToken.symbol,
+    name: top.baseToken.name,
+    image: withInfo.info?.imageUrl,
+    price: Number.isFinite(price) ? price : null,
+    market_cap: top.marketCap ?? top.fdv ?? null,
+    liquidity: sorted.reduce((sum, p) => sum + (p.liquidity?.usd || 0), 0),
+    volume_24h: sorted.reduce((sum, p) => sum + (p.volume?.h24 || 0), 0),
+    price_change_24h: top.priceChange?.h24 ?? null,
+    pair_created_at: Number.isFinite(oldest) ? oldest : null,
+    twitter: withInfo.info?.socials?.find(s => s.type === 'twitter')?.url,
+    telegram: withInfo.info?.socials?.find(s => s.type === 'telegram')?.url,
+    website: withInfo.info?.websites?.[0]?.url
+  };
+};
+
+/**
+ * Market data for many Solana tokens at once, keyed by token address.
+ * Tokens without a pair yet are missing from the map.
+ */
+export const fetchDexScreenerMarketData = async (addresses, options = {}) => {
+  const pairsByToken = new Map();
+
+  for (let i = 0; i < addresses.length; i += DEXSCREENER_TOKENS_BATCH) {
+    const batch = addresses.slice(i, i + DEXSCREENER_TOKENS_BATCH);
+    const pairs = await request(`${getDexScreenerUrl()}/tokens/v1/solana/${batch.join(',')}`, options);
+
+    for (const pair of Array.isArray(pairs) ? pairs : []) {
+      const address = pair.baseToken?.address;
+      if (!batch.includes(address)) continue; // pairs where the token is the quote side
+      if (!pairsByToken.has(address)) pairsByToken.set(address, []);
+      pairsByToken.get(address).push(pair);
+    }
+  }
+
+  return new Map([...pairsByToken].map(([address, pairs]) => [address, summarizePairs(pairs)]));
+};
+
+const findLink = (links, type) => links?.find(l => l.type === type)?.url;
+
+/**
+ * A DexScreener profile/boost listing plus its market data. Listings only
+ * carry address, icon, description and links - the rest comes from the
+ * token's pairs, or stays null when it has none.
+ */
+const toListedToken = (listing, market) => ({
+  mint: listing.tokenAddress,
+  symbol: market?.symbol ?? null,
+  name: market?.name ?? null,
+  image_uri: listing.icon || market?.image || null,
+  description: listing.description || null,
+  market_cap: market?.market_cap ?? null,
+  liquidity: market?.liquidity ?? null,
+  created_timestamp: market?.pair_created_at ? market.pair_created_at / 1000 : null,
+  price: market?.price ?? null,
+  price_change_24h: market?.price_change_24h ?? null,
+  volume_24h: market?.volume_24h ?? null,
+  twitter: findLink(listing.links, 'twitter') || market?.twitter || null,
+  telegram: findLink(listing.links, 'telegram') || market?.telegram || null,
+  website: listing.links?.find(l => !l.type)?.url || market?.website || null
+});
+
+const fetchDexScreenerListing = async (path, options = {}) => {
   try {
-    const response = await fetch('https://api.dexscreener.com/token-profiles/latest/v1');
-    const data = await response.json();
-
-    // Filter for Solana tokens only
-    const solanaTokens = data.filter(t => t.chainId === 'solana').slice(0, 50);
-
-    return solanaTokens.map(t => ({
-      mint: t.tokenAddress,
-      symbol: t.url?.split('/').pop() || t.tokenAddress.slice(0, 6),
-      name: t.description?.split('\n')[0] || "New Token",
-      image_uri: t.icon || 'https://via.placeholder.com/50',
-      description: t.description || 'No description available',
-      market_cap: 0, // Will be enriched separately if needed
-      created_timestamp: Date.now() / 1000 - (Math.random() * 7200), // Within last 2 hours
-      complete: true,
-      twitter: t.links?.find(l => l.type === 'twitter')?.url,
-      telegram: t.links?.find(l => l.type === 'telegram')?.url,
-      website: t.links?.find(l => l.type === 'website')?.url
-    }));
+    const data = await request(`${getDexScreenerUrl()}${path}`, options);
+
+    // Boosts list a token once per boost - keep the first
+    const seen = new Set();
+    const listings = (Array.isArray(data) ? data : []).filter(t => {
+      if (t.chainId !== 'solana' || seen.has(t.tokenAddress)) return false;
+      seen.add(t.tokenAddress);
+      return true;
+    });
+
+    const market = await fetchDexScreenerMarketData(listings.map(t => t.tokenAddress), options);
+    return listings.map(t => toListedToken(t, market.get(t.tokenAddress)));
   } catch (error) {
-    console.error("Trending tokens error:", error);
-    return [];
+    console.error(`DexScreener listing error (${path}):`, error);
+    throw error;
   }
 };
 
+/**
+ * Tokens that most recently set up a DexScreener profile
+ */
+export const fetchLatestTokenProfiles = (options = {}) =>
+  fetchDexScreenerListing('/token-profiles/latest/v1', options);
+
+/**
+ * Tokens most recently boosted on DexScreener
+ */
+export const fetchLatestTokenBoosts = (options = {}) =>
+  fetchDexScreenerListing('/token-boosts/latest/v1', options);
+
 // ============================================
 // HOLDER DATA (Via Backend to Hide API Keys)
 // ============================================
@@ -173,49 +413,56 @@ export const fetchPumpFunTrends = async () => {
  * Fetches token holders through your backend
  * This keeps your BirdEye API key secure on the backend
  */
-export const fetchTokenHolders = async (tokenAddress) => {
+export const fetchTokenHolders = async (tokenAddress, options = {}) => {
   try {
     // First try backend (if you implement this endpoint)
-    const backendResponse = await fetch(`${BACKEND_URL}/api/token/holders`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ token_address: tokenAddress })
-    });
-
-    if (backendResponse.ok) {
-      const data = await backendResponse.json();
-
-      // Transform backend response to match expected format
-      if (data.holders && Array.isArray(data.holders)) {
-        return data.holders.map(holder => ({
-          address: holder.address,           // Owner wallet address
-          amount: holder.uiAmount || 0,      // Use uiAmount as the numeric value
-          holdingPercent: holder.holdingPercent,  // Backend-calculated percentage
-          token_account: holder.token_account,
-          decimals: holder.decimals,
-          mint: holder.mint
-        }));
-      }
-
-      return data.holders || data;
+    const data = await backendPost('/api/token/holders', { token_address: tokenAddress }, { retries: 1, ...options });
+
+    // Transform backend response to match expected format
+    if (data.holders && Array.isArray(data.holders)) {
+      return data.holders.map(holder => ({
+        address: holder.address,           // Owner wallet address
+        amount: holder.uiAmount || 0,      // Use uiAmount as the numeric value
+        holdingPercent: holder.holdingPercent,  // Backend-calculated percentage
+        token_account: holder.token_account,
+        decimals: holder.decimals,
+        mint: holder.mint
+      }));
     }
+
+    return data.holders || data;
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.log('Backend holders endpoint not available, using RPC fallback');
   }
 
   // Fallback: Use public Solana RPC (slower but works)
+  // getTokenLargestAccounts returns token accounts, not wallets - look up their owners in one batch
   try {
     const tokenMint = new PublicKey(tokenAddress);
-    const largestAccounts = await connection.getTokenLargestAccounts(tokenMint);
+    const largestAccounts = await withRpcFallback(connection => connection.getTokenLargestAccounts(tokenMint));
 
-    return largestAccounts.value
+    const accounts = largestAccounts.value
       .filter(account => account.uiAmount && account.uiAmount > 0)
-      .map(account => ({
-        address: account.address.toString(),
-        amount: account.uiAmount
-      }))
-      .sort((a, b) => b.amount - a.amount)
+      .sort((a, b) => b.uiAmount - a.uiAmount)
       .slice(0, 30);
+
+    let owners = [];
+    try {
+      const parsed = await withRpcFallback(connection =>
+        connection.getMultipleParsedAccounts(accounts.map(account => account.address))
+      );
+      owners = parsed.value.map(info => info?.data?.parsed?.info?.owner || null);
+    } catch (ownerError) {
+      console.warn('Could not resolve token account owners:', ownerError.message);
+    }
+
+    return accounts.map((account, i) => ({
+      address: owners[i] || account.address.toString(), // token account when the owner is unknown
+      amount: account.uiAmount,
+      token_account: account.address.toString(),
+      ownerResolved: Boolean(owners[i])
+    }));
   } catch (error) {
     console.error('Error fetching holders:', error);
     return [];
@@ -225,19 +472,146 @@ export const fetchTokenHolders = async (tokenAddress) => {
 /**
  * Gets token supply from blockchain
  */
+/**
+ * Total supply of a token in whole units.
+ * Returns null when the mint can't be read - callers show shares as unavailable
+ * rather than dividing by a made-up supply.
+ */
 export const getTokenSupply = async (tokenAddress) => {
   try {
     const tokenMint = new PublicKey(tokenAddress);
-    const mintInfo = await connection.getParsedAccountInfo(tokenMint);
+    const mintInfo = await withRpcFallback(connection => connection.getParsedAccountInfo(tokenMint));
     const supply = parseFloat(mintInfo.value?.data?.parsed?.info?.supply || 0);
     const decimals = mintInfo.value?.data?.parsed?.info?.decimals || 9;
-    return supply / Math.pow(10, decimals);
+    return supply > 0 ? supply / Math.pow(10, decimals) : null;
   } catch (error) {
     console.error('Error fetching token supply:', error);
-    return 0.000001;  // Small number to prevent division by zero (Infinity)
+    return null;
   }
 };
 
+/**
+ * Reads what the token safety report needs from chain: the parsed mint (authorities,
+ * Token-2022 extensions), its Metaplex metadata account, and - for AMMs with an LP
+ * token - the pool's LP mint supply against the pool's own LP count.
+ * Parts that can't be read come back null; the mint read failing throws.
+ *
+ * @param {string} tokenAddress
+ * @param {{pairAddress, dexId}} [pool] - the pair to check LP for (most liquid first)
+ * @returns {Promise<{mint, metadata, lp}>}
+ */
+export const getTokenSafetyData = async (tokenAddress, pool) => {
+  const tokenMint = new PublicKey(tokenAddress);
+  const [metadataAddress] = PublicKey.findProgramAddressSync(
+    [new TextEncoder().encode('metadata'), new PublicKey(METADATA_PROGRAM_ID).toBytes(), tokenMint.toBytes()],
+    new PublicKey(METADATA_PROGRAM_ID)
+  );
+
+  const [mintAccount, metadataAccount, poolAccount] = await Promise.all([
+    withRpcFallback(connection => connection.getParsedAccountInfo(tokenMint)),
+    withRpcFallback(connection => connection.getAccountInfo(metadataAddress)).catch(() => null),
+    pool ? withRpcFallback(connection => connection.getAccountInfo(new PublicKey(pool.pairAddress))).catch(() => null) : null
+  ]);
+
+  const parsed = mintAccount.value?.data?.parsed;
+  const mint = parsed?.type === 'mint'
+    ? {
+      program: mintAccount.value.data.program,
+      mintAuthority: parsed.info.mintAuthority || null,
+      freezeAuthority: parsed.info.freezeAuthority || null,
+      extensions: parsed.info.extensions || []
+    }
+    : null;
+
+  const metadata = metadataAccount?.data
+    ? parseMetaplexMetadata(metadataAccount.data, bytes => new PublicKey(bytes).toString())
+    : null;
+
+  let lp = null;
+  if (pool) {
+    const layout = poolAccount && LP_POOL_LAYOUTS[poolAccount.owner.toString()];
+    const state = layout && readLpPoolState(poolAccount.data, layout);
+    if (!state) {
+      lp = { supported: false, dexId: pool.dexId };
+    } else {
+      try {
+        const lpMint = new PublicKey(state.lpMint);
+        const lpSupply = await withRpcFallback(connection => connection.getTokenSupply(lpMint));
+        lp = {
+          supported: true,
+          label: layout.label,
+          dexId: pool.dexId,
+          lpMint: lpMint.toString(),
+          supply: Number(lpSupply.value.amount),
+          lpReserve: state.lpReserve
+        };
+      } catch (error) {
+        console.warn('LP supply lookup failed:', error.message);
+        lp = { supported: true, label: layout.label, dexId: pool.dexId, lpReserve: 0 };
+      }
+    }
+  }
+
+  return { mint, metadata, lp };
+};
+
+// ============================================
+// WALLET DATA FUNCTIONS (Solana RPC)
+// ============================================
+
+// SPL Token and Token-2022 programs - a wallet can hold accounts under both
+const TOKEN_PROGRAM_IDS = [
+  new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
+  new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PWnBXCXAm6EWjXV')
+];
+
+/**
+ * Gets a wallet's SOL balance and its non-empty SPL token balances, largest first
+ * @returns {Promise<{sol: number, tokens: Array<{mint, tokenAccount, amount, decimals}>}>}
+ */
+export const getWalletBalances = async (walletAddress) => {
+  const owner = new PublicKey(walletAddress);
+
+  const [lamports, ...accountLists] = await Promise.all([
+    withRpcFallback(connection => connection.getBalance(owner)),
+    ...TOKEN_PROGRAM_IDS.map(programId =>
+      withRpcFallback(connection => connection.getParsedTokenAccountsByOwner(owner, { programId }))
+    )
+  ]);
+
+  const tokens = accountLists
+    .flatMap(list => list.value)
+    .map(({ pubkey, account }) => {
+      const info = account.data.parsed.info;
+      return {
+        mint: info.mint,
+        tokenAccount: pubkey.toString(),
+        amount: info.tokenAmount.uiAmount || 0,
+        decimals: info.tokenAmount.decimals
+      };
+    })
+    .filter(token => token.amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+
+  return { sol: lamports / LAMPORTS_PER_SOL, tokens };
+};
+
+/**
+ * Gets a wallet's most recent transaction signatures (newest first)
+ * @returns {Promise<Array<{signature, slot, blockTime, err, memo}>>}
+ */
+export const getRecentTransactions = async (walletAddress, limit = 20) => {
+  const owner = new PublicKey(walletAddress);
+  return withRpcFallback(connection => connection.getSignaturesForAddress(owner, { limit }));
+};
+
+/**
+ * Finds the wallet that first funded `walletAddress` with SOL (null if it can't be traced)
+ * @returns {Promise<{funder, signature, blockTime, amount} | null>}
+ */
+export const getFundingSource = async (walletAddress, { signal } = {}) =>
+  withRpcFallback(connection => findFundingSource(connection, walletAddress, { signal }));
+
 // ============================================
 // BACKEND ANALYSIS CALLS (Your Railway Backend)
 // ============================================
@@ -245,41 +619,23 @@ export const getTokenSupply = async (tokenAddress) => {
 /**
  * Analyzes a single wallet via your backend
  * All heavy computation happens on your Railway server
+ *
+ * Never throws for backend failures: returns default values with
+ * isFallback: true and the error, so callers can tell them from real data.
+ * Rate limits (after raising a quota event) and caller aborts are rethrown.
  */
-export const analyzeWalletViaBackend = async (walletAddress, tokenAddress, holdingPercent) => {
+export const analyzeWalletViaBackend = async (walletAddress, tokenAddress, holdingPercent, options = {}) => {
   try {
-    const accessCode = localStorage.getItem('orb_access_code') || 'anonymous';
-    
-    const response = await fetch(`${BACKEND_URL}/api/wallet/analyze`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        wallet_address: walletAddress,
-        token_address: tokenAddress,
-        holding_percent: holdingPercent,
-        access_code: accessCode  // NEW CODE: Include the access code in the request
-      })
-    });
-// NEW CODE: Handle rate limit errors specifically
-    if (response.status === 429) {
-      // 429 means "Too Many Requests" - rate limit exceeded
-      const errorData = await response.json();
-      const resetTime = new Date(errorData.resets_at * 1000);
-      
-      alert(`Daily analysis limit exceeded!\n\nYou've used all ${errorData.limit} analyses for today.\n\nYour limit will reset at:\n${resetTime.toLocaleString()}`);
-      
-      throw new Error('Rate limit exceeded');
-    }
-    
-    if (!response.ok) {
-      throw new Error(`Backend returned ${response.status}`);
-    }
+    const data = await backendPost('/api/wallet/analyze', {
+      wallet_address: walletAddress,
+      token_address: tokenAddress,
+      holding_percent: holdingPercent,
+      access_code: getAccessCode()
+    }, { timeout: 30000, ...options });
 
-    const data = await response.json();
-    
     // Handle both wrapped and direct responses
     const walletData = data.data || data;
-    
+
     return {
       iq: walletData.iq || 50,
       winRate: walletData.winRate || walletData.win_rate || '0.0',
@@ -288,9 +644,16 @@ export const analyzeWalletViaBackend = async (walletAddress, tokenAddress, holdi
       portfolio: walletData.portfolio || 0,
       pattern: walletData.pattern || 'Unknown',
       holdScore: walletData.holdScore || walletData.hold_score || 0,
-      firstBuyTime: walletData.firstBuyTime || walletData.first_buy_time || null
+      firstBuyTime: walletData.firstBuyTime || walletData.first_buy_time || null,
+      isFallback: false
     };
   } catch (error) {
+    if (isAbortError(error)) throw error;
+    if (error instanceof RateLimitError) {
+      reportQuotaExceeded(error);
+      throw error;
+    }
+
     console.error('Wallet analysis failed:', error);
     // Return default values on error
     return {
@@ -301,7 +664,9 @@ export const analyzeWalletViaBackend = async (walletAddress, tokenAddress, holdi
       portfolio: 0,
       pattern: 'ERROR',
       holdScore: 0,
-      firstBuyTime: null
+      firstBuyTime: null,
+      isFallback: true,
+      error
     };
   }
 };
@@ -309,39 +674,25 @@ export const analyzeWalletViaBackend = async (walletAddress, tokenAddress, holdi
 /**
  * Gets privacy-preserving orderbook analysis from your backend
  * This is your microstructure analysis with velocity tracking
+ *
+ * Backend failures return a neutral result with isFallback: true.
+ * Rate limits (after raising a quota event) and caller aborts are rethrown.
  */
-export const getPrivacyAnalysis = async (tokenAddress) => {
+export const getPrivacyAnalysis = async (tokenAddress, options = {}) => {
   try {
-    // NEW CODE: Get the access code from localStorage
-    const accessCode = localStorage.getItem('orb_access_code') || 'anonymous';
-    
-    const response = await fetch(`${BACKEND_URL}/analyze`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        token_address: tokenAddress,
-        access_code: accessCode  // NEW CODE: Include the access code
-      })
-    });
+    const data = await backendPost('/analyze', {
+      token_address: tokenAddress,
+      access_code: getAccessCode()
+    }, { timeout: 30000, ...options });
 
-    // NEW CODE: Handle rate limit errors specifically
-    if (response.status === 429) {
-      // Rate limit exceeded
-      const errorData = await response.json();
-      const resetTime = new Date(errorData.resets_at * 1000);
-      
-      alert(`Daily analysis limit exceeded!\n\nYou've used all ${errorData.limit} analyses for today.\n\nYour limit will reset at:\n${resetTime.toLocaleString()}`);
-      
-      throw new Error('Rate limit exceeded');
-    }
-    
-    if (!response.ok) {
-      throw new Error(`Backend returned ${response.status}`);
+    return { ...data, isFallback: false };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    if (error instanceof RateLimitError) {
+      reportQuotaExceeded(error);
+      throw error;
     }
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
     console.error('Privacy analysis failed:', error);
     return {
       overall: 0,
@@ -361,7 +712,8 @@ export const getPrivacyAnalysis = async (tokenAddress) => {
       buySlippage: [],
       sellSlippage: [],
       velocity: null,
-      error: 'Backend not reachable'
+      error: 'Backend not reachable',
+      isFallback: true
     };
   }
 };
@@ -374,21 +726,9 @@ export const getPrivacyAnalysis = async (tokenAddress) => {
  * Get fused signal combining real-time metrics and slippage analysis
  * This replaces the old privacy mode analysis with a fusion of both systems
  */
-export const getFusedSignal = async (tokenAddress, forceRefresh = false) => {
+export const getFusedSignal = async (tokenAddress, forceRefresh = false, options = {}) => {
   try {
-    const url = `${BACKEND_URL}/signal/fused/${tokenAddress}${forceRefresh ? '?force_refresh=true' : ''}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Fusion signal failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await backendGet(`/signal/fused/${tokenAddress}${forceRefresh ? '?force_refresh=true' : ''}`, options);
   } catch (error) {
     console.error('Error fetching fused signal:', error);
     throw error;
@@ -403,25 +743,16 @@ export const getFusedSignal = async (tokenAddress, forceRefresh = false) => {
  * - Transition predictions from the learned matrix
  * - Confidence scores for predictions
  */
-export const getRealtimeMetrics = async (tokenAddress) => {
+export const getRealtimeMetrics = async (tokenAddress, options = {}) => {
   try {
-    const response = await fetch(`${BACKEND_URL}/metrics/realtime/${tokenAddress}`, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    });
-    
-    if (!response.ok) {
-      // If we get a 404, it means no metrics exist yet for this token
-      if (response.status === 404) {
-        console.log(`No metrics available yet for ${tokenAddress}`);
-        return null;
-      }
-      throw new Error(`Metrics fetch failed: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data;
+    return await backendGet(`/metrics/realtime/${tokenAddress}`, options);
   } catch (error) {
+    if (isAbortError(error)) throw error;
+    // If we get a 404, it means no metrics exist yet for this token
+    if (error instanceof NotFoundError) {
+      console.log(`No metrics available yet for ${tokenAddress}`);
+      return null;
+    }
     console.error('Error fetching realtime metrics:', error);
     // Return null instead of throwing - this lets the UI gracefully handle missing data
     return null;
@@ -432,19 +763,9 @@ export const getRealtimeMetrics = async (tokenAddress) => {
  * Get detailed explanation of fused signal with natural language
  * Provides human-readable breakdown of why the signal was generated
  */
-export const getFusedSignalExplanation = async (tokenAddress) => {
+export const getFusedSignalExplanation = async (tokenAddress, options = {}) => {
   try {
-    const response = await fetch(`${BACKEND_URL}/signal/explain/${tokenAddress}`, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Explanation failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await backendGet(`/signal/explain/${tokenAddress}`, options);
   } catch (error) {
     console.error('Error fetching signal explanation:', error);
     throw error;
@@ -455,22 +776,9 @@ export const getFusedSignalExplanation = async (tokenAddress) => {
  * Get batch fused signals for multiple tokens
  * Useful for watchlist scanning in privacy mode
  */
-export const getBatchFusedSignals = async (tokenAddresses) => {
+export const getBatchFusedSignals = async (tokenAddresses, options = {}) => {
   try {
-    const response = await fetch(`${BACKEND_URL}/signal/batch`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        token_addresses: tokenAddresses
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Batch fusion failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await backendPost('/signal/batch', { token_addresses: tokenAddresses }, { retries: 1, ...options });
   } catch (error) {
     console.error('Error fetching batch signals:', error);
     throw error;
@@ -482,11 +790,8 @@ export const getBatchFusedSignals = async (tokenAddresses) => {
  */
 export const checkBackendHealth = async () => {
   try {
-    const response = await fetch(`${BACKEND_URL}/health`, {
-      method: 'GET',
-      signal: AbortSignal.timeout(5000)
-    });
-    return response.ok;
+    await backendGet('/health', { timeout: 5000, retries: 0 });
+    return true;
   } catch (error) {
     return false;
   }
@@ -497,51 +802,36 @@ export const checkBackendHealth = async () => {
 /**
  * Enable alerts for a token
  */
-export const enableTokenAlerts = async (tokenAddress) => {
-  const response = await fetch(`${BACKEND_URL}/alerts/enable`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ token_address: tokenAddress })
-  });
-  return await response.json();
+export const enableTokenAlerts = async (tokenAddress, options = {}) => {
+  return backendPost('/alerts/enable', { token_address: tokenAddress }, options);
 };
 
 /**
  * Disable alerts for a token
  */
-export const disableTokenAlerts = async (tokenAddress) => {
-  const response = await fetch(`${BACKEND_URL}/alerts/disable`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ token_address: tokenAddress })
-  });
-  return await response.json();
+export const disableTokenAlerts = async (tokenAddress, options = {}) => {
+  return backendPost('/alerts/disable', { token_address: tokenAddress }, options);
 };
 
 /**
  * Check if alerts are enabled for a token
  */
-export const getAlertStatus = async (tokenAddress) => {
-  const response = await fetch(`${BACKEND_URL}/alerts/status/${tokenAddress}`);
-  return await response.json();
+export const getAlertStatus = async (tokenAddress, options = {}) => {
+  return backendGet(`/alerts/status/${tokenAddress}`, options);
 };
 
 /**
  * Get alerts for a token
  */
-export const getTokenAlerts = async (tokenAddress, limit = 20) => {
-  const response = await fetch(`${BACKEND_URL}/alerts/get/${tokenAddress}?limit=${limit}`);
-  return await response.json();
+export const getTokenAlerts = async (tokenAddress, limit = 20, options = {}) => {
+  return backendGet(`/alerts/get/${tokenAddress}?limit=${limit}`, options);
 };
 
 /**
  * Clear alerts for a token
  */
-export const clearTokenAlerts = async (tokenAddress) => {
-  const response = await fetch(`${BACKEND_URL}/alerts/clear/${tokenAddress}`, {
-    method: 'POST'
-  });
-  return await response.json();
+export const clearTokenAlerts = async (tokenAddress, options = {}) => {
+  return backendPost(`/alerts/clear/${tokenAddress}`, undefined, options);
 };
 // ============================================
 // TRACKING STATUS & DASHBOARD FUNCTIONS
@@ -551,19 +841,9 @@ export const clearTokenAlerts = async (tokenAddress) => {
  * Get the list of currently tracked tokens
  * Returns array of tokens being monitored by the real-time system
  */
-export const getTrackingStatus = async () => {
+export const getTrackingStatus = async (options = {}) => {
   try {
-    const response = await fetch(`${BACKEND_URL}/tracking/status`, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Tracking status failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await backendGet('/tracking/status', options);
   } catch (error) {
     console.error('Error fetching tracking status:', error);
     throw error;
@@ -574,22 +854,9 @@ export const getTrackingStatus = async () => {
  * Start tracking a new token
  * Tells the backend to begin WebSocket monitoring for this token
  */
-export const startTrackingToken = async (tokenAddress) => {
+export const startTrackingToken = async (tokenAddress, options = {}) => {
   try {
-    const response = await fetch(`${BACKEND_URL}/tracking/start`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        token_address: tokenAddress
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Start tracking failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await backendPost('/tracking/start', { token_address: tokenAddress }, options);
   } catch (error) {
     console.error('Error starting token tracking:', error);
     throw error;
@@ -600,25 +867,11 @@ export const startTrackingToken = async (tokenAddress) => {
  * Stop tracking a token
  * Tells the backend to close the WebSocket connection for this token
  */
-export const stopTrackingToken = async (tokenAddress) => {
+export const stopTrackingToken = async (tokenAddress, options = {}) => {
   try {
-    const response = await fetch(`${BACKEND_URL}/tracking/stop`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        token_address: tokenAddress
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Stop tracking failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await backendPost('/tracking/stop', { token_address: tokenAddress }, options);
   } catch (error) {
     console.error('Error stopping token tracking:', error);
     throw error;
   }
 };
-
@@ -0,0 +1,166 @@
+// src/backtest.js
+// Scores recorded fused-signal snapshots against what price did afterwards.
+// Pure functions - callers supply the snapshots (./signalHistory) and candles (fetchOhlcv).
+
+/**
+ * Forward-return horizons, in seconds
+ */
+export const HORIZONS = {
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '24h': 24 * 60 * 60
+};
+
+/**
+ * Confidence buckets as [min, max) - the last one includes 1.0
+ */
+export const CONFIDENCE_BUCKETS = [
+  { label: '<50%', min: 0, max: 0.5 },
+  { label: '50-60%', min: 0.5, max: 0.6 },
+  { label: '60-70%', min: 0.6, max: 0.7 },
+  { label: '70-80%', min: 0.7, max: 0.8 },
+  { label: '80-90%', min: 0.8, max: 0.9 },
+  { label: '90%+', min: 0.9, max: 1.01 }
+];
+
+// Calls that don't pick a side (HOLD, WAIT, ...) count as hits while price stays inside this band
+const NEUTRAL_BAND = 0.02;
+
+/**
+ * Which way an action_code expects price to go: 1 up, -1 down, 0 sideways
+ */
+export const expectedDirection = (actionCode) => {
+  if (actionCode === 'BUY') return 1;
+  if (actionCode === 'SELL' || actionCode === 'EXIT' || actionCode === 'AVOID') return -1;
+  return 0;
+};
+
+export const isHit = (actionCode, forwardReturn) => {
+  const expected = expectedDirection(actionCode);
+  if (expected === 0) return Math.abs(forwardReturn) < NEUTRAL_BAND;
+  return Math.sign(forwardReturn) === expected;
+};
+
+/**
+ * Close of the candle covering `time` (unix seconds), or null outside the series.
+ * @param {Array<{time, close}>} candles - oldest first
+ * @param {number} step - candle length in seconds
+ */
+export const priceAt = (candles, time, step) => {
+  if (candles.length === 0) return null;
+  if (time < candles[0].time || time >= candles[candles.length - 1].time + step) return null;
+
+  // Binary search for the last candle starting at or before `time`
+  let lo = 0;
+  let hi = candles.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (candles[mid].time <= time) lo = mid;
+    else hi = mid - 1;
+  }
+  return candles[lo].close;
+};
+
+/**
+ * Forward returns for each snapshot at every horizon.
+ * `series` maps a horizon to the candles used to price it ({ candles, step }), so short
+ * horizons can use fine candles and 24h can use coarse ones with a longer history.
+ *
+ * @returns {Array<{snapshot, returns: {[horizon]: number|null}}>} null where price data doesn't reach
+ */
+export const computeForwardReturns = (snapshots, series) =>
+  snapshots.map(snapshot => {
+    const entryTime = snapshot.timestamp / 1000;
+    const returns = {};
+
+    for (const [horizon, seconds] of Object.entries(HORIZONS)) {
+      const { candles = [], step = 0 } = series[horizon] || {};
+      const entry = priceAt(candles, entryTime, step);
+      const exit = priceAt(candles, entryTime + seconds, step);
+      returns[horizon] = entry && exit ? (exit - entry) / entry : null;
+    }
+    return { snapshot, returns };
+  });
+
+const emptyStats = () => Object.fromEntries(
+  Object.keys(HORIZONS).map(h => [h, { count: 0, hits: 0, totalReturn: 0, totalConfidence: 0 }])
+);
+
+const finalize = (stats) => Object.fromEntries(
+  Object.entries(stats).map(([horizon, s]) => [horizon, {
+    count: s.count,
+    hitRate: s.count > 0 ? s.hits / s.count : null,
+    avgReturn: s.count > 0 ? s.totalReturn / s.count : null,
+    avgConfidence: s.count > 0 ? s.totalConfidence / s.count : null
+  }])
+);
+
+export const getConfidenceBucket = (confidence) =>
+  CONFIDENCE_BUCKETS.find(b => confidence >= b.min && confidence < b.max) || null;
+
+/**
+ * Aggregate forward returns.
+ * Returns are signed by the call: a SELL followed by a 10% drop scores +10%.
+ *
+ * @returns {{
+ *   total: number,
+ *   byAction: {[action_code]: {[horizon]: {count, hitRate, avgReturn, avgConfidence}}},
+ *   byConfidence: {[bucketLabel]: {[horizon]: {count, hitRate, avgReturn, avgConfidence}}},
+ *   calibration: {[horizon]: Array<{bucket, statedConfidence, observedAccuracy, count}>}
+ * }}
+ */
+export const summarize = (results) => {
+  const byAction = {};
+  const byConfidence = {};
+
+  for (const { snapshot, returns } of results) {
+    const code = snapshot.action_code || 'UNKNOWN';
+    const bucket = snapshot.confidence !== null && snapshot.confidence !== undefined
+      ? getConfidenceBucket(snapshot.confidence)
+      : null;
+
+    for (const [horizon, forwardReturn] of Object.entries(returns)) {
+      if (forwardReturn === null) continue;
+
+      const hit = isHit(code, forwardReturn);
+      const direction = expectedDirection(code);
+      const signedReturn = direction === 0 ? forwardReturn : forwardReturn * direction;
+
+      const targets = [(byAction[code] ||= emptyStats())[horizon]];
+      if (bucket) targets.push((byConfidence[bucket.label] ||= emptyStats())[horizon]);
+
+      for (const stats of targets) {
+        stats.count++;
+        stats.hits += hit ? 1 : 0;
+        stats.totalReturn += signedReturn;
+        stats.totalConfidence += snapshot.confidence || 0;
+      }
+    }
+  }
+
+  const finalizedByConfidence = Object.fromEntries(
+    Object.entries(byConfidence).map(([label, stats]) => [label, finalize(stats)])
+  );
+
+  const calibration = Object.fromEntries(Object.keys(HORIZONS).map(horizon => [
+    horizon,
+    CONFIDENCE_BUCKETS
+      .filter(b => finalizedByConfidence[b.label]?.[horizon]?.count > 0)
+      .map(b => {
+        const stats = finalizedByConfidence[b.label][horizon];
+        return {
+          bucket: b.label,
+          statedConfidence: stats.avgConfidence,
+          observedAccuracy: stats.hitRate,
+          count: stats.count
+        };
+      })
+  ]));
+
+  return {
+    total: results.length,
+    byAction: Object.fromEntries(Object.entries(byAction).map(([code, stats]) => [code, finalize(stats)])),
+    byConfidence: finalizedByConfidence,
+    calibration
+  };
+};
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { priceAt, computeForwardReturns, summarize, getConfidenceBucket } from './backtest';
+
+// Three 5-minute candles starting at t=1000
+const STEP = 300;
+const CANDLES = [
+  { time: 1000, close: 1 },
+  { time: 1300, close: 2 },
+  { time: 1600, close: 3 }
+];
+
+describe('priceAt', () => {
+  it('returns null for an empty series', () => {
+    expect(priceAt([], 1000, STEP)).toBeNull();
+  });
+
+  it('returns null before the first candle starts', () => {
+    expect(priceAt(CANDLES, 999, STEP)).toBeNull();
+  });
+
+  it('uses the first candle from its start time', () => {
+    expect(priceAt(CANDLES, 1000, STEP)).toBe(1);
+  });
+
+  it('switches candles exactly at the next start time', () => {
+    expect(priceAt(CANDLES, 1299, STEP)).toBe(1);
+    expect(priceAt(CANDLES, 1300, STEP)).toBe(2);
+  });
+
+  it('covers the last candle up to, but not including, its end', () => {
+    expect(priceAt(CANDLES, 1600, STEP)).toBe(3);
+    expect(priceAt(CANDLES, 1899, STEP)).toBe(3);
+    expect(priceAt(CANDLES, 1900, STEP)).toBeNull();
+  });
+
+  it('handles a single candle', () => {
+    const single = [{ time: 1000, close: 5 }];
+    expect(priceAt(single, 1000, STEP)).toBe(5);
+    expect(priceAt(single, 1300, STEP)).toBeNull();
+  });
+});
+
+describe('computeForwardReturns', () => {
+  it('is null where the horizon runs past the candles', () => {
+    const [result] = computeForwardReturns(
+      [{ timestamp: 1000 * 1000, action_code: 'BUY', confidence: 0.7 }],
+      { '5m': { candles: CANDLES, step: STEP } }
+    );
+    expect(result.returns['5m']).toBe(1); // 1 -> 2
+    expect(result.returns['1h']).toBeNull();
+    expect(result.returns['24h']).toBeNull();
+  });
+});
+
+describe('summarize', () => {
+  const result = (action_code, confidence, fiveMinute) => ({
+    snapshot: { action_code, confidence },
+    returns: { '5m': fiveMinute, '1h': null, '24h': null }
+  });
+
+  it('returns empty stats for no results', () => {
+    const summary = summarize([]);
+    expect(summary.total).toBe(0);
+    expect(summary.byAction).toEqual({});
+    expect(summary.calibration['5m']).toEqual([]);
+  });
+
+  it('signs returns by the call and skips missing horizons', () => {
+    const summary = summarize([result('BUY', 0.7, 0.1), result('SELL', 0.7, -0.1)]);
+    expect(summary.byAction.BUY['5m']).toMatchObject({ count: 1, hitRate: 1, avgReturn: 0.1 });
+    expect(summary.byAction.SELL['5m']).toMatchObject({ count: 1, hitRate: 1, avgReturn: 0.1 });
+    expect(summary.byAction.BUY['1h']).toMatchObject({ count: 0, hitRate: null, avgReturn: null });
+  });
+
+  it('counts neutral calls as hits only inside the band', () => {
+    const summary = summarize([result('HOLD', 0.5, 0.019), result('HOLD', 0.5, 0.02)]);
+    expect(summary.byAction.HOLD['5m'].hitRate).toBe(0.5);
+  });
+
+  it('puts confidences on bucket edges in the upper bucket, 1.0 in the last', () => {
+    expect(getConfidenceBucket(0.5).label).toBe('50-60%');
+    expect(getConfidenceBucket(0.8999).label).toBe('80-90%');
+    expect(getConfidenceBucket(0.9).label).toBe('90%+');
+    expect(getConfidenceBucket(1).label).toBe('90%+');
+
+    const summary = summarize([result('BUY', 0.6, 0.05), result('BUY', 1, -0.05), result('BUY', null, 0.05)]);
+    expect(Object.keys(summary.byConfidence).sort()).toEqual(['60-70%', '90%+']);
+    expect(summary.calibration['5m']).toEqual([
+      { bucket: '60-70%', statedConfidence: 0.6, observedAccuracy: 1, count: 1 },
+      { bucket: '90%+', statedConfidence: 1, observedAccuracy: 0, count: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,198 @@
+// src/coinScore.js
+// Coin IQ - scores a token from its analyzed top holders (wallet-analysis mode)
+// Pure functions plus a saved scoring model (localStorage) the user can tune.
+
+const STORAGE_KEY = 'orb_coin_score_model';
+
+/**
+ * Named scoring models. `classic` is the original hardcoded formula:
+ * 0.5 x holding-weighted IQ + 0.3 x smart-money % + 1 point per major holder (max 20).
+ */
+export const SCORING_PRESETS = {
+  classic: {
+    label: 'Classic',
+    weights: { walletIQ: 0.5, smartMoney: 0.3, majorHolders: 1 },
+    smartMoneyMinIQ: 75,
+    majorHolderMinPercent: 0.5,
+    majorHolderMinHoldScore: 17,
+    majorHoldersMaxPoints: 20,
+    thresholds: { ELITE: 80, SMART: 60, AVERAGE: 40 }
+  },
+  smartMoney: {
+    label: 'Smart Money',
+    weights: { walletIQ: 0.3, smartMoney: 0.55, majorHolders: 1 },
+    smartMoneyMinIQ: 70,
+    majorHolderMinPercent: 0.5,
+    majorHolderMinHoldScore: 17,
+    majorHoldersMaxPoints: 15,
+    thresholds: { ELITE: 75, SMART: 55, AVERAGE: 35 }
+  },
+  conviction: {
+    label: 'Conviction',
+    weights: { walletIQ: 0.4, smartMoney: 0.2, majorHolders: 2 },
+    smartMoneyMinIQ: 75,
+    majorHolderMinPercent: 0.25,
+    majorHolderMinHoldScore: 25,
+    majorHoldersMaxPoints: 40,
+    thresholds: { ELITE: 80, SMART: 60, AVERAGE: 40 }
+  }
+};
+
+export const DEFAULT_PRESET = 'classic';
+
+// Ratings from best to worst - anything below AVERAGE is DEGEN
+export const RATINGS = ['ELITE', 'SMART', 'AVERAGE', 'DEGEN'];
+
+/**
+ * A copy of a preset as an editable model ({ preset, weights, ..., thresholds })
+ */
+export const modelFromPreset = (presetKey) => {
+  const key = SCORING_PRESETS[presetKey] ? presetKey : DEFAULT_PRESET;
+  const preset = SCORING_PRESETS[key];
+  return {
+    preset: key,
+    weights: { ...preset.weights },
+    smartMoneyMinIQ: preset.smartMoneyMinIQ,
+    majorHolderMinPercent: preset.majorHolderMinPercent,
+    majorHolderMinHoldScore: preset.majorHolderMinHoldScore,
+    majorHoldersMaxPoints: preset.majorHoldersMaxPoints,
+    thresholds: { ...preset.thresholds }
+  };
+};
+
+/**
+ * Fill anything missing or non-numeric from the model's preset, so an old
+ * or hand-edited saved model can't produce NaN scores.
+ */
+export const normalizeModel = (model) => {
+  const base = modelFromPreset(model?.preset);
+  const pick = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+  return {
+    preset: base.preset,
+    weights: Object.fromEntries(
+      Object.entries(base.weights).map(([key, value]) => [key, pick(model?.weights?.[key], value)])
+    ),
+    smartMoneyMinIQ: pick(model?.smartMoneyMinIQ, base.smartMoneyMinIQ),
+    majorHolderMinPercent: pick(model?.majorHolderMinPercent, base.majorHolderMinPercent),
+    majorHolderMinHoldScore: pick(model?.majorHolderMinHoldScore, base.majorHolderMinHoldScore),
+    majorHoldersMaxPoints: pick(model?.majorHoldersMaxPoints, base.majorHoldersMaxPoints),
+    thresholds: Object.fromEntries(
+      Object.entries(base.thresholds).map(([key, value]) => [key, pick(model?.thresholds?.[key], value)])
+    )
+  };
+};
+
+/**
+ * True when the model still matches its preset exactly
+ */
+export const isPresetModel = (model) =>
+  JSON.stringify(normalizeModel(model)) === JSON.stringify(modelFromPreset(model?.preset));
+
+export const getRating = (score, thresholds) => {
+  if (score >= thresholds.ELITE) return 'ELITE';
+  if (score >= thresholds.SMART) return 'SMART';
+  if (score >= thresholds.AVERAGE) return 'AVERAGE';
+  return 'DEGEN';
+};
+
+/**
+ * Score a token from its analyzed holders.
+ * Fallback rows (failed or timed-out analyses) carry placeholder values and are ignored.
+ *
+ * @param {Array<{iq, holdingPercent, holdScore, winRate, isFallback}>} holders
+ * @returns {{
+ *   overall: number, rating: string, smartMoney: string, avgWinRate: string, scoredHolders: number,
+ *   components: Array<{key, label, input, weight, contribution}>
+ * }}
+ */
+export const computeCoinScore = (holders, model) => {
+  const m = normalizeModel(model);
+  const scored = (holders || []).filter(w => !w.isFallback);
+
+  if (scored.length === 0) {
+    return {
+      overall: 0,
+      rating: 'UNKNOWN',
+      smartMoney: '0.0',
+      avgWinRate: '0.0',
+      scoredHolders: 0,
+      components: []
+    };
+  }
+
+  // Holding-weighted average IQ
+  let weightedIQSum = 0;
+  let totalHoldingPercent = 0;
+  scored.forEach(w => {
+    const holdingPct = parseFloat(w.holdingPercent) || 0;
+    weightedIQSum += (parseFloat(w.iq) || 0) * holdingPct;
+    totalHoldingPercent += holdingPct;
+  });
+  const weightedAvgIQ = totalHoldingPercent > 0 ? weightedIQSum / totalHoldingPercent : 0;
+
+  const smartMoneyCount = scored.filter(w => w.iq >= m.smartMoneyMinIQ).length;
+  const smartMoneyPercent = (smartMoneyCount / scored.length) * 100;
+
+  const majorHolderCount = scored.filter(w =>
+    parseFloat(w.holdingPercent) > m.majorHolderMinPercent && w.holdScore > m.majorHolderMinHoldScore
+  ).length;
+
+  const components = [
+    {
+      key: 'walletIQ',
+      label: 'Holding-weighted IQ',
+      input: weightedAvgIQ,
+      weight: m.weights.walletIQ,
+      contribution: weightedAvgIQ * m.weights.walletIQ
+    },
+    {
+      key: 'smartMoney',
+      label: `Smart money % (IQ ≥ ${m.smartMoneyMinIQ})`,
+      input: smartMoneyPercent,
+      weight: m.weights.smartMoney,
+      contribution: smartMoneyPercent * m.weights.smartMoney
+    },
+    {
+      key: 'majorHolders',
+      label: `Major holders (>${m.majorHolderMinPercent}%, hold > ${m.majorHolderMinHoldScore})`,
+      input: majorHolderCount,
+      weight: m.weights.majorHolders,
+      contribution: Math.min(majorHolderCount * m.weights.majorHolders, m.majorHoldersMaxPoints)
+    }
+  ];
+
+  const overall = Math.floor(components.reduce((sum, c) => sum + c.contribution, 0));
+  const avgWinRate = scored.reduce((sum, w) => sum + (parseFloat(w.winRate) || 0), 0) / scored.length;
+
+  return {
+    overall,
+    rating: getRating(overall, m.thresholds),
+    smartMoney: smartMoneyPercent.toFixed(1),
+    avgWinRate: avgWinRate.toFixed(1),
+    scoredHolders: scored.length,
+    components
+  };
+};
+
+// ============================================
+// SAVED MODEL
+// ============================================
+
+export const loadScoringModel = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? normalizeModel(JSON.parse(saved)) : modelFromPreset(DEFAULT_PRESET);
+  } catch (error) {
+    console.error('[CoinScore] Failed to read scoring model:', error);
+    return modelFromPreset(DEFAULT_PRESET);
+  }
+};
+
+export const saveScoringModel = (model) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeModel(model)));
+  } catch (error) {
+    console.error('[CoinScore] Failed to save scoring model:', error);
+  }
+};
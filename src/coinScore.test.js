@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { computeCoinScore, modelFromPreset, normalizeModel, getRating } from './coinScore';
+
+/**
+ * The formula analyzeToken used before scoring models existed, kept verbatim
+ * as the reference the Classic preset must reproduce.
+ */
+const legacyCoinScore = (analyzedHolders) => {
+  const scoredHolders = analyzedHolders.filter(w => !w.isFallback);
+  if (scoredHolders.length === 0) {
+    return { overall: 0, smartMoney: '0.0', avgWinRate: '0.0', rating: 'UNKNOWN' };
+  }
+
+  let weightedIQSum = 0;
+  let totalHoldingPercent = 0;
+  scoredHolders.forEach(w => {
+    const holdingPct = parseFloat(w.holdingPercent) || 0;
+    const walletIQ = parseFloat(w.iq) || 0;
+    weightedIQSum += walletIQ * holdingPct;
+    totalHoldingPercent += holdingPct;
+  });
+
+  const weightedAvgIQ = totalHoldingPercent > 0 ? weightedIQSum / totalHoldingPercent : 0;
+  const walletIQComponent = weightedAvgIQ * 0.5;
+
+  const smartMoneyCount = scoredHolders.filter(w => w.iq >= 75).length;
+  const smartMoneyPercent = (smartMoneyCount / scoredHolders.length) * 100;
+  const smartMoneyComponent = smartMoneyPercent * 0.3;
+
+  const majorHolders = scoredHolders.filter(w =>
+    parseFloat(w.holdingPercent) > 0.5 && w.holdScore > 17
+  );
+  const majorHoldersComponent = Math.min(majorHolders.length, 20);
+
+  const coinIQ = Math.floor(walletIQComponent + smartMoneyComponent + majorHoldersComponent);
+  const avgWinRate = scoredHolders.reduce((sum, w) => sum + (parseFloat(w.winRate) || 0), 0) / scoredHolders.length;
+
+  return {
+    overall: coinIQ,
+    smartMoney: smartMoneyPercent.toFixed(1),
+    avgWinRate: avgWinRate.toFixed(1),
+    rating: coinIQ >= 80 ? 'ELITE' : coinIQ >= 60 ? 'SMART' : coinIQ >= 40 ? 'AVERAGE' : 'DEGEN'
+  };
+};
+
+// Deterministic pseudo-random holder sets (mulberry32)
+const random = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const randomHolders = (next, count) => Array.from({ length: count }, () => ({
+  iq: Math.round(next() * 140),
+  // App rows carry holdingPercent as a toFixed(2) string
+  holdingPercent: (next() * 5).toFixed(2),
+  holdScore: Math.round(next() * 50),
+  winRate: Math.round(next() * 100),
+  isFallback: next() < 0.1
+}));
+
+const pickLegacyFields = ({ overall, smartMoney, avgWinRate, rating }) => ({ overall, smartMoney, avgWinRate, rating });
+
+describe('computeCoinScore - Classic preset', () => {
+  const classic = modelFromPreset('classic');
+
+  it('matches the legacy formula on random holder sets', () => {
+    const next = random(42);
+    for (let i = 0; i < 200; i++) {
+      const holders = randomHolders(next, 1 + Math.floor(next() * 30));
+      expect(pickLegacyFields(computeCoinScore(holders, classic))).toEqual(legacyCoinScore(holders));
+    }
+  });
+
+  it('caps major holders at 20 points like the legacy formula', () => {
+    const holders = Array.from({ length: 30 }, () => ({ iq: 0, holdingPercent: '1.00', holdScore: 40, winRate: 0 }));
+    const result = computeCoinScore(holders, classic);
+    expect(result.components.find(c => c.key === 'majorHolders').contribution).toBe(20);
+    expect(pickLegacyFields(result)).toEqual(legacyCoinScore(holders));
+  });
+
+  it('ignores fallback rows and reports UNKNOWN when nothing is scored', () => {
+    const holders = [{ iq: 100, holdingPercent: '5.00', holdScore: 50, winRate: 90, isFallback: true }];
+    expect(pickLegacyFields(computeCoinScore(holders, classic))).toEqual(legacyCoinScore(holders));
+    expect(computeCoinScore([], classic).rating).toBe('UNKNOWN');
+  });
+
+  it('is what an empty or broken saved model scores with', () => {
+    const holders = randomHolders(random(7), 25);
+    const expected = legacyCoinScore(holders);
+    expect(pickLegacyFields(computeCoinScore(holders, undefined))).toEqual(expected);
+    expect(pickLegacyFields(computeCoinScore(holders, { weights: { walletIQ: 'x' } }))).toEqual(expected);
+  });
+});
+
+describe('normalizeModel', () => {
+  it('falls back to the preset for missing or non-numeric fields', () => {
+    const model = normalizeModel({ preset: 'smartMoney', weights: { walletIQ: 0.9, smartMoney: null } });
+    expect(model.weights).toEqual({ walletIQ: 0.9, smartMoney: 0.55, majorHolders: 1 });
+    expect(model.thresholds).toEqual(modelFromPreset('smartMoney').thresholds);
+  });
+});
+
+describe('getRating', () => {
+  it('puts scores on a threshold in the higher rating', () => {
+    const { thresholds } = modelFromPreset('classic');
+    expect(getRating(80, thresholds)).toBe('ELITE');
+    expect(getRating(79, thresholds)).toBe('SMART');
+    expect(getRating(40, thresholds)).toBe('AVERAGE');
+    expect(getRating(39, thresholds)).toBe('DEGEN');
+  });
+});
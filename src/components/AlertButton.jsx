@@ -10,6 +10,7 @@ import {
   isPushSubscribed,
   testPushNotification
 } from '../notifications';
+import { useSignalStream } from '../signalStream';
 
 export function AlertButton({ tokenAddress }) {
   const [alertsEnabled, setAlertsEnabled] = useState(false);
@@ -37,7 +38,21 @@ export function AlertButton({ tokenAddress }) {
     checkAlertStatus();
   }, [tokenAddress]);
 
-  // Poll for new alerts when enabled (backup for when push isn't working)
+  // Alerts pushed over the live stream while enabled
+  const streamStatus = useSignalStream(alertsEnabled && tokenAddress ? [tokenAddress] : [], {
+    onAlert: async (address, alert) => {
+      if (!alert) return;
+      setRecentAlerts(prev => [alert, ...prev].slice(0, 10));
+      lastCheckedRef.current = Date.now() / 1000;
+
+      if (Notification.permission === 'granted' && !pushEnabled) {
+        await showNotification(`ORB: ${address.slice(0, 6)}...`, alert.message, alert.severity);
+      }
+    }
+  });
+  const isLive = streamStatus === 'open';
+
+  // Poll for new alerts when enabled (backup for when push and the live stream aren't working)
   useEffect(() => {
     if (!alertsEnabled || !tokenAddress) return;
 
@@ -80,12 +95,13 @@ export function AlertButton({ tokenAddress }) {
     // Set initial timestamp
     lastCheckedRef.current = Date.now() / 1000;
     
-    // Poll immediately, then every 10 seconds
+    // Poll immediately, then every 10 seconds unless the stream is delivering alerts
     pollAlerts();
+    if (isLive) return;
     const interval = setInterval(pollAlerts, 10000);
     
     return () => clearInterval(interval);
-  }, [alertsEnabled, tokenAddress, pushEnabled]);
+  }, [alertsEnabled, tokenAddress, pushEnabled, isLive]);
 
   const checkAlertStatus = async () => {
     if (!tokenAddress) return;
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import { Database, X, Trash2, RefreshCw } from 'lucide-react';
+import { listCacheEntries, deleteCached, clearCache, formatCacheAge } from '../analysisCache';
+
+/**
+ * CacheInspector Component
+ *
+ * Modal listing everything in the persistent analysis cache,
+ * with per-entry delete and a clear-all control.
+ */
+export function CacheInspector({ onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadEntries = async () => {
+    setLoading(true);
+    try {
+      setEntries(await listCacheEntries());
+    } catch (error) {
+      console.error('[CacheInspector] Failed to list entries:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  const handleDelete = async (key) => {
+    await deleteCached(key);
+    loadEntries();
+  };
+
+  const handleClear = async () => {
+    if (!confirm('Clear all cached analyses? Re-analyzing tokens will use quota again.')) return;
+    await clearCache();
+    loadEntries();
+  };
+
+  const totalKb = entries.reduce((sum, e) => sum + e.size, 0) / 1024;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+      <div className="max-w-2xl w-full bg-black border-2 border-yellow-400 rounded-lg p-6 relative">
+        {/* Close button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-green-400/60 hover:text-green-400 transition"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        {/* Modal header */}
+        <div className="flex items-center gap-3 mb-4">
+          <Database className="w-8 h-8 text-yellow-400" />
+          <div>
+            <h2 className="text-xl font-bold text-green-400">Analysis Cache</h2>
+            <p className="text-xs text-green-400/60">
+              {entries.length} entries • {totalKb.toFixed(1)} KB stored in this browser
+            </p>
+          </div>
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          <button
+            onClick={loadEntries}
+            className="px-3 py-1 bg-green-400/10 border border-green-400/30 rounded text-sm text-green-400 hover:bg-green-400/20 transition-all flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Reload
+          </button>
+          <button
+            onClick={handleClear}
+            disabled={entries.length === 0}
+            className="px-3 py-1 border border-red-400/30 rounded text-sm text-red-400 hover:bg-red-400/10 transition-all disabled:opacity-50 flex items-center gap-2"
+          >
+            <Trash2 className="w-4 h-4" />
+            Clear All
+          </button>
+        </div>
+
+        {/* Entry list */}
+        <div className="max-h-96 overflow-y-auto border border-green-400/20 rounded">
+          {entries.length === 0 ? (
+            <div className="p-6 text-center text-sm text-green-400/40">
+              {loading ? 'Loading...' : 'Cache is empty'}
+            </div>
+          ) : (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b border-green-400/30 bg-green-400/5">
+                  <th className="text-left p-2 text-green-400/60 font-bold">TYPE</th>
+                  <th className="text-left p-2 text-green-400/60 font-bold">KEY</th>
+                  <th className="text-right p-2 text-green-400/60 font-bold">CACHED</th>
+                  <th className="text-right p-2 text-green-400/60 font-bold">SIZE</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={entry.key} className="border-b border-green-400/10 hover:bg-green-400/5">
+                    <td className="p-2 text-purple-400">{entry.type}</td>
+                    <td className="p-2 text-cyan-400 font-mono truncate max-w-[220px]" title={entry.key}>
+                      {entry.key.slice(entry.type.length + 1)}
+                    </td>
+                    <td className={`p-2 text-right ${entry.stale ? 'text-yellow-400' : 'text-green-400'}`}>
+                      {formatCacheAge(entry.timestamp)}{entry.stale && ' (stale)'}
+                    </td>
+                    <td className="p-2 text-right text-green-400/60">
+                      {(entry.size / 1024).toFixed(1)} KB
+                    </td>
+                    <td className="p-2 text-right">
+                      <button
+                        onClick={() => handleDelete(entry.key)}
+                        className="text-red-400/60 hover:text-red-400"
+                        title="Delete entry"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
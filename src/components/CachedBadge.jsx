@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { Database, RefreshCw } from 'lucide-react';
+import { formatCacheAge } from '../analysisCache';
+
+/**
+ * CachedBadge Component
+ *
+ * Small "Cached 4m ago" marker for data served from the persistent cache.
+ * Renders nothing for fresh data (timestamp null). The age label ticks live.
+ */
+export function CachedBadge({ timestamp, onRefresh }) {
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!timestamp) return;
+    const interval = setInterval(() => setTick(t => t + 1), 15000);
+    return () => clearInterval(interval);
+  }, [timestamp]);
+
+  if (!timestamp) return null;
+
+  return (
+    <span className="inline-flex items-center gap-1 text-[10px] px-2 py-0.5 rounded border border-yellow-400/30 bg-yellow-400/10 text-yellow-400">
+      <Database className="w-3 h-3" />
+      Cached {formatCacheAge(timestamp)}
+      {onRefresh && (
+        <button
+          onClick={onRefresh}
+          className="ml-1 hover:text-yellow-300"
+          title="Refresh (re-fetch from source)"
+        >
+          <RefreshCw className="w-3 h-3" />
+        </button>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import { Brain, SlidersHorizontal, RotateCcw } from 'lucide-react';
+import { SCORING_PRESETS, RATINGS, modelFromPreset, isPresetModel } from '../coinScore';
+
+const COMPONENT_COLORS = {
+  walletIQ: 'bg-purple-400',
+  smartMoney: 'bg-cyan-400',
+  majorHolders: 'bg-yellow-400'
+};
+
+const formatInput = (key, value) => {
+  if (key === 'smartMoney') return `${value.toFixed(1)}%`;
+  if (key === 'majorHolders') return `${value} wallet${value !== 1 ? 's' : ''}`;
+  return value.toFixed(1);
+};
+
+function NumberField({ label, value, step, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs">
+      <span className="text-green-400/60">{label}</span>
+      <input
+        type="number"
+        value={value}
+        step={step}
+        onChange={(e) => {
+          const n = parseFloat(e.target.value);
+          if (Number.isFinite(n)) onChange(n);
+        }}
+        className="w-20 bg-black border border-green-400/30 rounded px-2 py-1 text-right text-green-400 focus:outline-none focus:border-cyan-400"
+      />
+    </label>
+  );
+}
+
+/**
+ * CoinScoreBreakdown Component
+ *
+ * How each part of the scoring model adds up to the Coin IQ, with a preset
+ * picker and editable weights/thresholds. Edits go straight to onModelChange;
+ * without it (snapshot mode) the panel is read-only.
+ */
+export function CoinScoreBreakdown({ score, model, onModelChange }) {
+  const [tuning, setTuning] = useState(false);
+
+  if (!score || score.components.length === 0) return null;
+
+  const total = score.components.reduce((sum, c) => sum + c.contribution, 0);
+  const customized = !isPresetModel(model);
+
+  const update = (changes) => onModelChange({ ...model, ...changes });
+  const updateWeight = (key, value) => update({ weights: { ...model.weights, [key]: value } });
+  const updateThreshold = (key, value) => update({ thresholds: { ...model.thresholds, [key]: value } });
+
+  return (
+    <div className="border-2 border-purple-400/30 rounded-lg p-4 bg-black/50 mb-6">
+      <div className="flex items-center justify-between flex-wrap gap-2 mb-4">
+        <h2 className="text-lg font-bold text-purple-400 flex items-center gap-2">
+          <Brain className="w-5 h-5" />
+          COIN IQ BREAKDOWN
+          <span className="text-xs text-green-400/60 font-normal">
+            {SCORING_PRESETS[model.preset].label}{customized ? ' (custom)' : ''} · {score.scoredHolders} wallets scored
+          </span>
+        </h2>
+        {onModelChange && (
+          <button
+            onClick={() => setTuning(!tuning)}
+            className={`flex items-center gap-1 text-xs px-3 py-1 rounded border transition-colors ${
+              tuning ? 'border-cyan-400 text-cyan-400 bg-cyan-400/10' : 'border-green-400/30 text-green-400/60 hover:text-green-400'
+            }`}
+          >
+            <SlidersHorizontal className="w-3 h-3" />
+            TUNE MODEL
+          </button>
+        )}
+      </div>
+
+      {/* Stacked contribution bar */}
+      <div className="flex h-3 rounded overflow-hidden bg-green-400/10 mb-3">
+        {score.components.map(c => (
+          <div
+            key={c.key}
+            className={COMPONENT_COLORS[c.key]}
+            style={{ width: `${Math.max(0, Math.min(c.contribution, 100))}%` }}
+            title={`${c.label}: ${c.contribution.toFixed(1)}`}
+          />
+        ))}
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-green-400/60 border-b border-green-400/20">
+            <th className="text-left p-2">COMPONENT</th>
+            <th className="text-right p-2">INPUT</th>
+            <th className="text-right p-2">WEIGHT</th>
+            <th className="text-right p-2">POINTS</th>
+          </tr>
+        </thead>
+        <tbody>
+          {score.components.map(c => (
+            <tr key={c.key} className="border-b border-green-400/10">
+              <td className="p-2 text-green-400">
+                <span className={`inline-block w-2 h-2 rounded-full mr-2 ${COMPONENT_COLORS[c.key]}`} />
+                {c.label}
+              </td>
+              <td className="p-2 text-right text-cyan-400">{formatInput(c.key, c.input)}</td>
+              <td className="p-2 text-right text-green-400/60">
+                ×{c.weight}
+                {c.key === 'majorHolders' && <span className="text-green-400/40"> (max {model.majorHoldersMaxPoints})</span>}
+              </td>
+              <td className="p-2 text-right font-bold text-purple-400">{c.contribution.toFixed(1)}</td>
+            </tr>
+          ))}
+          <tr>
+            <td className="p-2 text-green-400/60" colSpan={3}>
+              Total (floored) → {score.rating}
+            </td>
+            <td className="p-2 text-right font-bold text-purple-400">{Math.floor(total)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="mt-2 flex gap-3 text-[10px] text-green-400/40 flex-wrap">
+        {RATINGS.slice(0, -1).map(rating => (
+          <span key={rating} className={score.rating === rating ? 'text-purple-400' : undefined}>
+            {rating} ≥ {model.thresholds[rating]}
+          </span>
+        ))}
+        <span className={score.rating === 'DEGEN' ? 'text-purple-400' : undefined}>DEGEN below</span>
+      </div>
+
+      {tuning && onModelChange && (
+        <div className="mt-4 pt-4 border-t border-green-400/20">
+          <div className="flex items-center gap-2 flex-wrap mb-4">
+            <span className="text-xs text-green-400/60">PRESET</span>
+            {Object.entries(SCORING_PRESETS).map(([key, preset]) => (
+              <button
+                key={key}
+                onClick={() => onModelChange(modelFromPreset(key))}
+                className={`text-xs px-3 py-1 rounded border transition-colors ${
+                  model.preset === key ? 'border-purple-400 text-purple-400 bg-purple-400/10' : 'border-green-400/30 text-green-400/60 hover:text-green-400'
+                }`}
+              >
+                {preset.label}
+              </button>
+            ))}
+            {customized && (
+              <button
+                onClick={() => onModelChange(modelFromPreset(model.preset))}
+                className="flex items-center gap-1 text-xs px-3 py-1 rounded border border-yellow-400/30 text-yellow-400 hover:bg-yellow-400/10"
+              >
+                <RotateCcw className="w-3 h-3" />
+                RESET
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <div className="text-xs text-purple-400 font-bold">WEIGHTS</div>
+              <NumberField label="Weighted IQ ×" value={model.weights.walletIQ} step={0.05} onChange={v => updateWeight('walletIQ', v)} />
+              <NumberField label="Smart money % ×" value={model.weights.smartMoney} step={0.05} onChange={v => updateWeight('smartMoney', v)} />
+              <NumberField label="Points per major holder" value={model.weights.majorHolders} step={0.5} onChange={v => updateWeight('majorHolders', v)} />
+              <NumberField label="Major holder cap" value={model.majorHoldersMaxPoints} step={1} onChange={v => update({ majorHoldersMaxPoints: v })} />
+            </div>
+            <div className="space-y-2">
+              <div className="text-xs text-purple-400 font-bold">CRITERIA</div>
+              <NumberField label="Smart money min IQ" value={model.smartMoneyMinIQ} step={1} onChange={v => update({ smartMoneyMinIQ: v })} />
+              <NumberField label="Major holder min %" value={model.majorHolderMinPercent} step={0.05} onChange={v => update({ majorHolderMinPercent: v })} />
+              <NumberField label="Major holder min hold score" value={model.majorHolderMinHoldScore} step={1} onChange={v => update({ majorHolderMinHoldScore: v })} />
+            </div>
+            <div className="space-y-2">
+              <div className="text-xs text-purple-400 font-bold">RATING THRESHOLDS</div>
+              {RATINGS.slice(0, -1).map(rating => (
+                <NumberField
+                  key={rating}
+                  label={`${rating} ≥`}
+                  value={model.thresholds[rating]}
+                  step={1}
+                  onChange={v => updateThreshold(rating, v)}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
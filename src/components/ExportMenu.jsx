@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { Download, FileJson, FileSpreadsheet, Printer } from 'lucide-react';
+import { toHoldersCsv, snapshotFilename, downloadFile, printReport } from '../reportExport';
+
+/**
+ * ExportMenu Component
+ *
+ * Saves the current analysis: JSON snapshot (re-importable), holder-table CSV,
+ * or a printable HTML report. `getSnapshot` builds the snapshot at click time
+ * so the capture time matches what's on screen.
+ */
+export function ExportMenu({ getSnapshot, holderCount = 0 }) {
+  const [open, setOpen] = useState(false);
+
+  const run = (action) => {
+    setOpen(false);
+    action(getSnapshot());
+  };
+
+  const items = [
+    {
+      label: 'JSON snapshot',
+      icon: FileJson,
+      action: (snapshot) => downloadFile(snapshotFilename(snapshot, 'json'), JSON.stringify(snapshot, null, 2), 'application/json')
+    },
+    {
+      label: `Holders CSV${holderCount ? ` (${holderCount})` : ''}`,
+      icon: FileSpreadsheet,
+      disabled: holderCount === 0,
+      action: (snapshot) => downloadFile(snapshotFilename(snapshot, 'csv'), toHoldersCsv(snapshot.walletAnalysis), 'text/csv')
+    },
+    {
+      label: 'Printable report',
+      icon: Printer,
+      action: printReport
+    }
+  ];
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-1 text-[10px] px-2 py-0.5 rounded border border-green-400/30 text-green-400 hover:bg-green-400/10"
+        title="Export this analysis"
+      >
+        <Download className="w-3 h-3" />
+        EXPORT
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 z-20 w-48 border-2 border-green-400/30 rounded bg-black shadow-lg">
+          {items.map(({ label, icon: Icon, disabled, action }) => (
+            <button
+              key={label}
+              onClick={() => run(action)}
+              disabled={disabled}
+              className="w-full flex items-center gap-2 px-3 py-2 text-xs text-left text-green-400 hover:bg-green-400/10 disabled:opacity-40 disabled:hover:bg-transparent"
+            >
+              <Icon className="w-3 h-3" />
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react';
+import { PieChart, AlertCircle } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { fetchTokenHolders, getTokenSupply, isAbortError } from '../api';
+import { getCacheKey, readThrough } from '../analysisCache';
+import { computeDistribution, getConcentrationLevel, FLAG_LABELS } from '../holderDistribution';
+import { walletPath } from '../routes';
+import { CachedBadge } from './CachedBadge';
+
+const BARS_SHOWN = 20;
+
+const FLAG_COLORS = {
+  burn: 'bg-orange-400',
+  lp: 'bg-cyan-400',
+  program: 'bg-blue-400'
+};
+
+const FLAG_TEXT_COLORS = {
+  burn: 'text-orange-400 border-orange-400/40',
+  lp: 'text-cyan-400 border-cyan-400/40',
+  program: 'text-blue-400 border-blue-400/40'
+};
+
+const getLevelColor = (level) => {
+  if (level === 'HIGH') return 'text-red-400';
+  if (level === 'MODERATE') return 'text-yellow-400';
+  return 'text-green-400';
+};
+
+const shortAddress = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+
+function Stat({ label, value, color = 'text-cyan-400', title }) {
+  return (
+    <div className="border border-green-400/20 rounded p-2" title={title}>
+      <div className="text-[10px] text-green-400/60">{label}</div>
+      <div className={`text-lg font-bold ${color}`}>{value}</div>
+    </div>
+  );
+}
+
+/**
+ * HolderDistribution Component
+ *
+ * Concentration of a token's top holders: top-10/20 share of supply, Gini,
+ * Herfindahl index and a bar per holder. Burn, LP and program accounts are
+ * flagged and left out of the concentration numbers.
+ *
+ * `scanned` is the { holders, supply } the Terminal's wallet scan already fetched;
+ * when given, those rows are shown instead of fetching them again.
+ */
+export function HolderDistribution({ tokenAddress, pairs, scanned }) {
+  const [data, setData] = useState(null); // { holders, supply }
+  const [cachedAt, setCachedAt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!tokenAddress) return;
+    if (scanned) {
+      setData(scanned);
+      setCachedAt(null);
+      setError('');
+      setLoading(false);
+      return;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+
+    const fetchHolders = async () => {
+      const [holders, supply] = await Promise.all([
+        fetchTokenHolders(tokenAddress, { signal: controller.signal }),
+        getTokenSupply(tokenAddress)
+      ]);
+      return { holders, supply };
+    };
+
+    readThrough(getCacheKey('holder_distribution', tokenAddress), fetchHolders, {
+      forceRefresh: reloadKey > 0,
+      onRevalidate: (fresh) => {
+        if (controller.signal.aborted) return;
+        setData(fresh);
+        setCachedAt(null);
+      }
+    })
+      .then(result => {
+        if (controller.signal.aborted) return;
+        setData(result.data);
+        setCachedAt(result.fromCache ? result.timestamp : null);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Holder distribution error:', err);
+        setError('Failed to load holders');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [tokenAddress, reloadKey, scanned]);
+
+  if (!data && !loading && !error) return null;
+
+  const distribution = data?.holders?.length
+    ? computeDistribution(data.holders, data.supply, { poolAddresses: (pairs || []).map(p => p.pairAddress) })
+    : null;
+  const level = distribution ? getConcentrationLevel(distribution.hhi) : null;
+  const maxShare = distribution ? Math.max(...distribution.holders.map(h => h.share), 0.01) : 1;
+
+  return (
+    <div className="border-2 border-green-400/30 rounded-lg p-4 bg-black/50 mb-6">
+      <div className="flex items-center gap-2 flex-wrap mb-4">
+        <h2 className="text-lg font-bold text-green-400 flex items-center gap-2">
+          <PieChart className="w-5 h-5" />
+          HOLDER DISTRIBUTION
+        </h2>
+        {distribution && (
+          <span className="text-xs text-green-400/60">
+            top {distribution.holders.length} holders · {distribution.sampleShare.toFixed(1)}% of supply
+          </span>
+        )}
+        <CachedBadge timestamp={cachedAt} onRefresh={!loading ? () => setReloadKey(k => k + 1) : undefined} />
+      </div>
+
+      {distribution && !distribution.supplyKnown && (
+        <p className="text-xs text-yellow-400/80 mb-3">
+          Token supply unavailable - shares are of the fetched holders, not of total supply
+        </p>
+      )}
+
+      {loading && !data && <p className="text-xs text-green-400/60 animate-pulse">Loading holders...</p>}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      {data && !distribution && <p className="text-xs text-green-400/40">No holder data for this token</p>}
+
+      {distribution && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+            <Stat label="TOP 10" value={`${distribution.top10Share.toFixed(1)}%`} title="Share of supply held by the 10 largest unflagged holders" />
+            <Stat label="TOP 20" value={`${distribution.top20Share.toFixed(1)}%`} title="Share of supply held by the 20 largest unflagged holders" />
+            <Stat label="GINI" value={distribution.gini.toFixed(2)} color="text-purple-400" title="Inequality among the sampled holders (0 equal - 1 one holder)" />
+            <Stat label="HHI" value={Math.round(distribution.hhi).toLocaleString()} color={getLevelColor(level)} title="Herfindahl index of supply shares (0 - 10,000)" />
+            <Stat label="CONCENTRATION" value={level} color={getLevelColor(level)} />
+          </div>
+
+          {distribution.excludedShare > 0 && (
+            <p className="text-[11px] text-green-400/60 mb-3">
+              {distribution.excludedShare.toFixed(1)}% of supply sits in burn/LP/program accounts and is excluded above
+            </p>
+          )}
+          {distribution.unresolvedOwners && (
+            <div className="flex items-center gap-2 text-[11px] text-yellow-400 mb-3">
+              <AlertCircle className="w-3 h-3" />
+              Some owners couldn't be resolved - those rows are token accounts, and holders with several accounts count separately
+            </div>
+          )}
+
+          <div className="space-y-1">
+            {distribution.holders.slice(0, BARS_SHOWN).map((holder, idx) => (
+              <div key={`${holder.address}-${idx}`} className="flex items-center gap-2 text-[11px]">
+                <span className="w-6 text-right text-green-400/40">{idx + 1}</span>
+                <Link to={walletPath(holder.address, tokenAddress)} className="w-24 text-purple-400 hover:underline font-mono">
+                  {shortAddress(holder.address)}
+                </Link>
+                <div className="flex-1 h-3 bg-green-400/5 rounded overflow-hidden">
+                  <div
+                    className={`h-full ${holder.flag ? FLAG_COLORS[holder.flag.kind] : 'bg-green-400'} opacity-70`}
+                    style={{ width: `${(holder.share / maxShare) * 100}%` }}
+                  />
+                </div>
+                <span className="w-14 text-right text-cyan-400">{holder.share.toFixed(2)}%</span>
+                <span className="w-20">
+                  {holder.flag && (
+                    <span
+                      className={`px-1.5 py-0.5 rounded border text-[9px] font-bold ${FLAG_TEXT_COLORS[holder.flag.kind]}`}
+                      title={holder.flag.label}
+                    >
+                      {FLAG_LABELS[holder.flag.kind]}
+                    </span>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { Pause, Play, Bell, BellRing } from 'lucide-react';
+import { loadFilterPresets } from '../marketplaceFilters';
+import { requestNotificationPermission, playAlertTone } from '../notifications';
+
+/**
+ * LiveFeedControls Component
+ *
+ * Pause toggle for the Marketplace live feed, and alert settings for new
+ * listings: a saved screener preset to match against, plus sound and/or a
+ * desktop notification when one appears.
+ */
+export function LiveFeedControls({ paused, onPausedChange, alerts, onAlertsChange }) {
+  const [open, setOpen] = useState(false);
+  const [presets, setPresets] = useState({});
+  const [permissionDenied, setPermissionDenied] = useState(false);
+
+  const armed = alerts.preset !== null && (alerts.sound || alerts.notify);
+
+  const toggleOpen = () => {
+    // Presets can change in the screener panel, so read them fresh
+    if (!open) setPresets(loadFilterPresets());
+    setOpen(!open);
+  };
+
+  const toggleNotify = async () => {
+    if (alerts.notify) {
+      onAlertsChange({ ...alerts, notify: false });
+      return;
+    }
+    const granted = await requestNotificationPermission();
+    setPermissionDenied(!granted);
+    if (granted) onAlertsChange({ ...alerts, notify: true });
+  };
+
+  const toggleSound = () => {
+    if (!alerts.sound) playAlertTone(); // preview, and unlocks audio for later alerts
+    onAlertsChange({ ...alerts, sound: !alerts.sound });
+  };
+
+  return (
+    <div className="relative flex items-center gap-2">
+      <button
+        onClick={() => onPausedChange(!paused)}
+        className={`px-3 py-1 border rounded text-sm transition-all flex items-center gap-2 ${
+          paused ? 'border-yellow-400 text-yellow-400 bg-yellow-400/10' : 'border-green-400/30 text-green-400 hover:bg-green-400/10'
+        }`}
+        title={paused ? 'Resume auto-refresh' : 'Pause auto-refresh'}
+      >
+        {paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+        {paused ? 'Resume' : 'Pause'}
+      </button>
+
+      <button
+        onClick={toggleOpen}
+        className={`px-2 py-1 border rounded text-sm transition-all ${
+          armed ? 'border-cyan-400 text-cyan-400 bg-cyan-400/10' : 'border-green-400/30 text-green-400 hover:bg-green-400/10'
+        }`}
+        title="Alerts for new listings"
+      >
+        {armed ? <BellRing className="w-4 h-4" /> : <Bell className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-20 w-64 border-2 border-green-400/30 rounded bg-black shadow-lg p-3 space-y-3 text-xs">
+          <div className="font-bold text-cyan-400">NEW LISTING ALERTS</div>
+          <label className="block">
+            <span className="text-green-400/60">Match saved filter</span>
+            <select
+              value={alerts.preset ?? ''}
+              onChange={(e) => onAlertsChange({ ...alerts, preset: e.target.value || null })}
+              className="mt-1 w-full bg-black border border-green-400/30 rounded px-2 py-1 text-green-400 focus:border-green-400 focus:outline-none"
+            >
+              <option value="">Off</option>
+              {Object.keys(presets).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+              {alerts.preset && !(alerts.preset in presets) && (
+                <option value={alerts.preset}>{alerts.preset} (deleted)</option>
+              )}
+            </select>
+          </label>
+          {Object.keys(presets).length === 0 && (
+            <p className="text-green-400/40">Save a preset in Filters to alert on it</p>
+          )}
+          <label className="flex items-center gap-2 text-green-400 cursor-pointer">
+            <input type="checkbox" checked={alerts.sound} onChange={toggleSound} className="accent-green-400" />
+            Play a sound
+          </label>
+          <label className="flex items-center gap-2 text-green-400 cursor-pointer">
+            <input type="checkbox" checked={alerts.notify} onChange={toggleNotify} className="accent-green-400" />
+            Desktop notification
+          </label>
+          {permissionDenied && (
+            <p className="text-orange-400">Notifications are blocked for this site in the browser settings</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronUp, ExternalLink } from 'lucide-react';
+
+const formatUsd = (value) => {
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+/**
+ * MarketsPanel Component
+ *
+ * Collapsible per-pair breakdown for the token card: DEX, quote token,
+ * liquidity, 24h volume and how far each pair's price sits from the
+ * liquidity-weighted price. Renders nothing for single-pair tokens.
+ */
+export function MarketsPanel({ pairs }) {
+  const [open, setOpen] = useState(false);
+
+  if (!pairs || pairs.length < 2) return null;
+
+  return (
+    <div className="mt-3 pt-3 border-t border-green-400/20">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-xs text-green-400/60 hover:text-green-400"
+      >
+        <span className="font-bold">MARKETS ({pairs.length})</span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <table className="w-full text-[11px] mt-2">
+          <thead>
+            <tr className="text-green-400/50">
+              <th className="text-left font-normal pb-1">DEX</th>
+              <th className="text-right font-normal pb-1">LIQ</th>
+              <th className="text-right font-normal pb-1">VOL 24H</th>
+              <th className="text-right font-normal pb-1">DEV</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pairs.map((pair) => {
+              const deviation = pair.priceDeviation;
+              const deviationColor = Math.abs(deviation) >= 5 ? 'text-red-400'
+                : Math.abs(deviation) >= 1 ? 'text-yellow-400'
+                : 'text-green-400/60';
+
+              return (
+                <tr key={pair.pairAddress} className="border-t border-green-400/10">
+                  <td className="py-1">
+                    <a
+                      href={pair.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-purple-400 hover:underline inline-flex items-center gap-1"
+                    >
+                      {pair.dexId}/{pair.quoteSymbol}
+                      <ExternalLink className="w-2.5 h-2.5" />
+                    </a>
+                  </td>
+                  <td className="py-1 text-right text-cyan-400">{formatUsd(pair.liquidity)}</td>
+                  <td className="py-1 text-right text-green-400">{formatUsd(pair.volume24h)}</td>
+                  <td className={`py-1 text-right ${deviationColor}`}>
+                    {deviation >= 0 ? '+' : ''}{deviation.toFixed(2)}%
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
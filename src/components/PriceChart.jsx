@@ -0,0 +1,284 @@
+import { useState, useEffect } from 'react';
+import { BarChart3, RefreshCw } from 'lucide-react';
+import { fetchOhlcv, getOhlcvIntervalSeconds, getTokenAlerts, isAbortError } from '../api';
+import { getSignalChanges } from '../signalHistory';
+
+const INTERVALS = ['1m', '5m', '1h', '1d'];
+const REFRESH_MS = 60000;
+
+// SVG layout (viewBox units)
+const WIDTH = 800;
+const PRICE_TOP = 30;      // room for marker labels above the candles
+const PRICE_HEIGHT = 200;
+const VOLUME_TOP = 245;
+const VOLUME_HEIGHT = 55;
+const HEIGHT = VOLUME_TOP + VOLUME_HEIGHT;
+const AXIS_WIDTH = 70;     // price labels on the right
+const PLOT_WIDTH = WIDTH - AXIS_WIDTH;
+
+const ACTION_COLORS = {
+  BUY: '#4ade80',
+  SELL: '#f87171',
+  EXIT: '#dc2626',
+  AVOID: '#fb923c'
+};
+
+const formatPrice = (value) => {
+  if (value >= 1) return value.toFixed(4);
+  if (value >= 0.0001) return value.toFixed(6);
+  return value.toExponential(3);
+};
+
+const formatVolume = (value) => {
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+/**
+ * PriceChart Component
+ *
+ * OHLCV candlesticks with volume bars for a token's most liquid pool,
+ * overlaid with markers where the recorded fused signal changed direction
+ * or action_code, and where alerts fired.
+ */
+export function PriceChart({ tokenAddress, poolAddress, signalHistory = [] }) {
+  const [interval, setIntervalName] = useState('5m');
+  const [candles, setCandles] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!poolAddress) return;
+    const controller = new AbortController();
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const data = await fetchOhlcv(poolAddress, interval, 120, { signal: controller.signal });
+        setCandles(data);
+        setError('');
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('[PriceChart] OHLCV fetch failed:', err);
+        setError('Chart data unavailable');
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => {
+      clearInterval(timer);
+      controller.abort();
+    };
+  }, [poolAddress, interval, reloadKey]);
+
+  // Alerts are optional decoration - the chart works without them
+  useEffect(() => {
+    if (!tokenAddress) return;
+    const controller = new AbortController();
+    getTokenAlerts(tokenAddress, 50, { signal: controller.signal })
+      .then(result => setAlerts(result.alerts || []))
+      .catch(() => setAlerts([]));
+    return () => controller.abort();
+  }, [tokenAddress, reloadKey]);
+
+  if (!poolAddress) return null;
+
+  const step = getOhlcvIntervalSeconds(interval);
+  const candleWidth = candles.length > 0 ? PLOT_WIDTH / candles.length : 0;
+
+  const high = Math.max(...candles.map(c => c.high));
+  const low = Math.min(...candles.map(c => c.low));
+  const range = high - low || high || 1;
+  const maxVolume = Math.max(...candles.map(c => c.volume), 1);
+
+  const priceY = (price) => PRICE_TOP + (high - price) / range * PRICE_HEIGHT;
+  const candleX = (i) => i * candleWidth + candleWidth / 2;
+
+  // Index of the candle containing a unix-seconds time, or -1 outside the window
+  const candleIndexAt = (time) => {
+    if (candles.length === 0) return -1;
+    if (time < candles[0].time || time >= candles[candles.length - 1].time + step) return -1;
+    let index = 0;
+    while (index + 1 < candles.length && candles[index + 1].time <= time) index++;
+    return index;
+  };
+
+  const signalMarkers = getSignalChanges(signalHistory)
+    .map(snapshot => ({ ...snapshot, index: candleIndexAt(snapshot.timestamp / 1000) }))
+    .filter(marker => marker.index >= 0);
+
+  const alertMarkers = alerts
+    .map(alert => ({ ...alert, index: candleIndexAt(alert.timestamp) }))
+    .filter(marker => marker.index >= 0);
+
+  const priceTicks = [0, 0.25, 0.5, 0.75, 1].map(f => high - f * range);
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width * WIDTH;
+    const index = Math.floor(x / candleWidth);
+    setHoverIndex(index >= 0 && index < candles.length ? index : null);
+  };
+
+  const hovered = hoverIndex !== null ? candles[hoverIndex] : candles[candles.length - 1];
+  const hoveredSignals = signalMarkers.filter(m => m.index === hoverIndex);
+  const hoveredAlerts = alertMarkers.filter(m => m.index === hoverIndex);
+
+  return (
+    <div className="border-2 border-green-400/30 rounded-lg p-4 bg-black/50 mb-6">
+      <div className="flex items-center justify-between flex-wrap gap-2 mb-3">
+        <h2 className="text-lg font-bold text-green-400 flex items-center gap-2">
+          <BarChart3 className="w-5 h-5" />
+          PRICE & VOLUME
+        </h2>
+        <div className="flex items-center gap-2">
+          <div className="flex gap-1 border border-green-400/30 rounded p-1">
+            {INTERVALS.map(name => (
+              <button
+                key={name}
+                onClick={() => setIntervalName(name)}
+                className={`px-2 py-0.5 text-xs font-bold rounded ${
+                  interval === name ? 'bg-green-400 text-black' : 'text-green-400 hover:bg-green-400/10'
+                }`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => setReloadKey(k => k + 1)}
+            className="p-1 text-green-400/60 hover:text-green-400"
+            title="Reload chart"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {/* Hovered (or latest) candle */}
+      {hovered && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs mb-2 font-mono">
+          <span className="text-green-400/60">{new Date(hovered.time * 1000).toLocaleString()}</span>
+          <span>O <span className="text-cyan-400">{formatPrice(hovered.open)}</span></span>
+          <span>H <span className="text-cyan-400">{formatPrice(hovered.high)}</span></span>
+          <span>L <span className="text-cyan-400">{formatPrice(hovered.low)}</span></span>
+          <span>C <span className={hovered.close >= hovered.open ? 'text-green-400' : 'text-red-400'}>{formatPrice(hovered.close)}</span></span>
+          <span>V <span className="text-purple-400">{formatVolume(hovered.volume)}</span></span>
+          {hoveredSignals.map(m => (
+            <span key={m.timestamp} style={{ color: ACTION_COLORS[m.action_code] || '#22d3ee' }}>
+              ▼ {m.action_code} ({m.direction?.replace('_', ' ')})
+            </span>
+          ))}
+          {hoveredAlerts.map((m, i) => (
+            <span key={i} className="text-yellow-400">● {m.message}</span>
+          ))}
+        </div>
+      )}
+
+      {error && candles.length === 0 ? (
+        <div className="h-48 flex items-center justify-center text-sm text-green-400/40">{error}</div>
+      ) : candles.length === 0 ? (
+        <div className="h-48 flex items-center justify-center text-sm text-green-400/40">
+          {loading ? 'Loading candles...' : 'No trades in this window'}
+        </div>
+      ) : (
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto select-none"
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHoverIndex(null)}
+        >
+          {/* Price grid + axis labels */}
+          {priceTicks.map(price => (
+            <g key={price}>
+              <line x1="0" x2={PLOT_WIDTH} y1={priceY(price)} y2={priceY(price)} stroke="#4ade80" strokeOpacity="0.1" />
+              <text x={PLOT_WIDTH + 4} y={priceY(price) + 3} fontSize="10" fill="#4ade80" fillOpacity="0.6">
+                {formatPrice(price)}
+              </text>
+            </g>
+          ))}
+
+          {/* Hover column */}
+          {hoverIndex !== null && (
+            <rect
+              x={hoverIndex * candleWidth}
+              y={PRICE_TOP}
+              width={candleWidth}
+              height={HEIGHT - PRICE_TOP}
+              fill="#4ade80"
+              fillOpacity="0.08"
+            />
+          )}
+
+          {/* Candles + volume */}
+          {candles.map((c, i) => {
+            const up = c.close >= c.open;
+            const color = up ? '#4ade80' : '#f87171';
+            const bodyTop = priceY(Math.max(c.open, c.close));
+            const bodyHeight = Math.max(1, Math.abs(priceY(c.open) - priceY(c.close)));
+            const bodyWidth = Math.max(1, candleWidth * 0.7);
+            const volumeHeight = c.volume / maxVolume * VOLUME_HEIGHT;
+            return (
+              <g key={c.time}>
+                <line x1={candleX(i)} x2={candleX(i)} y1={priceY(c.high)} y2={priceY(c.low)} stroke={color} />
+                <rect x={candleX(i) - bodyWidth / 2} y={bodyTop} width={bodyWidth} height={bodyHeight} fill={color} />
+                <rect
+                  x={candleX(i) - bodyWidth / 2}
+                  y={VOLUME_TOP + VOLUME_HEIGHT - volumeHeight}
+                  width={bodyWidth}
+                  height={volumeHeight}
+                  fill={color}
+                  fillOpacity="0.35"
+                />
+              </g>
+            );
+          })}
+
+          {/* Signal change markers */}
+          {signalMarkers.map(m => {
+            const color = ACTION_COLORS[m.action_code] || '#22d3ee';
+            return (
+              <g key={m.timestamp}>
+                <line
+                  x1={candleX(m.index)}
+                  x2={candleX(m.index)}
+                  y1={PRICE_TOP - 8}
+                  y2={PRICE_TOP + PRICE_HEIGHT}
+                  stroke={color}
+                  strokeDasharray="3 3"
+                  strokeOpacity="0.7"
+                />
+                <text x={candleX(m.index)} y={PRICE_TOP - 12} fontSize="9" fill={color} textAnchor="middle">
+                  {m.action_code}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* Alert markers */}
+          {alertMarkers.map((m, i) => (
+            <circle
+              key={i}
+              cx={candleX(m.index)}
+              cy={8}
+              r="4"
+              fill={m.severity === 'critical' || m.severity === 'high' ? '#f87171' : '#facc15'}
+            />
+          ))}
+        </svg>
+      )}
+
+      <div className="flex gap-4 mt-2 text-[10px] text-green-400/50">
+        <span>┆ signal change (direction / action)</span>
+        <span className="text-yellow-400/70">● alert</span>
+      </div>
+    </div>
+  );
+}
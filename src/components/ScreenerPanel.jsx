@@ -0,0 +1,221 @@
+import { useState, useEffect } from 'react';
+import { Filter, Save, Trash2, X } from 'lucide-react';
+import {
+  RANGE_FILTERS,
+  GRADUATED_OPTIONS,
+  SIGNAL_DIRECTION_OPTIONS,
+  DEFAULT_FILTERS,
+  normalizeFilters,
+  loadFilterPresets,
+  saveFilterPresets
+} from '../marketplaceFilters';
+
+// Inputs edit strings so a half-typed number doesn't get thrown away
+const toDraft = (filters) => {
+  const { ranges, minConfidence, ...rest } = normalizeFilters(filters);
+  const draftRanges = {};
+  for (const { key } of RANGE_FILTERS) {
+    draftRanges[key] = {
+      min: ranges[key]?.min ?? '',
+      max: ranges[key]?.max ?? ''
+    };
+  }
+  return { ...rest, minConfidence: minConfidence ?? '', ranges: draftRanges };
+};
+
+const parseBound = (value) => (value === '' ? null : parseFloat(value));
+
+const fromDraft = (draft) => {
+  const ranges = {};
+  for (const [key, { min, max }] of Object.entries(draft.ranges)) {
+    ranges[key] = { min: parseBound(min), max: parseBound(max) };
+  }
+  return normalizeFilters({ ...draft, minConfidence: parseBound(draft.minConfidence), ranges });
+};
+
+/**
+ * ScreenerPanel Component
+ *
+ * Min/max bounds, graduated toggle, text search and fused-signal filters for
+ * the Marketplace feed. Edits stay local until APPLY; named presets apply
+ * immediately.
+ */
+export function ScreenerPanel({ filters, onApply }) {
+  const [draft, setDraft] = useState(() => toDraft(filters));
+  const [presets, setPresets] = useState(loadFilterPresets);
+  const [presetName, setPresetName] = useState('');
+
+  useEffect(() => {
+    setDraft(toDraft(filters));
+  }, [filters]);
+
+  const updateRange = (key, bound, value) => {
+    setDraft(prev => ({
+      ...prev,
+      ranges: { ...prev.ranges, [key]: { ...prev.ranges[key], [bound]: value } }
+    }));
+  };
+
+  const apply = () => onApply(fromDraft(draft));
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const next = { ...presets, [name]: fromDraft(draft) };
+    setPresets(next);
+    saveFilterPresets(next);
+    setPresetName('');
+    apply();
+  };
+
+  const deletePreset = (name) => {
+    const next = { ...presets };
+    delete next[name];
+    setPresets(next);
+    saveFilterPresets(next);
+  };
+
+  return (
+    <div className="border-t border-green-400/20 mt-4 pt-4 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input
+          type="text"
+          value={draft.search}
+          onChange={(e) => setDraft(prev => ({ ...prev, search: e.target.value }))}
+          onKeyDown={(e) => e.key === 'Enter' && apply()}
+          placeholder="Search symbol, name or description"
+          className="bg-black border border-green-400/30 rounded px-3 py-1 text-sm text-green-400 placeholder-green-400/30 focus:border-green-400 focus:outline-none"
+        />
+        <div className="flex gap-1 border border-green-400/30 rounded p-1 text-xs">
+          {Object.entries(GRADUATED_OPTIONS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setDraft(prev => ({ ...prev, graduated: value }))}
+              className={`flex-1 px-2 py-1 rounded font-bold ${
+                draft.graduated === value ? 'bg-green-400 text-black' : 'text-green-400/60 hover:bg-green-400/10'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+        {RANGE_FILTERS.map(({ key, label, param }) => (
+          <div key={key} className="text-xs">
+            <div className="text-green-400/60 mb-1" title={param ? 'Sent to the backend' : 'Applied in the browser'}>
+              {label}
+            </div>
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                value={draft.ranges[key].min}
+                onChange={(e) => updateRange(key, 'min', e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && apply()}
+                placeholder="min"
+                className="w-full bg-black border border-green-400/30 rounded px-2 py-1 text-green-400 placeholder-green-400/30 focus:border-green-400 focus:outline-none"
+              />
+              <span className="text-green-400/40">–</span>
+              <input
+                type="number"
+                value={draft.ranges[key].max}
+                onChange={(e) => updateRange(key, 'max', e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && apply()}
+                placeholder="max"
+                className="w-full bg-black border border-green-400/30 rounded px-2 py-1 text-green-400 placeholder-green-400/30 focus:border-green-400 focus:outline-none"
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-3 flex-wrap text-xs">
+        <span className="text-green-400/60" title="Signals load as cards come on screen; tokens still loading are kept">
+          SIGNAL
+        </span>
+        <div className="flex gap-1 border border-purple-400/30 rounded p-1">
+          {Object.entries(SIGNAL_DIRECTION_OPTIONS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setDraft(prev => ({ ...prev, signalDirection: value }))}
+              className={`px-2 py-1 rounded font-bold ${
+                draft.signalDirection === value ? 'bg-purple-400 text-black' : 'text-purple-400/60 hover:bg-purple-400/10'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-1 text-green-400/60">
+          min confidence
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={draft.minConfidence}
+            onChange={(e) => setDraft(prev => ({ ...prev, minConfidence: e.target.value }))}
+            onKeyDown={(e) => e.key === 'Enter' && apply()}
+            placeholder="0"
+            className="w-16 bg-black border border-green-400/30 rounded px-2 py-1 text-right text-green-400 placeholder-green-400/30 focus:border-green-400 focus:outline-none"
+          />
+          %
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <div className="flex items-center gap-2 flex-wrap text-xs">
+          <span className="text-green-400/60">PRESETS</span>
+          {Object.keys(presets).length === 0 && <span className="text-green-400/30">none saved</span>}
+          {Object.entries(presets).map(([name, preset]) => (
+            <span key={name} className="flex items-center border border-cyan-400/30 rounded">
+              <button onClick={() => onApply(preset)} className="px-2 py-1 text-cyan-400 hover:bg-cyan-400/10">
+                {name}
+              </button>
+              <button
+                onClick={() => deletePreset(name)}
+                className="px-1 py-1 text-green-400/40 hover:text-red-400"
+                title={`Delete preset "${name}"`}
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2 text-xs">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && savePreset()}
+            placeholder="Preset name"
+            className="w-32 bg-black border border-green-400/30 rounded px-2 py-1 text-green-400 placeholder-green-400/30 focus:border-green-400 focus:outline-none"
+          />
+          <button
+            onClick={savePreset}
+            disabled={!presetName.trim()}
+            className="flex items-center gap-1 px-3 py-1 rounded border border-cyan-400/50 text-cyan-400 hover:bg-cyan-400/10 disabled:opacity-40"
+          >
+            <Save className="w-3 h-3" />
+            SAVE
+          </button>
+          <button
+            onClick={() => onApply(DEFAULT_FILTERS)}
+            className="flex items-center gap-1 px-3 py-1 rounded border border-green-400/30 text-green-400/60 hover:text-green-400"
+          >
+            <X className="w-3 h-3" />
+            CLEAR
+          </button>
+          <button
+            onClick={apply}
+            className="flex items-center gap-1 px-3 py-1 rounded bg-green-400 text-black font-bold hover:brightness-110"
+          >
+            <Filter className="w-3 h-3" />
+            APPLY
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
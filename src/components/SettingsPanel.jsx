@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { Settings, X, Info } from 'lucide-react';
+import {
+  CLUSTERS,
+  getConfig,
+  getQueryOverrides,
+  loadSettings,
+  saveSettings,
+  resetSettings
+} from '../config';
+
+/**
+ * SettingsPanel Component
+ *
+ * Modal for overriding backend, cluster, RPC, DexScreener and GeckoTerminal endpoints at runtime,
+ * plus holder-scan tuning (pool size, per-wallet timeout).
+ * Values are saved to localStorage; empty fields fall back to env/defaults.
+ */
+export function SettingsPanel({ onClose }) {
+  const saved = loadSettings();
+  const effective = getConfig();
+  const queryOverrides = getQueryOverrides();
+
+  const [backendUrl, setBackendUrl] = useState(saved.backendUrl || '');
+  const [cluster, setCluster] = useState(saved.cluster || effective.cluster);
+  const [rpcUrls, setRpcUrls] = useState((saved.rpcUrls || []).join('\n'));
+  const [dexscreenerUrl, setDexscreenerUrl] = useState(saved.dexscreenerUrl || '');
+  const [geckoTerminalUrl, setGeckoTerminalUrl] = useState(saved.geckoTerminalUrl || '');
+  const [scanConcurrency, setScanConcurrency] = useState(saved.scanConcurrency || '');
+  const [walletTimeoutSec, setWalletTimeoutSec] = useState(
+    saved.walletTimeoutMs ? saved.walletTimeoutMs / 1000 : ''
+  );
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveSettings({
+      backendUrl,
+      cluster,
+      rpcUrls,
+      dexscreenerUrl,
+      geckoTerminalUrl,
+      scanConcurrency,
+      walletTimeoutMs: walletTimeoutSec ? Math.round(walletTimeoutSec * 1000) : ''
+    });
+    onClose();
+  };
+
+  const handleReset = () => {
+    resetSettings();
+    onClose();
+  };
+
+  const inputClass = 'w-full bg-black border-2 border-green-400/30 rounded px-3 py-2 text-sm text-green-400 placeholder-green-400/30 focus:border-green-400 focus:outline-none font-mono';
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+      <div className="max-w-lg w-full bg-black border-2 border-cyan-400 rounded-lg p-6 relative">
+        {/* Close button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-green-400/60 hover:text-green-400 transition"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        {/* Modal header */}
+        <div className="flex items-center gap-3 mb-6">
+          <Settings className="w-8 h-8 text-cyan-400" />
+          <div>
+            <h2 className="text-xl font-bold text-green-400">Settings</h2>
+            <p className="text-xs text-green-400/60">
+              Leave a field empty to use the build default
+            </p>
+          </div>
+        </div>
+
+        {/* Query param override notice */}
+        {queryOverrides.backendUrl && (
+          <div className="bg-yellow-400/10 border border-yellow-400/30 rounded p-3 mb-4 flex gap-2">
+            <Info className="w-5 h-5 text-yellow-400 flex-shrink-0 mt-0.5" />
+            <div className="text-xs text-yellow-400">
+              <strong>?backend=</strong> is set in the URL and takes priority over the value saved here.
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleSave} className="space-y-4">
+          <div>
+            <label className="block text-sm text-green-400 mb-1 font-bold">Backend URL</label>
+            <input
+              type="text"
+              value={backendUrl}
+              onChange={(e) => setBackendUrl(e.target.value)}
+              placeholder={effective.backendUrl}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm text-green-400 mb-1 font-bold">Cluster</label>
+            <select
+              value={cluster}
+              onChange={(e) => setCluster(e.target.value)}
+              className={`${inputClass} cursor-pointer`}
+            >
+              {Object.entries(CLUSTERS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm text-green-400 mb-1 font-bold">
+              RPC URLs <span className="text-green-400/60 font-normal">(one per line, tried in order)</span>
+            </label>
+            <textarea
+              value={rpcUrls}
+              onChange={(e) => setRpcUrls(e.target.value)}
+              placeholder={CLUSTERS[cluster]?.rpcUrl}
+              className={`${inputClass} min-h-[70px]`}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm text-green-400 mb-1 font-bold">DexScreener API</label>
+            <input
+              type="text"
+              value={dexscreenerUrl}
+              onChange={(e) => setDexscreenerUrl(e.target.value)}
+              placeholder={effective.dexscreenerUrl}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm text-green-400 mb-1 font-bold">
+              GeckoTerminal API <span className="text-green-400/60 font-normal">(price charts)</span>
+            </label>
+            <input
+              type="text"
+              value={geckoTerminalUrl}
+              onChange={(e) => setGeckoTerminalUrl(e.target.value)}
+              placeholder={effective.geckoTerminalUrl}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm text-green-400 mb-1 font-bold">Scan Pool Size</label>
+              <input
+                type="number"
+                min="1"
+                max="16"
+                value={scanConcurrency}
+                onChange={(e) => setScanConcurrency(e.target.value)}
+                placeholder={String(effective.scanConcurrency)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-green-400 mb-1 font-bold">Wallet Timeout (s)</label>
+              <input
+                type="number"
+                min="1"
+                value={walletTimeoutSec}
+                onChange={(e) => setWalletTimeoutSec(e.target.value)}
+                placeholder={String(effective.walletTimeoutMs / 1000)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {/* Action buttons */}
+          <div className="flex gap-3 pt-2">
+            <button
+              type="submit"
+              className="flex-1 bg-cyan-400 text-black font-bold py-3 rounded hover:bg-cyan-300 transition-all"
+            >
+              SAVE
+            </button>
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-4 py-3 border-2 border-red-400/30 text-red-400 rounded hover:bg-red-400/10 transition"
+            >
+              RESET
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+const DIRECTION_STYLES = {
+  strong_bullish: { label: '▲▲ BULL', className: 'text-green-400 bg-green-400/20 border-green-400' },
+  bullish: { label: '▲ BULL', className: 'text-green-300 bg-green-400/10 border-green-400/60' },
+  neutral: { label: '● NEUTRAL', className: 'text-yellow-400 bg-yellow-400/10 border-yellow-400' },
+  bearish: { label: '▼ BEAR', className: 'text-red-300 bg-red-400/10 border-red-400/60' },
+  strong_bearish: { label: '▼▼ BEAR', className: 'text-red-400 bg-red-400/20 border-red-400' }
+};
+
+const ACTION_STYLES = {
+  BUY: 'text-green-400 border-green-400/50',
+  SELL: 'text-red-400 border-red-400/50',
+  EXIT: 'text-red-600 border-red-600',
+  AVOID: 'text-orange-400 border-orange-400/50'
+};
+
+const RISK_STYLES = {
+  extreme: 'text-red-600 border-red-600',
+  high: 'text-red-400 border-red-400/50',
+  medium: 'text-yellow-400 border-yellow-400/50'
+};
+
+/**
+ * SignalBadge Component
+ *
+ * One-line fused signal for a Marketplace card: direction, action code, risk
+ * and confidence. `entry` is undefined while the signal is loading and
+ * { error } when the backend has none for the token.
+ */
+export function SignalBadge({ entry }) {
+  if (!entry) {
+    return <div className="h-5 text-[10px] text-purple-400/40 animate-pulse">loading signal...</div>;
+  }
+
+  if (!entry.signal) {
+    return (
+      <div className="h-5 text-[10px] text-green-400/30" title={entry.error}>
+        no signal
+      </div>
+    );
+  }
+
+  const { direction, action_code, risk_level, confidence } = entry.signal;
+  const directionStyle = DIRECTION_STYLES[direction] || {
+    label: (direction || 'unknown').toUpperCase().replace('_', ' '),
+    className: 'text-red-600 bg-red-600/30 border-red-600'
+  };
+
+  return (
+    <div className="h-5 flex items-center gap-1 text-[10px] font-bold whitespace-nowrap overflow-hidden">
+      <span className={`px-1.5 rounded border ${directionStyle.className}`}>{directionStyle.label}</span>
+      {action_code && (
+        <span className={`px-1.5 rounded border ${ACTION_STYLES[action_code] || 'text-cyan-400 border-cyan-400/50'}`}>
+          {action_code}
+        </span>
+      )}
+      {risk_level && (
+        <span className={`px-1.5 rounded border ${RISK_STYLES[risk_level] || 'text-green-400 border-green-400/50'}`}>
+          {risk_level.toUpperCase()} RISK
+        </span>
+      )}
+      {typeof confidence === 'number' && (
+        <span className="ml-auto text-purple-400">{(confidence * 100).toFixed(0)}%</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { History, GitCompare } from 'lucide-react';
+import { SNAPSHOT_FIELDS, diffSnapshots, getSignalChanges } from '../signalHistory';
+
+const SPARKLINES = [
+  { field: 'confidence', label: 'Confidence', format: v => `${(v * 100).toFixed(0)}%` },
+  { field: 'vts', label: 'VTS', format: v => v.toFixed(2) },
+  { field: 'pii', label: 'PII', format: v => v.toFixed(3) },
+  { field: 'vei', label: 'VEI', format: v => v.toFixed(2) },
+  { field: 'asymmetry_ratio', label: 'Asymmetry', format: v => `${v.toFixed(2)}x` }
+];
+
+const FIELD_LABELS = {
+  direction: 'Direction',
+  confidence: 'Confidence',
+  action_code: 'Action',
+  risk_level: 'Risk',
+  systems_agree: 'Systems Agree',
+  vts: 'VTS',
+  pii: 'PII',
+  vei: 'VEI',
+  asymmetry_ratio: 'Asymmetry'
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return '--';
+  if (field === 'confidence') return `${(value * 100).toFixed(0)}%`;
+  if (typeof value === 'boolean') return value ? 'YES' : 'NO';
+  if (typeof value === 'number') return value.toFixed(3);
+  return String(value).replace('_', ' ');
+};
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+const getActionColor = (code) => {
+  if (code === 'BUY') return 'text-green-400';
+  if (code === 'SELL') return 'text-red-400';
+  if (code === 'EXIT') return 'text-red-600';
+  if (code === 'AVOID') return 'text-orange-400';
+  return 'text-cyan-400';
+};
+
+function Sparkline({ values }) {
+  const points = values.filter(v => v !== null && v !== undefined);
+  if (points.length < 2) return <div className="h-8 text-[10px] text-green-400/30 flex items-center">not enough data</div>;
+
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const range = max - min || 1;
+  const path = points
+    .map((v, i) => `${(i / (points.length - 1)) * 100},${28 - ((v - min) / range) * 26}`)
+    .join(' ');
+
+  return (
+    <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="w-full h-8">
+      <polyline points={path} fill="none" stroke="#22d3ee" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+/**
+ * SignalTimeline Component
+ *
+ * Locally recorded fused-signal snapshots for one token: sparklines of the
+ * numeric fields, a newest-first timeline, and a diff of any two snapshots
+ * (defaults to the latest against the one before it).
+ */
+export function SignalTimeline({ history }) {
+  const [selected, setSelected] = useState([]); // up to two snapshot timestamps
+
+  if (!history || history.length === 0) return null;
+
+  const changeTimes = new Set(getSignalChanges(history).map(s => s.timestamp));
+  const newestFirst = [...history].reverse();
+
+  const toggleSelected = (timestamp) => {
+    setSelected(prev => prev.includes(timestamp)
+      ? prev.filter(t => t !== timestamp)
+      : [...prev, timestamp].slice(-2));
+  };
+
+  // Diff the two picked snapshots in time order, else the last two recorded
+  const pair = selected.length === 2
+    ? history.filter(s => selected.includes(s.timestamp))
+    : history.slice(-2);
+  const [before, after] = pair.length === 2 ? pair : [null, null];
+  const changedFields = before ? diffSnapshots(before, after) : [];
+
+  return (
+    <div className="border-2 border-cyan-400/30 rounded-lg p-4 bg-black/50 mb-6">
+      <h2 className="text-lg font-bold text-cyan-400 flex items-center gap-2 mb-4">
+        <History className="w-5 h-5" />
+        SIGNAL HISTORY
+        <span className="text-xs text-green-400/60 font-normal">
+          {history.length} snapshot{history.length !== 1 ? 's' : ''} since {formatTimestamp(history[0].timestamp)}
+        </span>
+      </h2>
+
+      {/* Sparklines */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+        {SPARKLINES.map(({ field, label, format }) => {
+          const latest = history[history.length - 1][field];
+          return (
+            <div key={field} className="border border-green-400/20 rounded p-2">
+              <div className="flex justify-between text-[10px] mb-1">
+                <span className="text-green-400/60">{label}</span>
+                <span className="text-cyan-400 font-bold">
+                  {latest !== null && latest !== undefined ? format(latest) : '--'}
+                </span>
+              </div>
+              <Sparkline values={history.map(s => s[field])} />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {/* Timeline */}
+        <div>
+          <div className="text-xs text-green-400/60 mb-2">
+            TIMELINE <span className="text-green-400/40">(select two to compare)</span>
+          </div>
+          <div className="max-h-64 overflow-y-auto border border-green-400/20 rounded">
+            {newestFirst.map(snapshot => (
+              <button
+                key={snapshot.timestamp}
+                onClick={() => toggleSelected(snapshot.timestamp)}
+                className={`w-full flex items-center gap-3 px-3 py-1.5 text-xs text-left border-b border-green-400/10 transition-colors ${
+                  selected.includes(snapshot.timestamp) ? 'bg-cyan-400/10' : 'hover:bg-green-400/5'
+                }`}
+              >
+                <span className={`w-2 h-2 rounded-full flex-shrink-0 ${changeTimes.has(snapshot.timestamp) ? 'bg-yellow-400' : 'bg-green-400/20'}`} />
+                <span className="text-green-400/60 w-28 flex-shrink-0">{formatTimestamp(snapshot.timestamp)}</span>
+                <span className={`font-bold w-14 ${getActionColor(snapshot.action_code)}`}>{snapshot.action_code}</span>
+                <span className="text-green-400 flex-1 truncate">{formatValue('direction', snapshot.direction)}</span>
+                <span className="text-purple-400">{formatValue('confidence', snapshot.confidence)}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Diff */}
+        <div>
+          <div className="text-xs text-green-400/60 mb-2 flex items-center gap-2">
+            <GitCompare className="w-3 h-3" />
+            {before
+              ? `${formatTimestamp(before.timestamp)} → ${formatTimestamp(after.timestamp)}`
+              : 'DIFF'}
+          </div>
+          {!before ? (
+            <p className="text-xs text-green-400/40">Need at least two snapshots to compare</p>
+          ) : (
+            <table className="w-full text-xs border border-green-400/20 rounded">
+              <tbody>
+                {SNAPSHOT_FIELDS.map(field => {
+                  const changed = changedFields.includes(field);
+                  return (
+                    <tr key={field} className={`border-b border-green-400/10 ${changed ? 'bg-yellow-400/5' : ''}`}>
+                      <td className="p-2 text-green-400/60">{FIELD_LABELS[field]}</td>
+                      <td className="p-2 text-right text-green-400/60">{formatValue(field, before[field])}</td>
+                      <td className="p-2 text-center text-green-400/30">→</td>
+                      <td className={`p-2 font-bold ${changed ? 'text-yellow-400' : 'text-green-400/60'}`}>
+                        {formatValue(field, after[field])}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Upload } from 'lucide-react';
+import { parseSnapshot, saveImportedSnapshot } from '../reportExport';
+import { SNAPSHOT_PATH } from '../routes';
+
+/**
+ * SnapshotImport Component
+ *
+ * Opens an exported JSON snapshot in the Terminal's read-only snapshot mode.
+ * Problems with the file are passed to onError as a message.
+ */
+export function SnapshotImport({ onError }) {
+  const inputRef = useRef(null);
+  const navigate = useNavigate();
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+
+    try {
+      const snapshot = parseSnapshot(await file.text());
+      saveImportedSnapshot(snapshot);
+      // A new history entry each time so an already-open snapshot view reloads
+      navigate(SNAPSHOT_PATH, { state: { importedAt: Date.now() } });
+    } catch (error) {
+      onError?.(`Could not open snapshot: ${error.message}`);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => inputRef.current?.click()}
+        className="flex items-center gap-1 px-3 py-1 text-green-400 text-sm font-bold rounded border border-green-400/30 hover:bg-green-400/10"
+        title="Open a saved JSON snapshot (read-only)"
+      >
+        <Upload className="w-4 h-4" />
+        IMPORT
+      </button>
+      <input ref={inputRef} type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+    </>
+  );
+}
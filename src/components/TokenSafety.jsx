@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { Shield, ShieldCheck, ShieldAlert, ShieldX, ShieldQuestion } from 'lucide-react';
+import { getTokenSafetyData } from '../api';
+import { getCacheKey, readThrough } from '../analysisCache';
+import { buildSafetyChecks, summarizeSafety } from '../tokenSafety';
+import { CachedBadge } from './CachedBadge';
+
+const STATUS_STYLES = {
+  pass: { icon: ShieldCheck, color: 'text-green-400', label: 'PASS' },
+  warn: { icon: ShieldAlert, color: 'text-yellow-400', label: 'WARN' },
+  fail: { icon: ShieldX, color: 'text-red-400', label: 'FAIL' },
+  unknown: { icon: ShieldQuestion, color: 'text-green-400/40', label: 'N/A' }
+};
+
+/**
+ * TokenSafety Component
+ *
+ * Pass/warn/fail checks read from the token's on-chain accounts: mint and
+ * freeze authority, Token-2022 extensions, metadata mutability and LP burn.
+ * Sits next to the fused signal's risk factors.
+ */
+export function TokenSafety({ tokenAddress, pairs }) {
+  const [data, setData] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const poolAddress = pairs?.[0]?.pairAddress;
+
+  useEffect(() => {
+    if (!tokenAddress) return;
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    const pool = pairs?.[0] ? { pairAddress: pairs[0].pairAddress, dexId: pairs[0].dexId } : undefined;
+    readThrough(getCacheKey('token_safety', tokenAddress), () => getTokenSafetyData(tokenAddress, pool), {
+      forceRefresh: reloadKey > 0,
+      onRevalidate: (fresh) => {
+        if (cancelled) return;
+        setData(fresh);
+        setCachedAt(null);
+      }
+    })
+      .then(result => {
+        if (cancelled) return;
+        setData(result.data);
+        setCachedAt(result.fromCache ? result.timestamp : null);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Token safety error:', err);
+        setError('Could not read the mint account');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [tokenAddress, poolAddress, reloadKey]);
+
+  const checks = data ? buildSafetyChecks(data) : [];
+  const summary = summarizeSafety(checks);
+
+  return (
+    <div className="border-2 border-green-400/30 rounded-lg p-4 bg-black/50">
+      <div className="flex items-center justify-between mb-3 flex-wrap gap-2">
+        <div className="flex items-center gap-2">
+          <Shield className="w-4 h-4 text-green-400/60" />
+          <span className="text-sm font-bold text-green-400/60">TOKEN SAFETY</span>
+          <CachedBadge timestamp={cachedAt} onRefresh={!loading ? () => setReloadKey(k => k + 1) : undefined} />
+        </div>
+        {data && (
+          <div className="flex gap-2 text-xs font-bold">
+            {summary.fail > 0 && <span className="text-red-400">{summary.fail} FAIL</span>}
+            {summary.warn > 0 && <span className="text-yellow-400">{summary.warn} WARN</span>}
+            <span className="text-green-400">{summary.pass} PASS</span>
+          </div>
+        )}
+      </div>
+
+      {loading && !data && <p className="text-xs text-green-400/60 animate-pulse">Reading mint account...</p>}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      <div className="space-y-2">
+        {checks.map(c => {
+          const style = STATUS_STYLES[c.status];
+          const Icon = style.icon;
+          return (
+            <div key={c.id} className="flex items-start gap-2 text-sm">
+              <Icon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${style.color}`} />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-green-400">{c.label}</span>
+                  <span className={`text-[10px] font-bold ${style.color}`}>{style.label}</span>
+                </div>
+                <div className="text-xs text-green-400/60">{c.detail}</div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
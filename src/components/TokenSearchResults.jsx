@@ -0,0 +1,85 @@
+import { Activity } from 'lucide-react';
+
+const formatUsd = (value) => {
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+const formatAge = (createdAt) => {
+  if (!createdAt) return '--';
+  const hours = Math.floor((Date.now() - createdAt) / 3600000);
+  if (hours < 1) return '<1h';
+  if (hours < 24) return `${hours}h`;
+  const days = Math.floor(hours / 24);
+  return days < 365 ? `${days}d` : `${(days / 365).toFixed(1)}y`;
+};
+
+/**
+ * TokenSearchResults Component
+ *
+ * Dropdown under the search box listing every Solana token that matches a symbol,
+ * so the user picks the right one instead of whichever copy DexScreener lists first.
+ * Results come from searchTokens() already ranked.
+ */
+export function TokenSearchResults({ results, loading, onSelect }) {
+  return (
+    <div className="absolute left-0 right-0 top-full mt-1 z-40 bg-black border-2 border-green-400/50 rounded-lg max-h-96 overflow-y-auto shadow-lg shadow-green-400/10">
+      {loading && results.length === 0 ? (
+        <div className="p-4 flex items-center gap-2 text-sm text-green-400/60">
+          <Activity className="w-4 h-4 animate-spin" />
+          Searching...
+        </div>
+      ) : results.length === 0 ? (
+        <div className="p-4 text-sm text-green-400/40">No Solana tokens match</div>
+      ) : (
+        <>
+          <div className="px-3 py-2 text-[10px] text-green-400/50 border-b border-green-400/20 grid grid-cols-12 gap-2">
+            <span className="col-span-5">TOKEN</span>
+            <span className="col-span-2 text-right">LIQUIDITY</span>
+            <span className="col-span-2 text-right">VOL 24H</span>
+            <span className="col-span-1 text-right">AGE</span>
+            <span className="col-span-2 text-right">DEX</span>
+          </div>
+          {results.map((token) => (
+            <button
+              key={token.contractAddress}
+              type="button"
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                onSelect(token);
+              }}
+              className="w-full px-3 py-2 grid grid-cols-12 gap-2 items-center text-left text-xs hover:bg-green-400/10 border-b border-green-400/10 transition-colors"
+            >
+              <div className="col-span-5 flex items-center gap-2 min-w-0">
+                {token.image ? (
+                  <img src={token.image} alt="" className="w-6 h-6 rounded-full flex-shrink-0" />
+                ) : (
+                  <div className="w-6 h-6 rounded-full bg-green-400/10 flex-shrink-0" />
+                )}
+                <div className="min-w-0">
+                  <div className="text-green-400 font-bold truncate">
+                    ${token.symbol} <span className="text-green-400/50 font-normal">{token.name}</span>
+                  </div>
+                  <div className="text-cyan-400/70 font-mono truncate">
+                    {token.contractAddress.slice(0, 8)}...{token.contractAddress.slice(-6)}
+                  </div>
+                </div>
+              </div>
+              <span className={`col-span-2 text-right ${token.liquidity < 10000 ? 'text-red-400' : 'text-green-400'}`}>
+                {formatUsd(token.liquidity)}
+              </span>
+              <span className="col-span-2 text-right text-green-400">{formatUsd(token.volumeIn24h)}</span>
+              <span className="col-span-1 text-right text-green-400/70">{formatAge(token.pairCreatedAt)}</span>
+              <span className="col-span-2 text-right text-purple-400 truncate">
+                {token.dexId}{token.pairCount > 1 && ` +${token.pairCount - 1}`}
+              </span>
+            </button>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
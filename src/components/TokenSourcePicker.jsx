@@ -0,0 +1,43 @@
+import { Database } from 'lucide-react';
+import { TOKEN_SOURCES } from '../tokenSources';
+
+/**
+ * TokenSourcePicker Component
+ *
+ * Toggles which token sources feed the Marketplace. Picking several merges
+ * them into one list; the last selected source can't be turned off.
+ */
+export function TokenSourcePicker({ selected, onChange }) {
+  const toggle = (id) => {
+    if (selected.includes(id)) {
+      if (selected.length > 1) onChange(selected.filter(s => s !== id));
+    } else {
+      // Keep the order of TOKEN_SOURCES so the merge priority is stable
+      onChange(Object.keys(TOKEN_SOURCES).filter(s => s === id || selected.includes(s)));
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap text-xs">
+      <span className="flex items-center gap-1 text-green-400/60">
+        <Database className="w-3 h-3" />
+        SOURCES
+      </span>
+      {Object.entries(TOKEN_SOURCES).map(([id, source]) => {
+        const active = selected.includes(id);
+        return (
+          <button
+            key={id}
+            onClick={() => toggle(id)}
+            title={source.description}
+            className={`px-2 py-1 rounded border transition-colors ${
+              active ? 'border-green-400 text-green-400 bg-green-400/10' : 'border-green-400/20 text-green-400/40 hover:text-green-400'
+            }`}
+          >
+            {source.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+
+const GAP = 16; // gap-4
+
+// Same breakpoints as grid-cols-1 md:grid-cols-2 lg:grid-cols-3
+const columnsForWidth = (width) => (width >= 1024 ? 3 : width >= 768 ? 2 : 1);
+
+/**
+ * VirtualGrid Component
+ *
+ * Window-scrolled grid of fixed-height rows that only mounts the rows near
+ * the viewport. When `items` changes, the first visible item is kept at the
+ * same place on screen, so a refresh that inserts above it doesn't move the
+ * view. onEndReached fires whenever the last row comes into range;
+ * onVisibleChange gets the mounted items whenever that set changes.
+ */
+export function VirtualGrid({ items, getKey, renderItem, rowHeight, overscan = 2, onEndReached, onVisibleChange }) {
+  const containerRef = useRef(null);
+  const anchorRef = useRef(null); // { key, offset } - first visible item, its row's top relative to the viewport
+  const itemsRef = useRef(items);
+  const [columns, setColumns] = useState(() => columnsForWidth(window.innerWidth));
+  const [range, setRange] = useState({ start: 0, end: 0 }); // rows
+
+  const stride = rowHeight + GAP;
+  const rowCount = Math.ceil(items.length / columns);
+
+  const measure = () => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const cols = columnsForWidth(window.innerWidth);
+    const top = container.getBoundingClientRect().top;
+    const firstRow = Math.max(0, Math.floor(-top / stride));
+    const visibleRows = Math.ceil(window.innerHeight / stride) + 1;
+    const start = Math.max(0, firstRow - overscan);
+    const end = firstRow + visibleRows + overscan;
+
+    setColumns(cols);
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+
+    const list = itemsRef.current;
+    if (top < 0 && list.length > 0) {
+      const index = Math.min(firstRow * cols, list.length - 1);
+      anchorRef.current = { key: getKey(list[index]), offset: top + Math.floor(index / cols) * stride };
+    } else {
+      anchorRef.current = null;
+    }
+  };
+
+  useEffect(() => {
+    window.addEventListener('scroll', measure, { passive: true });
+    window.addEventListener('resize', measure);
+    return () => {
+      window.removeEventListener('scroll', measure);
+      window.removeEventListener('resize', measure);
+    };
+  }, [rowHeight, overscan]);
+
+  // Runs before paint so the scroll correction isn't visible. The browser's
+  // own scroll anchoring is off for the grid so the two don't stack.
+  useLayoutEffect(() => {
+    itemsRef.current = items;
+    const anchor = anchorRef.current;
+    const container = containerRef.current;
+
+    if (anchor && container) {
+      const index = items.findIndex(item => getKey(item) === anchor.key);
+      if (index >= 0) {
+        const rowTop = container.getBoundingClientRect().top + Math.floor(index / columns) * stride;
+        const delta = rowTop - anchor.offset;
+        if (Math.abs(delta) >= 1) window.scrollBy(0, delta);
+      }
+    }
+    measure();
+  }, [items, columns, stride]);
+
+  useEffect(() => {
+    if (rowCount > 0 && range.end >= rowCount) onEndReached?.();
+  }, [range.end, rowCount]);
+
+  const start = Math.min(range.start, rowCount);
+  const end = Math.min(range.end, rowCount);
+  const visible = items.slice(start * columns, end * columns);
+  const visibleKey = visible.map(getKey).join(',');
+
+  useEffect(() => {
+    onVisibleChange?.(visible);
+  }, [visibleKey]);
+
+  return (
+    <div ref={containerRef} className="relative" style={{ height: Math.max(0, rowCount * stride - GAP), overflowAnchor: 'none' }}>
+      <div
+        className="grid gap-4"
+        style={{
+          transform: `translateY(${start * stride}px)`,
+          gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+          gridAutoRows: `${rowHeight}px`
+        }}
+      >
+        {visible.map((item, i) => (
+          <div key={getKey(item)} className="min-w-0">
+            {renderItem(item, start * columns + i)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,293 @@
+import { useState, useEffect, useRef } from 'react';
+import { Network, Loader, Square } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { getFundingSource, isAbortError } from '../api';
+import { getCacheKey, getCached, setCached } from '../analysisCache';
+import { runQueue } from '../workQueue';
+import { clusterHolders, DEFAULT_CLUSTER_OPTIONS, LINK_REASONS } from '../walletClusters';
+import { walletPath } from '../routes';
+
+// Funding traces walk signature history on the public RPC - keep it gentle
+const TRACE_CONCURRENCY = 2;
+
+const WIDTH = 600;
+const HEIGHT = 340;
+const CENTER = { x: WIDTH / 2, y: HEIGHT / 2 };
+
+const CLUSTER_COLORS = ['#f87171', '#facc15', '#c084fc', '#22d3ee', '#fb923c', '#f472b6', '#a3e635', '#60a5fa'];
+const LINK_COLORS = { funding: '#f87171', timing: '#facc15', pattern: '#c084fc' };
+
+const shortAddress = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+const bubbleRadius = (share) => 4 + Math.sqrt(Math.max(share, 0)) * 6;
+
+/**
+ * Clusters around an inner ring, unlinked holders on the outer ring
+ */
+const layoutBubbles = (holders, clusters) => {
+  const positions = new Map();
+  const clusterRing = clusters.length > 1 ? 95 : 0;
+
+  clusters.forEach((cluster, c) => {
+    const angle = (c / clusters.length) * Math.PI * 2 - Math.PI / 2;
+    const cx = CENTER.x + Math.cos(angle) * clusterRing;
+    const cy = CENTER.y + Math.sin(angle) * clusterRing;
+    const ring = cluster.members.length > 1 ? 12 + cluster.members.length * 3 : 0;
+    cluster.members.forEach((address, m) => {
+      const a = (m / cluster.members.length) * Math.PI * 2;
+      positions.set(address, { x: cx + Math.cos(a) * ring, y: cy + Math.sin(a) * ring, cluster: cluster.id });
+    });
+  });
+
+  const loose = holders.filter(h => !positions.has(h.address));
+  loose.forEach((holder, i) => {
+    const angle = (i / loose.length) * Math.PI * 2 - Math.PI / 2;
+    positions.set(holder.address, {
+      x: CENTER.x + Math.cos(angle) * 150,
+      y: CENTER.y + Math.sin(angle) * 145,
+      cluster: null
+    });
+  });
+  return positions;
+};
+
+/**
+ * WalletClusters Component
+ *
+ * Bubble map of linked top holders - shared funding wallet, same buy window,
+ * or same pattern and position size. Funding is traced on demand over RPC
+ * (cached per wallet); timing and pattern links work from the scan alone.
+ * readOnly (snapshot mode) uses cached funding only and hides the trace button.
+ */
+export function WalletClusters({ holders, tokenAddress, readOnly = false }) {
+  const [funding, setFunding] = useState({}); // address -> { funder, ... } | null
+  const [tracing, setTracing] = useState(false);
+  const [traceProgress, setTraceProgress] = useState({ current: 0, total: 0 });
+  const [options, setOptions] = useState(DEFAULT_CLUSTER_OPTIONS);
+  const [selected, setSelected] = useState(null); // cluster id
+  const traceControllerRef = useRef(null);
+
+  const addressesKey = holders.map(h => h.address).join(',');
+
+  // Previously traced wallets come straight from the cache
+  useEffect(() => {
+    let cancelled = false;
+    setFunding({});
+    setSelected(null);
+    Promise.all(holders.map(async h => [h.address, await getCached(getCacheKey('funding', h.address))]))
+      .then(entries => {
+        if (cancelled) return;
+        setFunding(Object.fromEntries(entries.filter(([, entry]) => entry).map(([address, entry]) => [address, entry.data])));
+      });
+    return () => {
+      cancelled = true;
+      traceControllerRef.current?.abort();
+    };
+  }, [addressesKey]);
+
+  const traceFunding = async () => {
+    const pending = holders.filter(h => !(h.address in funding));
+    if (pending.length === 0) return;
+
+    const controller = new AbortController();
+    traceControllerRef.current = controller;
+    setTracing(true);
+    setTraceProgress({ current: 0, total: pending.length });
+
+    try {
+      await runQueue(pending, async (holder) => {
+        // Throws once stopped, so an aborted trace is neither cached nor shown
+        const source = await getFundingSource(holder.address, { signal: controller.signal });
+        setCached(getCacheKey('funding', holder.address), source);
+        return source;
+      }, {
+        concurrency: TRACE_CONCURRENCY,
+        signal: controller.signal,
+        onTaskError: (error, holder) => {
+          console.error(`Funding trace failed for ${holder.address}:`, error);
+          return null;
+        },
+        onResult: (source, holder) => {
+          setFunding(prev => ({ ...prev, [holder.address]: source }));
+          setTraceProgress(prev => ({ ...prev, current: prev.current + 1 }));
+        }
+      });
+    } catch (error) {
+      if (!isAbortError(error)) console.error('Funding trace error:', error);
+    } finally {
+      if (traceControllerRef.current === controller) traceControllerRef.current = null;
+      setTracing(false);
+    }
+  };
+
+  const stopTracing = () => traceControllerRef.current?.abort();
+
+  if (!holders || holders.length < 2) return null;
+
+  const { clusters, links, clusteredShare } = clusterHolders(holders, funding, options);
+  const positions = layoutBubbles(holders, clusters);
+  const shareByAddress = new Map(holders.map(h => [h.address, parseFloat(h.holdingPercent) || 0]));
+  const traced = holders.filter(h => h.address in funding).length;
+  const largest = clusters[0];
+  const selectedCluster = clusters.find(c => c.id === selected) || null;
+
+  const toggleOption = (key) => setOptions(prev => ({ ...prev, [key]: !prev[key] }));
+
+  return (
+    <div className="border-2 border-red-400/30 rounded-lg p-4 bg-black/50 mb-6">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+        <div>
+          <h2 className="text-lg font-bold text-red-400 flex items-center gap-2">
+            <Network className="w-5 h-5" />
+            LINKED WALLETS
+          </h2>
+          <p className="text-xs text-green-400/60">
+            {clusters.length > 0
+              ? `${clusters.length} cluster${clusters.length !== 1 ? 's' : ''} holding ${clusteredShare.toFixed(2)}% of supply`
+              : 'No linked holders found'}
+            {largest && <> · largest cluster controls <span className="text-red-400 font-bold">{largest.supplyShare.toFixed(2)}%</span></>}
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2 flex-wrap text-xs">
+          {Object.entries(LINK_REASONS).map(([reason, label]) => {
+            const key = `use${reason[0].toUpperCase()}${reason.slice(1)}`;
+            return (
+              <button
+                key={reason}
+                onClick={() => toggleOption(key)}
+                title={label}
+                className={`px-2 py-1 rounded border transition-colors ${
+                  options[key] ? 'border-green-400/50 text-green-400' : 'border-green-400/20 text-green-400/30 line-through'
+                }`}
+              >
+                <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: LINK_COLORS[reason] }} />
+                {reason.toUpperCase()}
+              </button>
+            );
+          })}
+          <label className="flex items-center gap-1 text-green-400/60" title="Holders whose first buys are this close are linked">
+            window
+            <input
+              type="number"
+              min="1"
+              value={options.timingWindowSeconds}
+              onChange={(e) => {
+                const seconds = parseInt(e.target.value, 10);
+                if (seconds > 0) setOptions(prev => ({ ...prev, timingWindowSeconds: seconds }));
+              }}
+              className="w-16 bg-black border border-green-400/30 rounded px-1 py-0.5 text-right text-green-400"
+            />
+            s
+          </label>
+          {readOnly ? null : tracing ? (
+            <button
+              onClick={stopTracing}
+              className="flex items-center gap-1 px-3 py-1 rounded border border-red-400 text-red-400 hover:bg-red-400/10"
+            >
+              <Loader className="w-3 h-3 animate-spin" />
+              {traceProgress.current}/{traceProgress.total}
+              <Square className="w-3 h-3 ml-1" />
+            </button>
+          ) : (
+            <button
+              onClick={traceFunding}
+              disabled={traced === holders.length}
+              className="px-3 py-1 rounded border border-cyan-400/50 text-cyan-400 hover:bg-cyan-400/10 disabled:opacity-40"
+              title="Look up each holder's first SOL deposit over RPC"
+            >
+              TRACE FUNDING ({traced}/{holders.length})
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full lg:col-span-2 border border-green-400/20 rounded bg-black">
+          {links.map((l, i) => {
+            const a = positions.get(l.source);
+            const b = positions.get(l.target);
+            const dimmed = selected !== null && a.cluster !== selected;
+            return (
+              <line
+                key={i}
+                x1={a.x} y1={a.y} x2={b.x} y2={b.y}
+                stroke={LINK_COLORS[l.reason]}
+                strokeWidth="1"
+                opacity={dimmed ? 0.1 : 0.6}
+              />
+            );
+          })}
+          {holders.map(holder => {
+            const pos = positions.get(holder.address);
+            const share = shareByAddress.get(holder.address);
+            const color = pos.cluster !== null ? CLUSTER_COLORS[pos.cluster % CLUSTER_COLORS.length] : '#4ade80';
+            const dimmed = selected !== null && pos.cluster !== selected;
+            return (
+              <circle
+                key={holder.address}
+                cx={pos.x}
+                cy={pos.y}
+                r={bubbleRadius(share)}
+                fill={color}
+                fillOpacity={pos.cluster !== null ? 0.5 : 0.15}
+                stroke={color}
+                strokeOpacity={dimmed ? 0.2 : 0.9}
+                opacity={dimmed ? 0.3 : 1}
+                className={pos.cluster !== null ? 'cursor-pointer' : undefined}
+                onClick={() => pos.cluster !== null && setSelected(selected === pos.cluster ? null : pos.cluster)}
+              >
+                <title>{`${shortAddress(holder.address)} · ${share.toFixed(2)}%`}</title>
+              </circle>
+            );
+          })}
+        </svg>
+
+        <div className="max-h-[340px] overflow-y-auto space-y-2">
+          {clusters.length === 0 && (
+            <p className="text-xs text-green-400/40">
+              {traced === 0 ? 'Trace funding to check for shared funding wallets' : 'Holders look independent with the current links'}
+            </p>
+          )}
+          {clusters.map(cluster => (
+            <button
+              key={cluster.id}
+              onClick={() => setSelected(selected === cluster.id ? null : cluster.id)}
+              className={`w-full text-left border rounded p-2 text-xs transition-colors ${
+                selected === cluster.id ? 'border-red-400 bg-red-400/10' : 'border-green-400/20 hover:border-green-400/40'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="flex items-center gap-2 font-bold text-green-400">
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: CLUSTER_COLORS[cluster.id % CLUSTER_COLORS.length] }} />
+                  {cluster.members.length} wallets
+                </span>
+                <span className="text-red-400 font-bold">{cluster.supplyShare.toFixed(2)}%</span>
+              </div>
+              <div className="text-[10px] text-green-400/60 mt-1">
+                {cluster.reasons.map(r => LINK_REASONS[r]).join(' · ')}
+              </div>
+              {cluster.funders.length > 0 && (
+                <div className="text-[10px] text-green-400/40 mt-1">
+                  funded by {cluster.funders.map(shortAddress).join(', ')}
+                </div>
+              )}
+            </button>
+          ))}
+
+          {selectedCluster && (
+            <div className="border border-red-400/30 rounded p-2 text-[11px] space-y-1">
+              {selectedCluster.members.map(address => (
+                <div key={address} className="flex justify-between">
+                  <Link to={walletPath(address, tokenAddress)} className="text-purple-400 hover:underline font-mono">
+                    {shortAddress(address)}
+                  </Link>
+                  <span className="text-cyan-400">{shareByAddress.get(address).toFixed(2)}%</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+// src/config.js
+// Runtime configuration for ORB - backend, RPC, cluster, DexScreener and GeckoTerminal endpoints, plus scan tuning
+// Resolution order (highest wins): ?backend= query param > settings screen > VITE_* env > defaults
+// A ?backend= host only applies once trusted (it receives the access code): the
+// built-in/env/saved backends are trusted, anything else needs the user to confirm it.
+
+import { Connection } from '@solana/web3.js';
+
+const SETTINGS_KEY = 'orb_settings';
+const TRUSTED_BACKENDS_KEY = 'orb_trusted_backends';
+
+/**
+ * Dispatched on window whenever saved settings change,
+ * so components holding backend data can refetch.
+ */
+export const CONFIG_CHANGED_EVENT = 'orb:config-changed';
+
+export const CLUSTERS = {
+  mainnet: { label: 'Mainnet Beta', rpcUrl: 'https://api.mainnet-beta.solana.com' },
+  devnet: { label: 'Devnet', rpcUrl: 'https://api.devnet.solana.com' },
+  localnet: { label: 'Localnet', rpcUrl: 'http://127.0.0.1:8899' }
+};
+
+const DEFAULTS = {
+  backendUrl: 'https://orbonsolana.up.railway.app',
+  cluster: 'mainnet',
+  rpcUrls: [],
+  dexscreenerUrl: 'https://api.dexscreener.com',
+  geckoTerminalUrl: 'https://api.geckoterminal.com/api/v2', // OHLCV candles
+  scanConcurrency: 4,        // wallets analyzed in parallel during a holder scan
+  walletTimeoutMs: 30000     // give up on a single wallet after this long
+};
+
+// ============================================
+// SOURCES
+// ============================================
+
+const trimSlash = (url) => (url || '').trim().replace(/\/+$/, '');
+
+const splitList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return list.map(trimSlash).filter(Boolean);
+};
+
+const toPositiveInt = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+/**
+ * Values baked in at build time from VITE_* variables.
+ */
+const readEnv = () => {
+  const env = import.meta.env;
+  return {
+    backendUrl: env.VITE_BACKEND_URL,
+    cluster: env.VITE_SOLANA_CLUSTER,
+    rpcUrls: splitList(env.VITE_RPC_URLS || env.VITE_RPC_URL),
+    dexscreenerUrl: env.VITE_DEXSCREENER_URL,
+    geckoTerminalUrl: env.VITE_GECKOTERMINAL_URL,
+    scanConcurrency: toPositiveInt(env.VITE_SCAN_CONCURRENCY),
+    walletTimeoutMs: toPositiveInt(env.VITE_WALLET_TIMEOUT_MS),
+    heliusApiKey: env.VITE_HELIUS_API_KEY
+  };
+};
+
+/**
+ * Values saved from the settings screen.
+ */
+export const loadSettings = () => {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('[Config] Failed to read saved settings:', error);
+    return {};
+  }
+};
+
+/**
+ * http(s) URL without trailing slash, or null for anything else
+ */
+const toHttpUrl = (value) => {
+  try {
+    const url = new URL(trimSlash(value));
+    return url.protocol === 'https:' || url.protocol === 'http:' ? trimSlash(url.href) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Backends the user confirmed from a ?backend= link
+ */
+const loadTrustedBackends = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TRUSTED_BACKENDS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('[Config] Failed to read trusted backends:', error);
+    return [];
+  }
+};
+
+const isTrustedBackend = (url) => {
+  const known = [DEFAULTS.backendUrl, readEnv().backendUrl, loadSettings().backendUrl, ...loadTrustedBackends()];
+  return known.some(candidate => candidate && toHttpUrl(candidate) === url);
+};
+
+/**
+ * Reads overrides from the page URL. With HashRouter the query string can sit
+ * either before the hash (/?backend=...#/) or inside it (/#/?backend=...).
+ * A backend that isn't trusted yet comes back as `untrustedBackendUrl` and is
+ * not applied until confirmed with trustBackendUrl().
+ */
+export const getQueryOverrides = () => {
+  if (typeof window === 'undefined') return {};
+
+  const hashQuery = window.location.hash.split('?')[1] || '';
+  const params = new URLSearchParams(window.location.search);
+  const hashParams = new URLSearchParams(hashQuery);
+  const requested = hashParams.get('backend') || params.get('backend');
+  if (!requested) return {};
+
+  const backendUrl = toHttpUrl(requested);
+  if (!backendUrl) return {};
+  return isTrustedBackend(backendUrl) ? { backendUrl } : { untrustedBackendUrl: backendUrl };
+};
+
+/**
+ * Confirm a ?backend= host so it applies from now on
+ */
+export const trustBackendUrl = (value) => {
+  const url = toHttpUrl(value);
+  if (!url) return;
+  try {
+    const trusted = loadTrustedBackends();
+    if (!trusted.includes(url)) localStorage.setItem(TRUSTED_BACKENDS_KEY, JSON.stringify([...trusted, url]));
+  } catch (error) {
+    console.error('[Config] Failed to save trusted backend:', error);
+    return;
+  }
+  window.dispatchEvent(new CustomEvent(CONFIG_CHANGED_EVENT, { detail: getConfig() }));
+};
+
+// ============================================
+// RESOLVED CONFIG
+// ============================================
+
+const pick = (...values) => values.find(v => v !== undefined && v !== null && v !== '');
+
+/**
+ * Returns the effective configuration.
+ * Evaluated on every call so changes from the settings screen apply without a reload.
+ */
+export const getConfig = () => {
+  const env = readEnv();
+  const settings = loadSettings();
+  const query = getQueryOverrides();
+
+  const requestedCluster = pick(settings.cluster, env.cluster, DEFAULTS.cluster);
+  const cluster = CLUSTERS[requestedCluster] ? requestedCluster : DEFAULTS.cluster;
+
+  let rpcUrls = splitList(settings.rpcUrls);
+  if (rpcUrls.length === 0) rpcUrls = env.rpcUrls;
+  if (rpcUrls.length === 0) {
+    rpcUrls = [CLUSTERS[cluster].rpcUrl];
+    // Helius gives better rate limits on mainnet when a key is configured
+    if (cluster === 'mainnet' && env.heliusApiKey) {
+      rpcUrls.unshift(`https://mainnet.helius-rpc.com/?api-key=${env.heliusApiKey}`);
+    }
+  }
+
+  return {
+    backendUrl: trimSlash(pick(query.backendUrl, settings.backendUrl, env.backendUrl, DEFAULTS.backendUrl)),
+    cluster,
+    rpcUrls,
+    dexscreenerUrl: trimSlash(pick(settings.dexscreenerUrl, env.dexscreenerUrl, DEFAULTS.dexscreenerUrl)),
+    geckoTerminalUrl: trimSlash(pick(settings.geckoTerminalUrl, env.geckoTerminalUrl, DEFAULTS.geckoTerminalUrl)),
+    scanConcurrency: pick(toPositiveInt(settings.scanConcurrency), env.scanConcurrency, DEFAULTS.scanConcurrency),
+    walletTimeoutMs: pick(toPositiveInt(settings.walletTimeoutMs), env.walletTimeoutMs, DEFAULTS.walletTimeoutMs)
+  };
+};
+
+export const getBackendUrl = () => getConfig().backendUrl;
+export const getRpcUrls = () => getConfig().rpcUrls;
+export const getCluster = () => getConfig().cluster;
+export const getDexScreenerUrl = () => getConfig().dexscreenerUrl;
+export const getGeckoTerminalUrl = () => getConfig().geckoTerminalUrl;
+
+/**
+ * Save settings-screen values. Empty fields are dropped so they fall back to env/defaults.
+ */
+export const saveSettings = (values) => {
+  const next = {};
+  if (trimSlash(values.backendUrl)) next.backendUrl = trimSlash(values.backendUrl);
+  if (values.cluster && CLUSTERS[values.cluster]) next.cluster = values.cluster;
+  if (splitList(values.rpcUrls).length > 0) next.rpcUrls = splitList(values.rpcUrls);
+  if (trimSlash(values.dexscreenerUrl)) next.dexscreenerUrl = trimSlash(values.dexscreenerUrl);
+  if (trimSlash(values.geckoTerminalUrl)) next.geckoTerminalUrl = trimSlash(values.geckoTerminalUrl);
+  if (toPositiveInt(values.scanConcurrency)) next.scanConcurrency = toPositiveInt(values.scanConcurrency);
+  if (toPositiveInt(values.walletTimeoutMs)) next.walletTimeoutMs = toPositiveInt(values.walletTimeoutMs);
+
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  window.dispatchEvent(new CustomEvent(CONFIG_CHANGED_EVENT, { detail: getConfig() }));
+  return next;
+};
+
+/**
+ * Clear saved settings (revert to env/defaults)
+ */
+export const resetSettings = () => {
+  localStorage.removeItem(SETTINGS_KEY);
+  window.dispatchEvent(new CustomEvent(CONFIG_CHANGED_EVENT, { detail: getConfig() }));
+};
+
+// ============================================
+// SOLANA CONNECTIONS
+// ============================================
+
+const connections = new Map();
+
+/**
+ * Get a (cached) Connection for one of the configured RPC URLs.
+ * @param {number} index - Position in the rpcUrls list (0 = primary)
+ */
+export const getConnection = (index = 0, commitment = 'confirmed') => {
+  const rpcUrls = getRpcUrls();
+  const url = rpcUrls[Math.min(index, rpcUrls.length - 1)];
+  const key = `${url}|${commitment}`;
+
+  if (!connections.has(key)) {
+    connections.set(key, new Connection(url, commitment));
+  }
+  return connections.get(key);
+};
@@ -0,0 +1,130 @@
+// src/holderDistribution.js
+// Holder concentration analytics - top-N share, Gini and Herfindahl index
+// Pure functions over the rows fetchTokenHolders returns (backend or RPC fallback).
+
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * Owners whose balances aren't anyone's position: burns, AMM authorities.
+ * Pool addresses of the token's own pairs are added per token (see classifyHolder).
+ */
+export const KNOWN_ACCOUNTS = {
+  '1nc1nerator11111111111111111111111111111111': { kind: 'burn', label: 'Incinerator' },
+  '11111111111111111111111111111111': { kind: 'burn', label: 'System Program' },
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': { kind: 'lp', label: 'Raydium AMM' },
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL': { kind: 'lp', label: 'Raydium CPMM' }
+};
+
+export const FLAG_LABELS = {
+  burn: 'BURN',
+  lp: 'LP',
+  program: 'PROGRAM'
+};
+
+const isOffCurve = (address) => {
+  try {
+    return !PublicKey.isOnCurve(new PublicKey(address).toBytes());
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Why a holder shouldn't count towards concentration, or null for a regular wallet.
+ * A PDA owner can't sign, so it's a program (vault, bonding curve, locker) rather than a person.
+ * Rows from the RPC fallback whose owner couldn't be resolved are token accounts - most are
+ * ATAs (PDAs themselves), so only the known-address and pool checks apply to them.
+ *
+ * @param {{address, ownerResolved}} holder
+ * @param {Set<string>} poolAddresses - the token's pair addresses (their vaults are owned by the pool)
+ * @returns {{kind: 'burn'|'lp'|'program', label: string} | null}
+ */
+export const classifyHolder = (holder, poolAddresses = new Set()) => {
+  if (KNOWN_ACCOUNTS[holder.address]) return KNOWN_ACCOUNTS[holder.address];
+  if (poolAddresses.has(holder.address)) return { kind: 'lp', label: 'Liquidity pool' };
+  if (holder.ownerResolved !== false && isOffCurve(holder.address)) return { kind: 'program', label: 'Program account' };
+  return null;
+};
+
+/**
+ * Gini coefficient of a set of balances (0 = all equal, 1 = one holder has everything)
+ */
+export const gini = (values) => {
+  const sorted = values.filter(v => v >= 0).sort((a, b) => a - b);
+  const n = sorted.length;
+  const total = sorted.reduce((sum, v) => sum + v, 0);
+  if (n === 0 || total === 0) return 0;
+
+  const weighted = sorted.reduce((sum, v, i) => sum + (i + 1) * v, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+};
+
+/**
+ * Herfindahl-Hirschman index from percentage shares (0-10,000; above 2,500 is highly concentrated)
+ */
+export const herfindahl = (percentShares) => percentShares.reduce((sum, s) => sum + s * s, 0);
+
+/**
+ * Concentration of a token's top holders.
+ * Shares are of total supply; flagged (burn/LP/program) holders are listed but left
+ * out of top-N, Gini and HHI. Gini is over the fetched sample only - the long tail
+ * of small holders isn't visible to either holder source.
+ * Without a supply (the read failed) rows lacking a percentage are measured
+ * against the fetched holders' total instead, and `supplyKnown` is false.
+ *
+ * @param {Array<{address, amount, holdingPercent?, ownerResolved?}>} holders
+ * @param {number|null} totalSupply
+ * @param {{poolAddresses?: string[]}} options
+ * @returns {{
+ *   holders: Array<{address, amount, share, flag}>,
+ *   top10Share: number, top20Share: number, sampleShare: number, excludedShare: number,
+ *   gini: number, hhi: number, counted: number, unresolvedOwners: boolean, supplyKnown: boolean
+ * }}
+ */
+export const computeDistribution = (holders, totalSupply, { poolAddresses = [] } = {}) => {
+  const pools = new Set(poolAddresses);
+  const hasPercent = (holder) => holder.holdingPercent !== undefined && holder.holdingPercent !== null;
+  const supplyKnown = totalSupply > 0 || (holders || []).every(hasPercent);
+  const base = totalSupply > 0
+    ? totalSupply
+    : (holders || []).reduce((sum, h) => sum + (Number(h.amount) || 0), 0);
+
+  const rows = (holders || [])
+    .map(holder => {
+      const share = hasPercent(holder)
+        ? parseFloat(holder.holdingPercent)
+        : base > 0 ? (holder.amount / base) * 100 : 0;
+      return {
+        address: holder.address,
+        amount: holder.amount,
+        share: Number.isFinite(share) ? share : 0,
+        flag: classifyHolder(holder, pools)
+      };
+    })
+    .sort((a, b) => b.share - a.share);
+
+  const counted = rows.filter(r => !r.flag);
+  const sumShares = (list) => list.reduce((sum, r) => sum + r.share, 0);
+
+  return {
+    holders: rows,
+    top10Share: sumShares(counted.slice(0, 10)),
+    top20Share: sumShares(counted.slice(0, 20)),
+    sampleShare: sumShares(rows),
+    excludedShare: sumShares(rows.filter(r => r.flag)),
+    gini: gini(counted.map(r => r.share)),
+    hhi: herfindahl(counted.map(r => r.share)),
+    counted: counted.length,
+    unresolvedOwners: (holders || []).some(h => h.ownerResolved === false),
+    supplyKnown
+  };
+};
+
+/**
+ * Plain-language reading of the HHI
+ */
+export const getConcentrationLevel = (hhi) => {
+  if (hhi >= 2500) return 'HIGH';
+  if (hhi >= 1500) return 'MODERATE';
+  return 'LOW';
+};
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { Keypair } from '@solana/web3.js';
+import { gini, herfindahl, computeDistribution, getConcentrationLevel } from './holderDistribution';
+
+describe('gini', () => {
+  it('is 0 for an empty list', () => {
+    expect(gini([])).toBe(0);
+  });
+
+  it('is 0 for a single holder', () => {
+    expect(gini([42])).toBe(0);
+  });
+
+  it('is 0 when all holders are equal', () => {
+    expect(gini([5, 5, 5, 5])).toBeCloseTo(0, 12);
+  });
+
+  it('is 0 when every balance is zero', () => {
+    expect(gini([0, 0, 0])).toBe(0);
+  });
+
+  it('approaches 1 as one holder takes everything', () => {
+    // One of n holding all: (n - 1) / n
+    expect(gini([0, 0, 0, 100])).toBeCloseTo(0.75, 12);
+  });
+
+  it('ignores order and negative values', () => {
+    expect(gini([3, 1, 2])).toBeCloseTo(gini([1, 2, 3]), 12);
+    expect(gini([1, 2, 3, -5])).toBeCloseTo(gini([1, 2, 3]), 12);
+  });
+});
+
+describe('herfindahl', () => {
+  it('is 0 for an empty list', () => {
+    expect(herfindahl([])).toBe(0);
+  });
+
+  it('is 10,000 for a single holder of everything', () => {
+    expect(herfindahl([100])).toBe(10000);
+  });
+
+  it('is 10,000 / n for n equal holders of everything', () => {
+    expect(herfindahl([25, 25, 25, 25])).toBe(2500);
+    expect(herfindahl(Array(10).fill(10))).toBeCloseTo(1000, 9);
+  });
+
+  it('only counts the shares it is given', () => {
+    expect(herfindahl([10, 10])).toBe(200);
+  });
+});
+
+describe('getConcentrationLevel', () => {
+  it('uses the standard HHI bands', () => {
+    expect(getConcentrationLevel(2500)).toBe('HIGH');
+    expect(getConcentrationLevel(2499)).toBe('MODERATE');
+    expect(getConcentrationLevel(1500)).toBe('MODERATE');
+    expect(getConcentrationLevel(1499)).toBe('LOW');
+  });
+});
+
+describe('computeDistribution', () => {
+  // Regular (on-curve) wallets
+  const wallets = Array.from({ length: 3 }, () => Keypair.generate().publicKey.toBase58());
+
+  it('handles no holders', () => {
+    const result = computeDistribution([], 1000);
+    expect(result).toMatchObject({ top10Share: 0, gini: 0, hhi: 0, counted: 0, unresolvedOwners: false });
+  });
+
+  it('leaves burn and pool holders out of the concentration numbers', () => {
+    const result = computeDistribution([
+      { address: '1nc1nerator11111111111111111111111111111111', amount: 500 },
+      { address: 'Pool1111111111111111111111111111111111111111', amount: 200 },
+      { address: wallets[0], amount: 100 },
+      { address: wallets[1], amount: 100 }
+    ], 1000, { poolAddresses: ['Pool1111111111111111111111111111111111111111'] });
+
+    expect(result.counted).toBe(2);
+    expect(result.excludedShare).toBe(70);
+    expect(result.sampleShare).toBe(90);
+    expect(result.top10Share).toBe(20);
+    expect(result.gini).toBeCloseTo(0, 12);
+    expect(result.hhi).toBe(200);
+    expect(result.holders[0].flag).toMatchObject({ kind: 'burn' });
+  });
+
+  it('prefers backend holdingPercent', () => {
+    const result = computeDistribution([
+      { address: wallets[0], amount: 1, holdingPercent: '12.50' },
+      { address: wallets[1], amount: 1 }
+    ], 1000);
+    expect(result.holders.map(h => h.share)).toEqual([12.5, 0.1]);
+    expect(result.supplyKnown).toBe(true);
+  });
+
+  it.each([null, 0])('measures against the fetched holders when the supply is %s', (supply) => {
+    const result = computeDistribution([
+      { address: wallets[0], amount: 300 },
+      { address: wallets[1], amount: 100 }
+    ], supply);
+    expect(result.holders.map(h => h.share)).toEqual([75, 25]);
+    expect(result.supplyKnown).toBe(false);
+  });
+
+  it('needs no supply when every row has a backend percentage', () => {
+    const result = computeDistribution([{ address: wallets[0], amount: 1, holdingPercent: 4 }], null);
+    expect(result).toMatchObject({ top10Share: 4, supplyKnown: true });
+  });
+});
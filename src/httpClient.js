@@ -0,0 +1,198 @@
+// src/httpClient.js
+// Shared HTTP client for ORB - timeouts, retries with backoff, typed errors
+// Every network call in api.js goes through request()
+
+import { getBackendUrl } from './config';
+
+// ============================================
+// ERROR TYPES
+// ============================================
+
+/**
+ * Base class for any non-2xx response
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, url = '', body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.url = url;
+    this.body = body;
+  }
+}
+
+/**
+ * HTTP 429 - daily analysis quota used up
+ * Carries the quota info the backend sends back (limit, resets_at)
+ */
+export class RateLimitError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 429 });
+    this.name = 'RateLimitError';
+    const body = options.body || {};
+    this.limit = body.limit ?? null;
+    this.used = body.used ?? body.limit ?? null;
+    this.remaining = body.remaining ?? 0;
+    this.resetsAt = body.resets_at ?? null;
+  }
+}
+
+/**
+ * HTTP 404 - resource doesn't exist (yet)
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 404 });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Network failure, timeout, or 5xx that persisted through all retries
+ */
+export class BackendUnavailableError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'BackendUnavailableError';
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * True when the caller cancelled the request (not a timeout)
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// ============================================
+// INTERNALS
+// ============================================
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+
+// Safe to repeat. Anything else (POSTs that start an analysis and use quota)
+// only retries when the caller asks for it.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Exponential backoff with jitter: ~500ms, ~1s, ~2s...
+ */
+const backoffDelay = (attempt) => BACKOFF_BASE_MS * 2 ** attempt + Math.random() * 250;
+
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const toError = (response, body, url) => {
+  const message = body?.error || body?.message || `Request failed: ${response.status}`;
+  const options = { status: response.status, url, body };
+
+  if (response.status === 429) return new RateLimitError(message, options);
+  if (response.status === 404) return new NotFoundError(message, options);
+  if (response.status >= 500) return new BackendUnavailableError(message, options);
+  return new ApiError(message, options);
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Make an HTTP request and return the parsed JSON body.
+ *
+ * @param {string} url - Absolute URL
+ * @param {object} options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {object} options.body - JSON body (serialized for you)
+ * @param {number} options.timeout - Per-attempt timeout in ms
+ * @param {number} options.retries - Extra attempts on 5xx/network failures
+ *   (default 2 for idempotent methods, 0 otherwise)
+ * @param {AbortSignal} options.signal - Caller's abort signal; aborting never retries
+ * @throws {RateLimitError|NotFoundError|BackendUnavailableError|ApiError}
+ */
+export const request = async (url, {
+  method = 'GET',
+  body,
+  headers = {},
+  timeout = DEFAULT_TIMEOUT,
+  retries = IDEMPOTENT_METHODS.has(method) ? DEFAULT_RETRIES : 0,
+  signal
+} = {}) => {
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+    // Per-attempt controller so a timeout doesn't poison the caller's signal
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onCallerAbort = () => controller.abort();
+    signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+
+      const data = await parseBody(response);
+      if (response.ok) return data;
+
+      const error = toError(response, data, url);
+      if (!(error instanceof BackendUnavailableError)) throw error;
+      lastError = error;
+    } catch (error) {
+      if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+      if (error instanceof ApiError && !(error instanceof BackendUnavailableError)) throw error;
+
+      lastError = error instanceof ApiError
+        ? error
+        : new BackendUnavailableError(
+          controller.signal.aborted ? `Request timed out after ${timeout}ms` : 'Network error',
+          { url, cause: error }
+        );
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCallerAbort);
+    }
+
+    if (attempt < retries) {
+      await sleep(backoffDelay(attempt), signal);
+    }
+  }
+
+  throw lastError;
+};
+
+/**
+ * GET from the configured ORB backend
+ */
+export const backendGet = (path, options = {}) =>
+  request(`${getBackendUrl()}${path}`, { ...options, method: 'GET' });
+
+/**
+ * POST JSON to the configured ORB backend
+ */
+export const backendPost = (path, body, options = {}) =>
+  request(`${getBackendUrl()}${path}`, { ...options, method: 'POST', body });
@@ -0,0 +1,80 @@
+// src/marketplaceFeed.js
+// Keeps the paged Marketplace list stable while it refreshes.
+// The 30s refresh only refetches the first page; it is merged into what's
+// already loaded so deeper pages (and the user's place in them) survive.
+// In the creation-time view each refresh is also diffed for the live feed,
+// with optional alerts (localStorage) for new listings.
+
+/**
+ * Merges a refetched first page into the loaded list. The page comes first
+ * in its new order, followed by previously loaded tokens it doesn't contain.
+ */
+export const mergeRefreshedPage = (current, page) => {
+  const fresh = new Set(page.map(t => t.mint));
+  return [...page, ...current.filter(t => !fresh.has(t.mint))];
+};
+
+/**
+ * Appends the next page, skipping tokens already loaded. Offset paging
+ * overlaps when new tokens are listed between requests.
+ */
+export const appendPage = (current, page) => {
+  const loaded = new Set(current.map(t => t.mint));
+  return [...current, ...page.filter(t => !loaded.has(t.mint))];
+};
+
+// Fields whose change since the last refresh is flashed on the card
+export const FLASH_FIELDS = ['price', 'market_cap'];
+
+/**
+ * What changed between two refreshes of the first page. Tokens not seen
+ * before are `added`; tokens in both with a different price or market cap
+ * get a direction per field.
+ * @returns {{added: Array, changes: Object<string, {price?: 'up'|'down', market_cap?: 'up'|'down'}>}}
+ */
+export const diffFeed = (previous, page) => {
+  const before = new Map(previous.map(t => [t.mint, t]));
+  const added = [];
+  const changes = {};
+
+  for (const token of page) {
+    const old = before.get(token.mint);
+    if (!old) {
+      added.push(token);
+      continue;
+    }
+    for (const field of FLASH_FIELDS) {
+      const a = old[field];
+      const b = token[field];
+      if (typeof a !== 'number' || typeof b !== 'number' || a === b) continue;
+      changes[token.mint] = { ...changes[token.mint], [field]: b > a ? 'up' : 'down' };
+    }
+  }
+  return { added, changes };
+};
+
+const ALERTS_KEY = 'orb_marketplace_feed_alerts';
+
+export const DEFAULT_FEED_ALERTS = {
+  preset: null, // saved screener preset name new listings are checked against
+  sound: false,
+  notify: false
+};
+
+export const loadFeedAlerts = () => {
+  try {
+    const saved = localStorage.getItem(ALERTS_KEY);
+    return saved ? { ...DEFAULT_FEED_ALERTS, ...JSON.parse(saved) } : DEFAULT_FEED_ALERTS;
+  } catch (error) {
+    console.error('[MarketplaceFeed] Failed to read feed alerts:', error);
+    return DEFAULT_FEED_ALERTS;
+  }
+};
+
+export const saveFeedAlerts = (alerts) => {
+  try {
+    localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts));
+  } catch (error) {
+    console.error('[MarketplaceFeed] Failed to save feed alerts:', error);
+  }
+};
@@ -0,0 +1,192 @@
+// src/marketplaceFilters.js
+// Screener filters for the Marketplace feed, plus named presets (localStorage).
+// Bounds the backend understands go out as query params; every filter is also
+// checked client-side, so results are right whether or not a param is honored.
+// Fused-signal filters and sorts are client-side only - signals are fetched
+// lazily for cards on screen.
+
+const PRESETS_KEY = 'orb_marketplace_presets';
+
+/**
+ * Min/max filters in display order. `param` is the backend field for
+ * min_<param>/max_<param> query params; null means client-side only.
+ */
+export const RANGE_FILTERS = [
+  { key: 'market_cap', label: 'Market Cap ($)', param: 'market_cap' },
+  { key: 'liquidity', label: 'Liquidity ($)', param: 'liquidity' },
+  { key: 'volume_24h', label: '24h Volume ($)', param: 'volume_24h' },
+  { key: 'holders', label: 'Holders', param: null },
+  { key: 'age_hours', label: 'Age (hours)', param: null },
+  { key: 'price_change_24h', label: '24h Change (%)', param: null }
+];
+
+export const GRADUATED_OPTIONS = {
+  any: 'Any',
+  yes: 'Graduated',
+  no: 'Bonding curve'
+};
+
+export const SIGNAL_DIRECTION_OPTIONS = {
+  any: 'Any',
+  bullish: 'Bullish',
+  neutral: 'Neutral',
+  bearish: 'Bearish'
+};
+
+const DIRECTION_GROUPS = {
+  strong_bullish: 'bullish',
+  bullish: 'bullish',
+  neutral: 'neutral',
+  bearish: 'bearish',
+  strong_bearish: 'bearish'
+};
+
+const DIRECTION_RANK = { strong_bullish: 2, bullish: 1, neutral: 0, bearish: -1, strong_bearish: -2 };
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  graduated: 'any',
+  signalDirection: 'any',
+  minConfidence: null, // percent
+  ranges: {}
+};
+
+const isBound = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Fills in missing fields and drops empty or invalid bounds
+ */
+export const normalizeFilters = (filters = {}) => {
+  const ranges = {};
+  for (const { key } of RANGE_FILTERS) {
+    const range = filters.ranges?.[key];
+    if (!range) continue;
+    const min = isBound(range.min) ? range.min : null;
+    const max = isBound(range.max) ? range.max : null;
+    if (min !== null || max !== null) ranges[key] = { min, max };
+  }
+  return {
+    search: typeof filters.search === 'string' ? filters.search : '',
+    graduated: filters.graduated in GRADUATED_OPTIONS ? filters.graduated : 'any',
+    signalDirection: filters.signalDirection in SIGNAL_DIRECTION_OPTIONS ? filters.signalDirection : 'any',
+    minConfidence: isBound(filters.minConfidence) ? filters.minConfidence : null,
+    ranges
+  };
+};
+
+const hasSignalFilter = ({ signalDirection, minConfidence }) => signalDirection !== 'any' || minConfidence !== null;
+
+export const countActiveFilters = (filters) => {
+  const { search, graduated, signalDirection, minConfidence, ranges } = normalizeFilters(filters);
+  return (search.trim() ? 1 : 0) +
+    (graduated !== 'any' ? 1 : 0) +
+    (signalDirection !== 'any' ? 1 : 0) +
+    (minConfidence !== null ? 1 : 0) +
+    Object.keys(ranges).length;
+};
+
+/**
+ * Query params for fetchMarketplaceTokens
+ */
+export const toBackendParams = (filters) => {
+  const { graduated, ranges } = normalizeFilters(filters);
+  const params = {};
+
+  for (const { key, param } of RANGE_FILTERS) {
+    if (!param || !ranges[key]) continue;
+    if (ranges[key].min !== null) params[`min_${param}`] = ranges[key].min;
+    if (ranges[key].max !== null) params[`max_${param}`] = ranges[key].max;
+  }
+  if (graduated !== 'any') params.is_graduated = graduated === 'yes';
+
+  return params;
+};
+
+/**
+ * Value a range filter compares against, or null when the token doesn't have it
+ */
+const tokenValue = (token, key, nowSeconds) => {
+  if (key === 'age_hours') {
+    return token.created_timestamp ? (nowSeconds - token.created_timestamp) / 3600 : null;
+  }
+  const value = token[key];
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Client-side check of one token against all filters. A token missing a
+ * field that has a bound set doesn't match.
+ *
+ * `signal` is the token's fused signal: undefined while it hasn't been
+ * fetched (kept, so the card can come on screen and load it), null when
+ * unavailable (dropped by signal filters).
+ */
+export const matchesFilters = (token, filters, { now = Date.now(), signal } = {}) => {
+  const normalized = normalizeFilters(filters);
+  const { search, graduated, signalDirection, minConfidence, ranges } = normalized;
+  const nowSeconds = now / 1000;
+
+  if (graduated !== 'any') {
+    // Sources that can't tell (null) don't match either way
+    if (token.is_graduated === null || token.is_graduated === undefined) return false;
+    if (Boolean(token.is_graduated) !== (graduated === 'yes')) return false;
+  }
+
+  const query = search.trim().toLowerCase();
+  if (query) {
+    const haystack = [token.symbol, token.name, token.description].filter(Boolean).join(' ').toLowerCase();
+    if (!haystack.includes(query)) return false;
+  }
+
+  for (const [key, { min, max }] of Object.entries(ranges)) {
+    const value = tokenValue(token, key, nowSeconds);
+    if (value === null) return false;
+    if (min !== null && value < min) return false;
+    if (max !== null && value > max) return false;
+  }
+
+  if (hasSignalFilter(normalized) && signal !== undefined) {
+    if (!signal) return false;
+    if (signalDirection !== 'any' && DIRECTION_GROUPS[signal.direction] !== signalDirection) return false;
+    if (minConfidence !== null && (signal.confidence ?? 0) * 100 < minConfidence) return false;
+  }
+  return true;
+};
+
+/**
+ * Value to sort by for the client-side signal sorts, higher first; null
+ * (no signal yet) sorts last. Direction ties are broken by confidence.
+ */
+export const signalSortValue = (signal, sortBy) => {
+  if (!signal) return null;
+  const confidence = signal.confidence ?? 0;
+  if (sortBy === 'signal_direction') {
+    return signal.direction in DIRECTION_RANK ? DIRECTION_RANK[signal.direction] * 10 + confidence : null;
+  }
+  return confidence;
+};
+
+/**
+ * Saved presets, keyed by name
+ * @returns {Object<string, {search, graduated, signalDirection, minConfidence, ranges}>}
+ */
+export const loadFilterPresets = () => {
+  try {
+    const saved = localStorage.getItem(PRESETS_KEY);
+    if (!saved) return {};
+    return Object.fromEntries(
+      Object.entries(JSON.parse(saved)).map(([name, filters]) => [name, normalizeFilters(filters)])
+    );
+  } catch (error) {
+    console.error('[MarketplaceFilters] Failed to read presets:', error);
+    return {};
+  }
+};
+
+export const saveFilterPresets = (presets) => {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.error('[MarketplaceFilters] Failed to save presets:', error);
+  }
+};
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { matchesFilters, normalizeFilters, toBackendParams, countActiveFilters } from './marketplaceFilters';
+
+const NOW = 1700000000000;
+
+const token = (overrides = {}) => ({
+  mint: 'Mint111',
+  symbol: 'ORB',
+  name: 'Orb Token',
+  description: null,
+  market_cap: 50000,
+  liquidity: 10000,
+  volume_24h: 2000,
+  holders: 300,
+  price_change_24h: 12,
+  is_graduated: true,
+  created_timestamp: NOW / 1000 - 2 * 3600,
+  ...overrides
+});
+
+const withRange = (key, min = null, max = null) => ({ ranges: { [key]: { min, max } } });
+
+describe('matchesFilters', () => {
+  it('matches everything with no filters set', () => {
+    expect(matchesFilters(token(), {}, { now: NOW })).toBe(true);
+    expect(matchesFilters({ mint: 'bare' }, {}, { now: NOW })).toBe(true);
+  });
+
+  it.each(['market_cap', 'liquidity', 'volume_24h', 'holders', 'price_change_24h'])(
+    'drops tokens missing %s when it has a bound',
+    (key) => {
+      const filters = withRange(key, 0);
+      expect(matchesFilters(token({ [key]: null }), filters, { now: NOW })).toBe(false);
+      expect(matchesFilters(token({ [key]: undefined }), filters, { now: NOW })).toBe(false);
+      expect(matchesFilters(token({ [key]: NaN }), filters, { now: NOW })).toBe(false);
+      expect(matchesFilters(token(), filters, { now: NOW })).toBe(true);
+    }
+  );
+
+  it('drops tokens without a creation time under an age bound', () => {
+    const filters = withRange('age_hours', null, 24);
+    expect(matchesFilters(token({ created_timestamp: null }), filters, { now: NOW })).toBe(false);
+    expect(matchesFilters(token(), filters, { now: NOW })).toBe(true);
+    expect(matchesFilters(token(), withRange('age_hours', 3), { now: NOW })).toBe(false);
+  });
+
+  it('treats bounds as inclusive', () => {
+    expect(matchesFilters(token({ market_cap: 100 }), withRange('market_cap', 100, 100), { now: NOW })).toBe(true);
+  });
+
+  it('never matches an unknown graduation state when one is required', () => {
+    for (const graduated of ['yes', 'no']) {
+      expect(matchesFilters(token({ is_graduated: null }), { graduated }, { now: NOW })).toBe(false);
+      expect(matchesFilters(token({ is_graduated: undefined }), { graduated }, { now: NOW })).toBe(false);
+    }
+    expect(matchesFilters(token({ is_graduated: false }), { graduated: 'no' }, { now: NOW })).toBe(true);
+    expect(matchesFilters(token({ is_graduated: null }), { graduated: 'any' }, { now: NOW })).toBe(true);
+  });
+
+  it('searches symbol, name and description, skipping missing ones', () => {
+    expect(matchesFilters(token({ name: null }), { search: ' orb ' }, { now: NOW })).toBe(true);
+    expect(matchesFilters(token({ symbol: null, name: null, description: 'an orb' }), { search: 'orb' }, { now: NOW })).toBe(true);
+    expect(matchesFilters(token({ symbol: null, name: null }), { search: 'orb' }, { now: NOW })).toBe(false);
+  });
+
+  it('keeps tokens whose signal is not fetched yet, drops unavailable ones', () => {
+    const filters = { signalDirection: 'bullish' };
+    expect(matchesFilters(token(), filters, { now: NOW, signal: undefined })).toBe(true);
+    expect(matchesFilters(token(), filters, { now: NOW, signal: null })).toBe(false);
+    expect(matchesFilters(token(), filters, { now: NOW, signal: { direction: 'strong_bullish', confidence: 0.8 } })).toBe(true);
+    expect(matchesFilters(token(), filters, { now: NOW, signal: { direction: 'bearish', confidence: 0.8 } })).toBe(false);
+  });
+
+  it('counts a missing signal confidence as zero', () => {
+    const filters = { minConfidence: 50 };
+    expect(matchesFilters(token(), filters, { now: NOW, signal: { direction: 'neutral' } })).toBe(false);
+    expect(matchesFilters(token(), filters, { now: NOW, signal: { direction: 'neutral', confidence: 0.5 } })).toBe(true);
+  });
+
+  it('ignores signals when no signal filter is set', () => {
+    expect(matchesFilters(token(), {}, { now: NOW, signal: null })).toBe(true);
+  });
+});
+
+describe('normalizeFilters', () => {
+  it('drops invalid bounds and unknown options', () => {
+    expect(normalizeFilters({
+      graduated: 'maybe',
+      minConfidence: '50',
+      ranges: { market_cap: { min: 'x', max: null }, liquidity: { min: 5 }, bogus: { min: 1 } }
+    })).toEqual({
+      search: '',
+      graduated: 'any',
+      signalDirection: 'any',
+      minConfidence: null,
+      ranges: { liquidity: { min: 5, max: null } }
+    });
+  });
+});
+
+describe('toBackendParams', () => {
+  it('only sends bounds the backend understands', () => {
+    expect(toBackendParams({
+      graduated: 'no',
+      ranges: { market_cap: { min: 1, max: 2 }, holders: { min: 10 } }
+    })).toEqual({ min_market_cap: 1, max_market_cap: 2, is_graduated: false });
+  });
+
+  it('counts active filters', () => {
+    expect(countActiveFilters({ search: ' ', graduated: 'yes', ranges: { holders: { min: 1 } } })).toBe(2);
+  });
+});
@@ -2,7 +2,7 @@
 // Comprehensive notification system for ORB
 // Supports: Local notifications (desktop), Service Worker notifications (mobile), and Web Push (background)
 
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'https://orbonsolana.up.railway.app';
+import { getBackendUrl } from './config';
 
 let serviceWorkerRegistration = null;
 let pushSubscription = null;
@@ -149,6 +149,44 @@ export const showNotification = async (title, body, severity = 'medium') => {
   }
 };
 
+// ============================================
+// ALERT SOUND
+// ============================================
+
+let audioContext = null;
+
+/**
+ * Play a short two-note chime (generated, no audio file needed).
+ * Browsers only allow audio after the user has interacted with the page.
+ */
+export const playAlertTone = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return false;
+
+  try {
+    audioContext = audioContext || new AudioContextClass();
+    const start = audioContext.currentTime;
+
+    [880, 1320].forEach((frequency, i) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const at = start + i * 0.15;
+
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, at);
+      gain.gain.exponentialRampToValueAtTime(0.001, at + 0.14);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(at);
+      oscillator.stop(at + 0.15);
+    });
+    return true;
+  } catch (error) {
+    console.error('[Notifications] Alert tone failed:', error);
+    return false;
+  }
+};
+
 // ============================================
 // WEB PUSH SUBSCRIPTION
 // ============================================
@@ -159,7 +197,7 @@ export const showNotification = async (title, body, severity = 'medium') => {
  */
 const getVapidPublicKey = async () => {
   try {
-    const response = await fetch(`${BACKEND_URL}/push/vapid-public-key`);
+    const response = await fetch(`${getBackendUrl()}/push/vapid-public-key`);
     const data = await response.json();
     
     if (data.success && data.vapid_public_key) {
@@ -236,7 +274,7 @@ export const subscribeToPush = async (tokenAddress = null) => {
     }
 
     // Send subscription to backend
-    const response = await fetch(`${BACKEND_URL}/push/subscribe`, {
+    const response = await fetch(`${getBackendUrl()}/push/subscribe`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -275,7 +313,7 @@ export const unsubscribeFromPush = async () => {
       await subscription.unsubscribe();
       
       // Tell backend to remove subscription
-      await fetch(`${BACKEND_URL}/push/unsubscribe`, {
+      await fetch(`${getBackendUrl()}/push/unsubscribe`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -312,7 +350,7 @@ export const isPushSubscribed = async () => {
  */
 export const testPushNotification = async () => {
   try {
-    const response = await fetch(`${BACKEND_URL}/push/test`, {
+    const response = await fetch(`${getBackendUrl()}/push/test`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' }
     });
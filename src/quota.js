@@ -0,0 +1,69 @@
+// src/quota.js
+// Analysis quota events for ORB
+// api.js reports HTTP 429s here; AccessControl listens and shows the reset countdown
+// AccessControl also publishes the last known status so scans can budget their calls
+
+export const QUOTA_EXCEEDED_EVENT = 'orb:quota-exceeded';
+
+/**
+ * Broadcast that the daily analysis quota is used up.
+ * Detail matches the access status shape: { limit, used, remaining, resets_at }
+ *
+ * @param {RateLimitError} error - The error raised by ./httpClient
+ */
+export const reportQuotaExceeded = (error) => {
+  const detail = {
+    limit: error.limit,
+    used: error.used,
+    remaining: 0,
+    // Backend normally sends resets_at; assume a daily window if it doesn't
+    resets_at: error.resetsAt || Date.now() / 1000 + 86400
+  };
+  window.dispatchEvent(new CustomEvent(QUOTA_EXCEEDED_EVENT, { detail }));
+  return detail;
+};
+
+/**
+ * Subscribe to quota-exceeded events. Returns an unsubscribe function.
+ */
+export const onQuotaExceeded = (handler) => {
+  const listener = (event) => handler(event.detail);
+  window.addEventListener(QUOTA_EXCEEDED_EVENT, listener);
+  return () => window.removeEventListener(QUOTA_EXCEEDED_EVENT, listener);
+};
+
+// ============================================
+// LAST KNOWN STATUS
+// ============================================
+
+export const QUOTA_REFRESH_EVENT = 'orb:quota-refresh';
+
+let lastKnownStatus = null;
+
+/**
+ * Called by AccessControl whenever it has fresh status from the backend
+ */
+export const setQuotaStatus = (status) => {
+  lastKnownStatus = status;
+};
+
+/**
+ * Last status AccessControl got from the backend: { limit, used, remaining, resets_at }
+ * or null when there isn't one. Scans use `remaining` to size their work before starting.
+ */
+export const getQuotaStatus = () => lastKnownStatus;
+
+/**
+ * Ask AccessControl to re-fetch status (e.g. after a scan used up analyses)
+ */
+export const requestQuotaRefresh = () => {
+  window.dispatchEvent(new CustomEvent(QUOTA_REFRESH_EVENT));
+};
+
+/**
+ * Subscribe to refresh requests. Returns an unsubscribe function.
+ */
+export const onQuotaRefresh = (handler) => {
+  window.addEventListener(QUOTA_REFRESH_EVENT, handler);
+  return () => window.removeEventListener(QUOTA_REFRESH_EVENT, handler);
+};
@@ -0,0 +1,443 @@
+// src/reportExport.js
+// Saves what the Terminal shows - JSON snapshot, holder CSV, printable HTML report
+// The JSON snapshot is the canonical format; CSV and HTML are rendered from it,
+// and an imported snapshot drives the Terminal's read-only snapshot mode.
+
+import { normalizeModel } from './coinScore';
+
+export const SNAPSHOT_FORMAT = 'orb-analysis';
+export const SNAPSHOT_VERSION = 1;
+
+// The imported snapshot lives for the browser tab, so a reload stays in snapshot mode
+const IMPORTED_SNAPSHOT_KEY = 'orb_imported_snapshot';
+
+const HOLDER_COLUMNS = [
+  { key: 'address', label: 'Wallet' },
+  { key: 'holdingPercent', label: 'Holding %' },
+  { key: 'holdingAmount', label: 'Amount' },
+  { key: 'iq', label: 'IQ' },
+  { key: 'winRate', label: 'Win Rate %' },
+  { key: 'trades', label: 'Trades' },
+  { key: 'holdScore', label: 'Hold Score' },
+  { key: 'pattern', label: 'Pattern' },
+  { key: 'firstBuyTime', label: 'First Buy' },
+  { key: 'isFallback', label: 'Placeholder Row' }
+];
+
+/**
+ * Everything on screen for one token, plus where it came from.
+ *
+ * @param {object} state - Terminal state
+ * @param {string} state.mode - 'fusion' | 'wallet'
+ * @param {object} state.token - currentToken
+ * @param {{tokenInfo, holders}} state.cacheTimes - cache timestamps, null when fetched fresh
+ */
+export const buildSnapshot = ({
+  mode,
+  token,
+  coinScore,
+  fusedSignal,
+  realtimeMetrics,
+  walletAnalysis,
+  signalHistory,
+  scoringModel,
+  cacheTimes
+}) => ({
+  format: SNAPSHOT_FORMAT,
+  version: SNAPSHOT_VERSION,
+  capturedAt: Date.now(),
+  mode,
+  token,
+  coinScore,
+  fusedSignal: fusedSignal || null,
+  realtimeMetrics: realtimeMetrics || null,
+  walletAnalysis: walletAnalysis || [],
+  signalHistory: signalHistory || [],
+  scoringModel: mode === 'wallet' ? scoringModel : null,
+  sources: {
+    tokenInfo: { cachedAt: cacheTimes?.tokenInfo || null },
+    holders: { cachedAt: cacheTimes?.holders || null },
+    metricsSignal: Boolean(fusedSignal?.metrics_signal),
+    slippageSignal: Boolean(fusedSignal?.slippage_signal),
+    predictions: Boolean(realtimeMetrics?.predictions?.next_phase_probabilities
+      && Object.keys(realtimeMetrics.predictions.next_phase_probabilities).length > 0)
+  }
+});
+
+export const snapshotFilename = (snapshot, extension) => {
+  const stamp = new Date(snapshot.capturedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  return `orb-${snapshot.token?.symbol || 'token'}-${stamp}.${extension}`;
+};
+
+// ============================================
+// IMPORT
+// ============================================
+
+// Token fields rendered as links or images - an imported file must not point them at javascript: etc.
+const TOKEN_URL_FIELDS = ['website', 'twitter', 'image'];
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+const checkUrl = (value, label) => {
+  if (value === null || value === undefined || value === '') return;
+  if (typeof value !== 'string' || !isHttpUrl(value)) throw new Error(`Snapshot ${label} is not an http(s) link`);
+};
+
+// Fields the snapshot page dereferences without a guard (.toUpperCase(), .toFixed(), .map()).
+// `?` marks ones that may be missing. The imported file stays in sessionStorage, so a
+// shape the render can't handle would crash the page on every reload - reject it here.
+const SHAPES = {
+  fusedSignal: {
+    direction: 'string',
+    action_code: 'string',
+    action: 'string?',
+    urgency: 'string',
+    confidence: 'number',
+    risk_level: 'string?',
+    risk_factors: 'array?',
+    metrics_signal: 'object?',
+    slippage_signal: 'object?'
+  },
+  metricsSignal: {
+    direction: 'string',
+    confidence: 'number',
+    volume_trend: 'string',
+    vts: 'number',
+    pii: 'number',
+    vei: 'number?',
+    conviction_multiplier: 'number?',
+    key_factors: 'array?'
+  },
+  slippageSignal: {
+    direction: 'string',
+    confidence: 'number',
+    liquidity_health: 'string',
+    asymmetry_ratio: 'number',
+    key_factors: 'array?'
+  },
+  realtimeMetrics: { predictions: 'object?' },
+  predictions: { next_phase_probabilities: 'object?' },
+  coinScore: { overall: 'number', rating: 'string', components: 'array?', privacyMetrics: 'object?' },
+  holder: { address: 'string' },
+  historyEntry: {
+    timestamp: 'number',
+    confidence: 'number?',
+    vts: 'number?',
+    pii: 'number?',
+    vei: 'number?',
+    asymmetry_ratio: 'number?'
+  }
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number',
+  array: Array.isArray,
+  object: isObject
+};
+
+const TYPE_NAMES = { string: 'a string', number: 'a number', array: 'a list', object: 'an object' };
+
+const checkShape = (value, shape, label) => {
+  if (!isObject(value)) throw new Error(`Snapshot ${label} is not an object`);
+  Object.entries(shape).forEach(([field, spec]) => {
+    const type = spec.replace('?', '');
+    if (spec.endsWith('?') && (value[field] === undefined || value[field] === null)) return;
+    if (!TYPE_CHECKS[type](value[field])) throw new Error(`Snapshot ${label} ${field} is missing or not ${TYPE_NAMES[type]}`);
+  });
+};
+
+const checkList = (value, shape, label) => {
+  if (value === undefined || value === null) return;
+  if (!Array.isArray(value)) throw new Error(`Snapshot ${label} is not a list`);
+  value.forEach(item => checkShape(item, shape, `${label} entry`));
+};
+
+const checkSignalData = (snapshot) => {
+  const { fusedSignal, realtimeMetrics, coinScore } = snapshot;
+
+  if (fusedSignal) {
+    checkShape(fusedSignal, SHAPES.fusedSignal, 'signal');
+    // Shown (upper-cased) whenever there are risk factors
+    if (fusedSignal.risk_factors?.length > 0 && typeof fusedSignal.risk_level !== 'string') {
+      throw new Error('Snapshot signal risk_level is missing or not a string');
+    }
+    if (fusedSignal.metrics_signal) checkShape(fusedSignal.metrics_signal, SHAPES.metricsSignal, 'metrics signal');
+    if (fusedSignal.slippage_signal) checkShape(fusedSignal.slippage_signal, SHAPES.slippageSignal, 'liquidity signal');
+  }
+
+  if (realtimeMetrics) {
+    checkShape(realtimeMetrics, SHAPES.realtimeMetrics, 'metrics');
+    if (realtimeMetrics.predictions) checkShape(realtimeMetrics.predictions, SHAPES.predictions, 'predictions');
+  }
+
+  if (coinScore) {
+    checkShape(coinScore, SHAPES.coinScore, 'Coin IQ');
+    // The wallet-mode breakdown lists the components
+    if (snapshot.mode === 'wallet' && !Array.isArray(coinScore.components)) {
+      throw new Error('Snapshot Coin IQ components is missing or not a list');
+    }
+  }
+
+  checkList(snapshot.walletAnalysis, SHAPES.holder, 'holder');
+  checkList(snapshot.signalHistory, SHAPES.historyEntry, 'signal history');
+};
+
+/**
+ * Parse and check an exported snapshot file
+ * @throws {Error} with a user-facing message when the file isn't a usable snapshot
+ */
+export const parseSnapshot = (text) => {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (snapshot?.format !== SNAPSHOT_FORMAT) throw new Error('Not an ORB analysis snapshot');
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than this app supports`);
+  }
+  if (!snapshot.token?.contractAddress || !snapshot.capturedAt) throw new Error('Snapshot is missing token data');
+
+  TOKEN_URL_FIELDS.forEach(field => checkUrl(snapshot.token[field], `token ${field}`));
+  (Array.isArray(snapshot.token.pairs) ? snapshot.token.pairs : []).forEach(pair => checkUrl(pair?.url, 'market link'));
+
+  const mode = snapshot.mode === 'wallet' ? 'wallet' : 'fusion';
+  checkSignalData({ ...snapshot, mode });
+
+  return {
+    ...snapshot,
+    mode,
+    scoringModel: isObject(snapshot.scoringModel) ? normalizeModel(snapshot.scoringModel) : null,
+    walletAnalysis: snapshot.walletAnalysis || [],
+    signalHistory: snapshot.signalHistory || [],
+    sources: {
+      ...snapshot.sources,
+      tokenInfo: snapshot.sources?.tokenInfo || {},
+      holders: snapshot.sources?.holders || {}
+    }
+  };
+};
+
+export const saveImportedSnapshot = (snapshot) => {
+  try {
+    sessionStorage.setItem(IMPORTED_SNAPSHOT_KEY, JSON.stringify(snapshot));
+  } catch (error) {
+    console.error('[Export] Failed to store imported snapshot:', error);
+    throw new Error('Snapshot is too large to open');
+  }
+};
+
+export const loadImportedSnapshot = () => {
+  try {
+    const saved = sessionStorage.getItem(IMPORTED_SNAPSHOT_KEY);
+    return saved ? parseSnapshot(saved) : null;
+  } catch (error) {
+    console.error('[Export] Failed to read imported snapshot:', error);
+    return null;
+  }
+};
+
+// ============================================
+// CSV
+// ============================================
+
+// Spreadsheets run cells starting with these as formulas - holder fields come
+// from the backend/RPC (and imported snapshots), so they're forced to text.
+// Numbers are left alone so negative values stay numeric.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toHoldersCsv = (holders) => [
+  HOLDER_COLUMNS.map(c => c.label).join(','),
+  ...holders.map(h => HOLDER_COLUMNS.map(c => csvCell(h[c.key])).join(','))
+].join('\n');
+
+// ============================================
+// HTML REPORT
+// ============================================
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+const pct = (value) => (value === null || value === undefined ? '--' : `${(value * 100).toFixed(0)}%`);
+const num = (value, digits = 3) => (typeof value === 'number' ? value.toFixed(digits) : '--');
+
+const table = (rows) => `<table>${rows.map(([label, value]) =>
+  `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`;
+
+const list = (items) => (items?.length ? `<ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>` : '');
+
+const sourceNote = (label, cachedAt) =>
+  `${label}: ${cachedAt ? `cached, fetched ${formatTime(cachedAt)}` : 'fetched fresh'}`;
+
+const REPORT_STYLES = `
+  body { font-family: ui-monospace, Menlo, Consolas, monospace; color: #111; margin: 2rem; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 14px; border-bottom: 1px solid #999; padding-bottom: 4px; margin-top: 24px; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; width: 30%; }
+  .holders th { width: auto; }
+  .muted { color: #666; }
+  .notes { background: #fafafa; border: 1px solid #ddd; padding: 8px; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+`;
+
+/**
+ * Self-contained report (inline styles, no scripts or remote assets) ready to print to PDF
+ */
+export const toHtmlReport = (snapshot) => {
+  const { token, coinScore, fusedSignal: signal, realtimeMetrics, walletAnalysis, sources } = snapshot;
+  const sections = [];
+
+  sections.push(`<h2>Token</h2>${table([
+    ['Symbol', token.symbol],
+    ['Name', token.name],
+    ['Address', token.contractAddress],
+    ['Price (USD)', token.price],
+    ['Market cap (USD)', token.marketcap],
+    ['Liquidity (USD)', token.liquidity],
+    ['Volume 24h (USD)', token.volumeIn24h],
+    ['Markets', token.pairs?.length ?? '--']
+  ])}`);
+
+  if (coinScore && snapshot.mode === 'wallet') {
+    sections.push(`<h2>Coin IQ</h2>${table([
+      ['Score', `${coinScore.overall} (${coinScore.rating})`],
+      ['Smart money', `${coinScore.smartMoney}%`],
+      ['Average win rate', `${coinScore.avgWinRate}%`],
+      ...(coinScore.components || []).map(c => [c.label, `${num(c.input, 1)} x ${c.weight} = ${num(c.contribution, 1)}`])
+    ])}`);
+  }
+
+  if (signal) {
+    sections.push(`<h2>Fused Signal</h2>${table([
+      ['Direction', signal.direction],
+      ['Action', `${signal.action_code} - ${signal.action || ''}`],
+      ['Confidence', pct(signal.confidence)],
+      ['Risk level', signal.risk_level],
+      ['Systems agree', signal.systems_agree ? 'yes' : 'no'],
+      ['Disagreement', signal.disagreement_reason || '--']
+    ])}${signal.risk_factors?.length ? `<p>Risk factors:</p>${list(signal.risk_factors)}` : ''}`);
+
+    const metrics = signal.metrics_signal;
+    sections.push(`<h2>Real-time Metrics Signal</h2>${metrics ? `${table([
+      ['Direction', metrics.direction || '--'],
+      ['Confidence', pct(metrics.confidence)],
+      ['Phase', metrics.phase || '--'],
+      ['VTS', num(metrics.vts)],
+      ['PII', num(metrics.pii)],
+      ['VEI', num(metrics.vei)],
+      ['Conviction multiplier', num(metrics.conviction_multiplier, 2)],
+      ['Volume trend', metrics.volume_trend || '--']
+    ])}${list(metrics.key_factors)}` : '<p class="muted">Not available</p>'}`);
+
+    const slippage = signal.slippage_signal;
+    sections.push(`<h2>Liquidity Structure Signal</h2>${slippage ? `${table([
+      ['Direction', slippage.direction || '--'],
+      ['Confidence', pct(slippage.confidence)],
+      ['State', slippage.state || '--'],
+      ['Asymmetry ratio', num(slippage.asymmetry_ratio, 2)],
+      ['Liquidity health', slippage.liquidity_health ?? '--'],
+      ['Honeypot', slippage.is_honeypot ? 'YES' : 'no'],
+      ['Manipulation detected', slippage.manipulation_detected ? 'YES' : 'no']
+    ])}${list(slippage.key_factors)}` : '<p class="muted">Not available</p>'}`);
+  }
+
+  const predictions = realtimeMetrics?.predictions;
+  if (sources?.predictions && predictions?.next_phase_probabilities) {
+    const phases = Object.entries(predictions.next_phase_probabilities).sort((a, b) => b[1] - a[1]);
+    sections.push(`<h2>Transition Predictions</h2>${table([
+      ['Prediction confidence', pct(predictions.transition_confidence)],
+      ['Historical observations', predictions.transition_observations],
+      ...phases.map(([phase, probability]) => [phase.replace('_', ' '), `${(probability * 100).toFixed(1)}%`])
+    ])}`);
+  }
+
+  if (walletAnalysis.length > 0) {
+    sections.push(`<h2>Holders (${walletAnalysis.length})</h2><table class="holders"><tr>${
+      HOLDER_COLUMNS.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')
+    }</tr>${walletAnalysis.map(h => `<tr>${
+      HOLDER_COLUMNS.map(c => `<td>${escapeHtml(h[c.key])}</td>`).join('')
+    }</tr>`).join('')}</table>`);
+  }
+
+  const notes = [
+    sourceNote('Token info', sources?.tokenInfo?.cachedAt),
+    ...(snapshot.mode === 'wallet' ? [sourceNote('Holder scan', sources?.holders?.cachedAt)] : []),
+    ...(signal ? [
+      `Real-time metrics signal: ${sources?.metricsSignal ? 'available' : 'not available'}`,
+      `Liquidity structure signal: ${sources?.slippageSignal ? 'available' : 'not available'}`,
+      `Transition predictions: ${sources?.predictions ? 'available' : 'not available'}`
+    ] : [])
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>ORB report - ${escapeHtml(token.symbol)} - ${escapeHtml(formatTime(snapshot.capturedAt))}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>ORB Analysis - ${escapeHtml(token.symbol)}</h1>
+<p class="muted">${escapeHtml(snapshot.mode === 'wallet' ? 'Wallet analysis' : 'Fusion analysis')} · captured ${escapeHtml(formatTime(snapshot.capturedAt))}</p>
+<div class="notes"><strong>Data sources</strong>${list(notes)}</div>
+${sections.join('\n')}
+</body>
+</html>`;
+};
+
+// ============================================
+// SAVING
+// ============================================
+
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Opens the report in a new tab and brings up the print dialog (Save as PDF).
+ * Falls back to downloading the .html when popups are blocked.
+ */
+export const printReport = (snapshot) => {
+  const html = toHtmlReport(snapshot);
+  const win = window.open('', '_blank');
+  if (!win) {
+    downloadFile(snapshotFilename(snapshot, 'html'), html, 'text/html');
+    return;
+  }
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+};
@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { parseSnapshot, toHtmlReport, toHoldersCsv, SNAPSHOT_FORMAT, SNAPSHOT_VERSION } from './reportExport';
+
+const snapshotText = (overrides = {}, tokenOverrides = {}) => JSON.stringify({
+  format: SNAPSHOT_FORMAT,
+  version: SNAPSHOT_VERSION,
+  capturedAt: 1700000000000,
+  mode: 'fusion',
+  token: { contractAddress: 'Mint111', symbol: 'ORB', ...tokenOverrides },
+  ...overrides
+});
+
+describe('parseSnapshot', () => {
+  it('accepts http(s) and missing token links', () => {
+    const snapshot = parseSnapshot(snapshotText({}, {
+      website: 'https://orb.example',
+      twitter: 'http://x.com/orb',
+      image: null,
+      pairs: [{ url: 'https://dexscreener.com/solana/pair' }]
+    }));
+    expect(snapshot.token.website).toBe('https://orb.example');
+  });
+
+  it.each(['website', 'twitter', 'image'])('rejects a non-http(s) token %s', (field) => {
+    expect(() => parseSnapshot(snapshotText({}, { [field]: 'javascript:alert(1)' })))
+      .toThrow(`Snapshot token ${field} is not an http(s) link`);
+    expect(() => parseSnapshot(snapshotText({}, { [field]: 'data:text/html,hi' }))).toThrow();
+  });
+
+  it('rejects non-http(s) market links', () => {
+    expect(() => parseSnapshot(snapshotText({}, { pairs: [{ url: 'javascript:alert(1)' }] })))
+      .toThrow('Snapshot market link is not an http(s) link');
+  });
+
+  it('fills in missing sources', () => {
+    expect(parseSnapshot(snapshotText()).sources).toEqual({ tokenInfo: {}, holders: {} });
+    expect(parseSnapshot(snapshotText({ sources: { predictions: true } })).sources)
+      .toEqual({ predictions: true, tokenInfo: {}, holders: {} });
+  });
+});
+
+describe('parseSnapshot shape checks', () => {
+  const fusedSignal = {
+    direction: 'bullish',
+    action_code: 'BUY',
+    action: 'Consider buying',
+    urgency: 'short_term',
+    confidence: 0.72,
+    risk_level: 'medium',
+    risk_factors: ['thin liquidity'],
+    metrics_signal: { direction: 'bullish', confidence: 0.7, volume_trend: 'rising', vts: 1.4, pii: 0.2, vei: null, key_factors: [] },
+    slippage_signal: { direction: 'neutral', confidence: 0.5, liquidity_health: 'healthy', asymmetry_ratio: 1.1 }
+  };
+  const coinScore = { overall: 90, rating: 'SMART', smartMoney: '10.0', avgWinRate: '55.0', components: [] };
+  const full = {
+    fusedSignal,
+    coinScore,
+    realtimeMetrics: { predictions: { next_phase_probabilities: { accumulation: 0.6 }, transition_confidence: 0.5 } },
+    walletAnalysis: [{ address: 'Wallet111', iq: 90 }],
+    signalHistory: [{ timestamp: 1700000000000, direction: 'bullish', confidence: 0.72, vts: null }]
+  };
+
+  it('accepts a well-formed snapshot', () => {
+    expect(() => parseSnapshot(snapshotText(full))).not.toThrow();
+    expect(() => parseSnapshot(snapshotText({ ...full, mode: 'wallet' }))).not.toThrow();
+    expect(() => parseSnapshot(snapshotText({ fusedSignal: null, coinScore: null }))).not.toThrow();
+  });
+
+  it.each(['direction', 'action_code', 'urgency', 'confidence'])('rejects a signal without %s', (field) => {
+    expect(() => parseSnapshot(snapshotText({ ...full, fusedSignal: { ...fusedSignal, [field]: undefined } })))
+      .toThrow(`Snapshot signal ${field} is missing or not a`);
+  });
+
+  it('rejects wrongly typed signal fields', () => {
+    expect(() => parseSnapshot(snapshotText({ ...full, fusedSignal: { ...fusedSignal, direction: 5 } })))
+      .toThrow('Snapshot signal direction is missing or not a string');
+    expect(() => parseSnapshot(snapshotText({ ...full, fusedSignal: { ...fusedSignal, risk_factors: 'many' } })))
+      .toThrow('Snapshot signal risk_factors is missing or not a list');
+    expect(() => parseSnapshot(snapshotText({ ...full, fusedSignal: { ...fusedSignal, risk_level: null } })))
+      .toThrow('Snapshot signal risk_level is missing or not a string');
+    expect(() => parseSnapshot(snapshotText({ ...full, fusedSignal: 'bullish' })))
+      .toThrow('Snapshot signal is not an object');
+  });
+
+  it('checks the metrics and liquidity sub-signals', () => {
+    const signal = (key, value) => ({ ...fusedSignal, [key]: { ...fusedSignal[key], ...value } });
+    expect(() => parseSnapshot(snapshotText({ ...full, fusedSignal: signal('metrics_signal', { vts: '1.4' }) })))
+      .toThrow('Snapshot metrics signal vts is missing or not a number');
+    expect(() => parseSnapshot(snapshotText({ ...full, fusedSignal: signal('slippage_signal', { liquidity_health: null }) })))
+      .toThrow('Snapshot liquidity signal liquidity_health is missing or not a string');
+  });
+
+  it('rejects holders and history that are not lists of rows', () => {
+    expect(() => parseSnapshot(snapshotText({ ...full, walletAnalysis: { Wallet111: {} } })))
+      .toThrow('Snapshot holder is not a list');
+    expect(() => parseSnapshot(snapshotText({ ...full, walletAnalysis: [{ iq: 90 }] })))
+      .toThrow('Snapshot holder entry address is missing or not a string');
+    expect(() => parseSnapshot(snapshotText({ ...full, signalHistory: [{ timestamp: 1, vts: 'high' }] })))
+      .toThrow('Snapshot signal history entry vts is missing or not a number');
+  });
+
+  it('checks predictions and the Coin IQ', () => {
+    expect(() => parseSnapshot(snapshotText({ ...full, realtimeMetrics: { predictions: [] } })))
+      .toThrow('Snapshot metrics predictions is missing or not an object');
+    expect(() => parseSnapshot(snapshotText({ ...full, realtimeMetrics: { predictions: { next_phase_probabilities: 0.6 } } })))
+      .toThrow('Snapshot predictions next_phase_probabilities is missing or not an object');
+    expect(() => parseSnapshot(snapshotText({ ...full, coinScore: { ...coinScore, rating: undefined } })))
+      .toThrow('Snapshot Coin IQ rating is missing or not a string');
+    const withoutComponents = { ...coinScore, components: undefined };
+    expect(() => parseSnapshot(snapshotText({ ...full, coinScore: withoutComponents }))).not.toThrow();
+    expect(() => parseSnapshot(snapshotText({ ...full, mode: 'wallet', coinScore: withoutComponents })))
+      .toThrow('Snapshot Coin IQ components is missing or not a list');
+  });
+
+  it('fills in a partial scoring model', () => {
+    const { scoringModel } = parseSnapshot(snapshotText({ ...full, mode: 'wallet', scoringModel: { preset: 'bogus' } }));
+    expect(scoringModel.thresholds).toBeDefined();
+    expect(parseSnapshot(snapshotText({ ...full, scoringModel: 'classic' })).scoringModel).toBeNull();
+  });
+});
+
+describe('toHtmlReport', () => {
+  it('renders without source info', () => {
+    const base = { ...JSON.parse(snapshotText({ mode: 'wallet' })), walletAnalysis: [] };
+    expect(() => toHtmlReport({ ...base, sources: undefined })).not.toThrow();
+    expect(() => toHtmlReport({ ...base, sources: { predictions: true } })).not.toThrow();
+    expect(toHtmlReport({ ...base, sources: {} })).toContain('Token info: fetched fresh');
+  });
+
+  it('escapes token fields', () => {
+    const html = toHtmlReport({
+      ...JSON.parse(snapshotText({}, { symbol: '<script>' })),
+      walletAnalysis: [],
+      sources: {}
+    });
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+  });
+});
+
+describe('toHoldersCsv', () => {
+  const row = (overrides = {}) => ({ address: 'Wallet111', holdingPercent: '1.50', iq: 90, pattern: 'Sniper', ...overrides });
+  const cells = (csv) => csv.split('\n')[1];
+
+  it.each(['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)'])('neutralizes a formula-like value %s', (pattern) => {
+    const line = cells(toHoldersCsv([row({ pattern })]));
+    expect(line).not.toMatch(/,[=+\-@]/);
+    expect(line).toContain(`'${pattern.slice(0, 2)}`);
+  });
+
+  it('still quotes escaped values that need it', () => {
+    expect(cells(toHoldersCsv([row({ pattern: '=a,b' })]))).toContain(`"'=a,b"`);
+  });
+
+  it('leaves numbers and plain text alone', () => {
+    expect(cells(toHoldersCsv([row({ iq: -5, pattern: 'Diamond Hands' })])))
+      .toBe('Wallet111,1.50,,-5,,,,Diamond Hands,,');
+  });
+});
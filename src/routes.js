@@ -0,0 +1,24 @@
+// src/routes.js
+// Shareable in-app paths (HashRouter), so pages can link to each other without importing App.jsx
+
+/**
+ * Token analysis. Mode is 'fusion' (default) or 'wallet'.
+ */
+export const tokenPath = (address, mode = 'fusion') =>
+  mode === 'wallet' ? `/token/${address}?mode=wallet` : `/token/${address}`;
+
+/**
+ * Wallet profile. `tokenAddress` is the token it was opened from - its analysis runs against that token.
+ */
+export const walletPath = (address, tokenAddress) =>
+  tokenAddress ? `/wallet/${address}?token=${tokenAddress}` : `/wallet/${address}`;
+
+/**
+ * Side-by-side comparison of up to four tokens
+ */
+export const comparePath = (tokenAddresses) => `/compare?tokens=${tokenAddresses.join(',')}`;
+
+/**
+ * Read-only view of an imported analysis snapshot
+ */
+export const SNAPSHOT_PATH = '/snapshot';
@@ -0,0 +1,111 @@
+// src/signalHistory.js
+// Local record of fused signals per token (localStorage)
+// Each fetched signal is appended as a snapshot so a call can later be
+// compared with what price did afterwards.
+
+const STORAGE_PREFIX = 'orb_signal_history:';
+const MAX_SNAPSHOTS = 500; // per token, oldest dropped first
+// Identical snapshots closer together than this are skipped (the dashboard refetches every minute)
+const MIN_UNCHANGED_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Fields kept per snapshot, in display order
+ */
+export const SNAPSHOT_FIELDS = [
+  'direction',
+  'confidence',
+  'action_code',
+  'risk_level',
+  'systems_agree',
+  'vts',
+  'pii',
+  'vei',
+  'asymmetry_ratio'
+];
+
+const storageKey = (tokenAddress) => `${STORAGE_PREFIX}${tokenAddress}`;
+
+/**
+ * Snapshots for a token, oldest first
+ * @returns {Array<{timestamp, direction, confidence, action_code, risk_level,
+ *   systems_agree, vts, pii, vei, asymmetry_ratio}>}
+ */
+export const getSignalHistory = (tokenAddress) => {
+  try {
+    const saved = localStorage.getItem(storageKey(tokenAddress));
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('[SignalHistory] Failed to read history:', error);
+    return [];
+  }
+};
+
+/**
+ * Addresses of every token with recorded history
+ */
+export const listSignalHistoryTokens = () => {
+  const tokens = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(STORAGE_PREFIX)) tokens.push(key.slice(STORAGE_PREFIX.length));
+  }
+  return tokens;
+};
+
+/**
+ * Flatten a fused signal into a snapshot
+ */
+export const toSnapshot = (signal, timestamp = Date.now()) => ({
+  timestamp,
+  direction: signal.direction,
+  confidence: signal.confidence ?? null,
+  action_code: signal.action_code,
+  risk_level: signal.risk_level ?? null,
+  systems_agree: signal.systems_agree ?? null,
+  vts: signal.metrics_signal?.vts ?? null,
+  pii: signal.metrics_signal?.pii ?? null,
+  vei: signal.metrics_signal?.vei ?? null,
+  asymmetry_ratio: signal.slippage_signal?.asymmetry_ratio ?? null
+});
+
+/**
+ * Fields whose values differ between two snapshots
+ */
+export const diffSnapshots = (before, after) =>
+  SNAPSHOT_FIELDS.filter(field => before[field] !== after[field]);
+
+/**
+ * Append a fused signal to a token's history
+ * @returns {Array} The updated history
+ */
+export const recordSignal = (tokenAddress, signal) => {
+  const history = getSignalHistory(tokenAddress);
+  const snapshot = toSnapshot(signal);
+  const last = history[history.length - 1];
+
+  if (last && diffSnapshots(last, snapshot).length === 0
+    && snapshot.timestamp - last.timestamp < MIN_UNCHANGED_INTERVAL_MS) {
+    return history;
+  }
+  history.push(snapshot);
+
+  const trimmed = history.slice(-MAX_SNAPSHOTS);
+  try {
+    localStorage.setItem(storageKey(tokenAddress), JSON.stringify(trimmed));
+  } catch (error) {
+    console.error('[SignalHistory] Failed to save history:', error);
+  }
+  return trimmed;
+};
+
+/**
+ * Snapshots where direction or action_code differs from the one before
+ * (the first snapshot always counts as a change)
+ */
+export const getSignalChanges = (history) =>
+  history.filter((snapshot, i) => {
+    const previous = history[i - 1];
+    return !previous
+      || previous.direction !== snapshot.direction
+      || previous.action_code !== snapshot.action_code;
+  });
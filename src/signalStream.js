@@ -0,0 +1,259 @@
+// src/signalStream.js
+// Real-time signal stream for ORB
+// One shared connection to the backend (WebSocket, falling back to SSE) that pushes
+// fused-signal, metrics and alert updates for subscribed tokens.
+// Consumers keep their existing polling and only pause it while the stream is 'open'.
+//
+// Backend protocol:
+//   WebSocket  {backend}/stream/ws      client sends { action: 'subscribe' | 'unsubscribe', tokens: [...] }
+//   SSE        {backend}/stream/sse?tokens=a,b
+//   Messages   { type: 'fused_signal' | 'metrics' | 'alert', token_address, data }
+//              data has the same shape as GET /signal/fused, GET /metrics/realtime,
+//              and one entry of GET /alerts/get respectively.
+
+import { useState, useEffect, useRef } from 'react';
+import { getBackendUrl, CONFIG_CHANGED_EVENT } from './config';
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const FAILURES_BEFORE_FALLBACK = 3;
+
+const HANDLER_BY_TYPE = {
+  fused_signal: 'onFusedSignal',
+  metrics: 'onMetrics',
+  alert: 'onAlert'
+};
+
+// token address -> Set of handler objects
+const subscriptions = new Map();
+const statusListeners = new Set();
+
+let transport = 'websocket';
+let socket = null;
+let eventSource = null;
+let status = 'idle'; // idle | connecting | open | unavailable
+let failures = 0;
+let reconnectTimer = null;
+
+// ============================================
+// STATUS
+// ============================================
+
+const setStatus = (next) => {
+  if (status === next) return;
+  status = next;
+  statusListeners.forEach(listener => listener(status));
+};
+
+export const getStreamStatus = () => status;
+
+/**
+ * Subscribe to connection status changes. Returns an unsubscribe function.
+ */
+export const onStreamStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+// ============================================
+// CONNECTION
+// ============================================
+
+const subscribedTokens = () => [...subscriptions.keys()];
+
+const dispatch = (raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return; // heartbeats / non-JSON frames
+  }
+
+  const handlerName = HANDLER_BY_TYPE[message.type];
+  const handlers = subscriptions.get(message.token_address);
+  if (!handlerName || !handlers) return;
+
+  handlers.forEach(handler => {
+    try {
+      handler[handlerName]?.(message.token_address, message.data);
+    } catch (error) {
+      console.error('[Stream] Handler error:', error);
+    }
+  });
+};
+
+const send = (action, tokens) => {
+  if (socket?.readyState === WebSocket.OPEN && tokens.length > 0) {
+    socket.send(JSON.stringify({ action, tokens }));
+  }
+};
+
+const closeTransports = () => {
+  if (socket) {
+    socket.onclose = null;
+    socket.close();
+    socket = null;
+  }
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+};
+
+const scheduleReconnect = () => {
+  closeTransports();
+  failures++;
+
+  if (failures >= FAILURES_BEFORE_FALLBACK) {
+    if (transport === 'websocket' && typeof EventSource !== 'undefined') {
+      console.log('[Stream] WebSocket unavailable, trying SSE');
+      transport = 'sse';
+      failures = 0;
+    } else {
+      // Keep retrying slowly in the background; consumers poll meanwhile
+      setStatus('unavailable');
+    }
+  }
+  // Not 'open' any more - consumers resume polling until the reconnect lands
+  if (status !== 'unavailable') setStatus('connecting');
+
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** failures, RECONNECT_MAX_MS);
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(connect, failures === 0 ? 0 : delay);
+};
+
+const connectWebSocket = () => {
+  const url = `${getBackendUrl().replace(/^http/, 'ws')}/stream/ws`;
+  socket = new WebSocket(url);
+
+  socket.onopen = () => {
+    failures = 0;
+    setStatus('open');
+    send('subscribe', subscribedTokens());
+  };
+  socket.onmessage = (event) => dispatch(event.data);
+  socket.onclose = () => scheduleReconnect();
+};
+
+const connectSse = () => {
+  const tokens = subscribedTokens().map(encodeURIComponent).join(',');
+  eventSource = new EventSource(`${getBackendUrl()}/stream/sse?tokens=${tokens}`);
+
+  eventSource.onopen = () => {
+    failures = 0;
+    setStatus('open');
+  };
+  eventSource.onmessage = (event) => dispatch(event.data);
+  eventSource.onerror = () => scheduleReconnect();
+};
+
+function connect() {
+  clearTimeout(reconnectTimer);
+  closeTransports();
+  if (subscriptions.size === 0) return;
+  if (status !== 'unavailable') setStatus('connecting');
+
+  try {
+    if (transport === 'websocket' && typeof WebSocket !== 'undefined') {
+      connectWebSocket();
+    } else {
+      connectSse();
+    }
+  } catch (error) {
+    console.error('[Stream] Connect failed:', error);
+    scheduleReconnect();
+  }
+}
+
+const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  closeTransports();
+  transport = 'websocket';
+  failures = 0;
+  setStatus('idle');
+};
+
+// Backend changed in settings - reconnect to the new one from scratch
+if (typeof window !== 'undefined') {
+  window.addEventListener(CONFIG_CHANGED_EVENT, () => {
+    if (subscriptions.size === 0) return;
+    disconnect();
+    connect();
+  });
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Subscribe to pushed updates for some tokens.
+ *
+ * @param {string[]} tokenAddresses
+ * @param {object} handlers - { onFusedSignal, onMetrics, onAlert }, each (tokenAddress, data)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribe = (tokenAddresses, handlers) => {
+  const added = [];
+  tokenAddresses.forEach(address => {
+    if (!subscriptions.has(address)) {
+      subscriptions.set(address, new Set());
+      added.push(address);
+    }
+    subscriptions.get(address).add(handlers);
+  });
+
+  if (!socket && !eventSource) {
+    connect();
+  } else if (added.length > 0) {
+    // SSE can't change its token list in place - reopen it
+    if (eventSource) connect();
+    else send('subscribe', added);
+  }
+
+  return () => {
+    const removed = [];
+    tokenAddresses.forEach(address => {
+      const handlerSet = subscriptions.get(address);
+      if (!handlerSet) return;
+      handlerSet.delete(handlers);
+      if (handlerSet.size === 0) {
+        subscriptions.delete(address);
+        removed.push(address);
+      }
+    });
+
+    if (subscriptions.size === 0) {
+      disconnect();
+    } else if (removed.length > 0) {
+      if (eventSource) connect();
+      else send('unsubscribe', removed);
+    }
+  };
+};
+
+/**
+ * React hook: subscribe while mounted and return the stream status.
+ * Handlers may change between renders without resubscribing.
+ */
+export const useSignalStream = (tokenAddresses, handlers) => {
+  const [streamStatus, setStreamStatus] = useState(getStreamStatus());
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const tokensKey = tokenAddresses.filter(Boolean).join(',');
+
+  useEffect(() => onStreamStatus(setStreamStatus), []);
+
+  useEffect(() => {
+    if (!tokensKey) return;
+    return subscribe(tokensKey.split(','), {
+      onFusedSignal: (...args) => handlersRef.current.onFusedSignal?.(...args),
+      onMetrics: (...args) => handlersRef.current.onMetrics?.(...args),
+      onAlert: (...args) => handlersRef.current.onAlert?.(...args)
+    });
+  }, [tokensKey]);
+
+  // Status is shared; report 'idle' to components that aren't subscribed to anything
+  return tokensKey ? streamStatus : 'idle';
+};
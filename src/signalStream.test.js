@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'node:http';
+import { WebSocket, WebSocketServer } from 'ws';
+import EventSource from 'eventsource';
+
+const mockConfig = vi.hoisted(() => ({ backendUrl: '' }));
+
+vi.mock('./config', () => ({
+  getBackendUrl: () => mockConfig.backendUrl,
+  CONFIG_CHANGED_EVENT: 'orb:config-changed'
+}));
+
+// Browsers report a failed handshake through onclose; ws also emits 'error',
+// which throws without a listener
+class BrowserLikeWebSocket extends WebSocket {
+  constructor(url) {
+    super(url);
+    this.on('error', () => {});
+  }
+}
+
+/**
+ * Local stream server speaking the backend protocol: WebSocket on /stream/ws,
+ * SSE on /stream/sse?tokens=. `acceptWebSocket: false` refuses the upgrade,
+ * as a backend without WebSocket support would.
+ */
+const startStreamServer = async ({ acceptWebSocket = true } = {}) => {
+  const sockets = new Set();
+  const sseClients = new Set();
+  const subscribeMessages = [];
+
+  const httpServer = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/stream/sse') {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    res.write(':ok\n\n');
+    const client = { res, tokens: (url.searchParams.get('tokens') || '').split(',') };
+    sseClients.add(client);
+    req.on('close', () => sseClients.delete(client));
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  httpServer.on('upgrade', (req, socket, head) => {
+    if (!acceptWebSocket || req.url !== '/stream/ws') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      sockets.add(ws);
+      ws.on('message', (raw) => subscribeMessages.push(JSON.parse(raw.toString())));
+      ws.on('close', () => sockets.delete(ws));
+    });
+  });
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${httpServer.address().port}`,
+    sockets,
+    sseClients,
+    subscribeMessages,
+    push(message) {
+      const frame = JSON.stringify(message);
+      sockets.forEach(ws => ws.send(frame));
+      sseClients.forEach(({ res }) => res.write(`data: ${frame}\n\n`));
+    },
+    // Server-side drop, as when the backend restarts
+    dropConnections() {
+      sockets.forEach(ws => ws.terminate());
+      sseClients.forEach(({ res }) => res.destroy());
+    },
+    close() {
+      this.dropConnections();
+      wss.close();
+      return new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+};
+
+const WAIT = { timeout: 5000, interval: 20 };
+
+let server;
+let stream;
+let unsubscribers;
+
+const subscribe = (tokens, handlers = {}) => {
+  unsubscribers.push(stream.subscribe(tokens, handlers));
+};
+
+const startWith = async (options) => {
+  server = await startStreamServer(options);
+  mockConfig.backendUrl = server.url;
+};
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubGlobal('WebSocket', BrowserLikeWebSocket);
+  vi.stubGlobal('EventSource', EventSource);
+  stream = await import('./signalStream');
+  unsubscribers = [];
+});
+
+afterEach(async () => {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  await server?.close();
+  server = null;
+  vi.unstubAllGlobals();
+});
+
+describe('signalStream', () => {
+  it('subscribes over WebSocket and routes pushed frames to the token handlers', async () => {
+    await startWith();
+    const handlers = { onFusedSignal: vi.fn(), onMetrics: vi.fn(), onAlert: vi.fn() };
+    const other = { onMetrics: vi.fn() };
+    subscribe(['MintA'], handlers);
+    subscribe(['MintB'], other);
+
+    // Both subscribed before the socket opened - sent together on open
+    await vi.waitFor(() => expect(server.subscribeMessages).toEqual([
+      { action: 'subscribe', tokens: ['MintA', 'MintB'] }
+    ]), WAIT);
+    expect(stream.getStreamStatus()).toBe('open');
+
+    server.push({ type: 'fused_signal', token_address: 'MintA', data: { success: true } });
+    server.push({ type: 'metrics', token_address: 'MintA', data: { predictions: {} } });
+    server.push({ type: 'alert', token_address: 'MintA', data: { message: 'hi' } });
+
+    await vi.waitFor(() => expect(handlers.onAlert).toHaveBeenCalledWith('MintA', { message: 'hi' }), WAIT);
+    expect(handlers.onFusedSignal).toHaveBeenCalledWith('MintA', { success: true });
+    expect(handlers.onMetrics).toHaveBeenCalledWith('MintA', { predictions: {} });
+    expect(other.onMetrics).not.toHaveBeenCalled();
+  });
+
+  it('leaves open as soon as the server drops and reconnects', async () => {
+    await startWith();
+    const statuses = [];
+    stream.onStreamStatus(next => statuses.push(next));
+    const handlers = { onFusedSignal: vi.fn() };
+    subscribe(['MintA'], handlers);
+    await vi.waitFor(() => expect(stream.getStreamStatus()).toBe('open'), WAIT);
+
+    server.dropConnections();
+    await vi.waitFor(() => expect(stream.getStreamStatus()).toBe('connecting'), WAIT);
+
+    await vi.waitFor(() => expect(stream.getStreamStatus()).toBe('open'), WAIT);
+    await vi.waitFor(() => expect(server.subscribeMessages).toHaveLength(2), WAIT);
+    expect(statuses).toEqual(['connecting', 'open', 'connecting', 'open']);
+
+    server.push({ type: 'fused_signal', token_address: 'MintA', data: { success: true } });
+    await vi.waitFor(() => expect(handlers.onFusedSignal).toHaveBeenCalledTimes(1), WAIT);
+  });
+
+  it('falls back to SSE when the server refuses WebSocket', async () => {
+    await startWith({ acceptWebSocket: false });
+    const handlers = { onMetrics: vi.fn() };
+    subscribe(['MintA', 'Mint B'], handlers);
+
+    // Three refused handshakes (with backoff), then SSE
+    await vi.waitFor(() => expect(server.sseClients.size).toBe(1), { ...WAIT, timeout: 15000 });
+    await vi.waitFor(() => expect(stream.getStreamStatus()).toBe('open'), WAIT);
+    expect([...server.sseClients][0].tokens).toEqual(['MintA', 'Mint B']);
+
+    server.push({ type: 'metrics', token_address: 'Mint B', data: { predictions: {} } });
+    await vi.waitFor(() => expect(handlers.onMetrics).toHaveBeenCalledWith('Mint B', { predictions: {} }), WAIT);
+  }, 20000);
+
+  it('reopens SSE with the new token list when subscriptions change', async () => {
+    await startWith({ acceptWebSocket: false });
+    subscribe(['MintA'], {});
+    await vi.waitFor(() => expect(server.sseClients.size).toBe(1), { ...WAIT, timeout: 15000 });
+
+    subscribe(['MintB'], {});
+    await vi.waitFor(() => {
+      expect(server.sseClients.size).toBe(1);
+      expect([...server.sseClients][0].tokens).toEqual(['MintA', 'MintB']);
+    }, WAIT);
+  }, 20000);
+
+  it('sends incremental subscribe/unsubscribe on an open socket', async () => {
+    await startWith();
+    subscribe(['MintA'], {});
+    await vi.waitFor(() => expect(server.subscribeMessages).toHaveLength(1), WAIT);
+
+    subscribe(['MintB'], {});
+    unsubscribers.pop()();
+    await vi.waitFor(() => expect(server.subscribeMessages).toEqual([
+      { action: 'subscribe', tokens: ['MintA'] },
+      { action: 'subscribe', tokens: ['MintB'] },
+      { action: 'unsubscribe', tokens: ['MintB'] }
+    ]), WAIT);
+  });
+
+  it('goes idle once the last subscriber leaves', async () => {
+    await startWith();
+    subscribe(['MintA'], {});
+    await vi.waitFor(() => expect(stream.getStreamStatus()).toBe('open'), WAIT);
+
+    unsubscribers.pop()();
+    expect(stream.getStreamStatus()).toBe('idle');
+    await vi.waitFor(() => expect(server.sockets.size).toBe(0), WAIT);
+  });
+});
@@ -0,0 +1,214 @@
+// src/tokenSafety.js
+// Token safety checks from on-chain accounts - mint, Metaplex metadata and the pool's LP mint
+// Pure functions: api.getTokenSafetyData fetches the accounts, this module parses and grades them.
+
+export const TOKEN_2022_PROGRAM = 'spl-token-2022';
+export const METADATA_PROGRAM_ID = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+
+/**
+ * Where the LP mint and the pool's own LP count (u64) sit in pool state, per AMM program.
+ * The pool's count ignores burns, so burned share = 1 - LP mint supply / pool count.
+ * Pools on other programs (bonding curves, concentrated liquidity) have no LP token to burn.
+ */
+export const LP_POOL_LAYOUTS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { label: 'Raydium AMM', lpMintOffset: 464, lpReserveOffset: 720 },
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': { label: 'Raydium CPMM', lpMintOffset: 136, lpReserveOffset: 333 }
+};
+
+const HIGH_TRANSFER_FEE_BPS = 1000; // 10%
+
+export const STATUS_ORDER = ['fail', 'warn', 'unknown', 'pass'];
+
+// ============================================
+// METAPLEX METADATA
+// ============================================
+
+/**
+ * Reads update authority and isMutable from a Metaplex metadata account.
+ * Layout: key u8, update_authority [32], mint [32], name/symbol/uri (u32 length + bytes),
+ * seller_fee_basis_points u16, creators Option<Vec<{address [32], verified u8, share u8}>>,
+ * primary_sale_happened u8, is_mutable u8.
+ *
+ * @param {Uint8Array} data
+ * @param {Function} encodeAddress - 32 bytes -> base58 string
+ * @returns {{updateAuthority, name, symbol, isMutable} | null} null if the data is too short
+ */
+export const parseMetaplexMetadata = (data, encodeAddress) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let offset = 1;
+
+  const readBytes = (length) => {
+    if (offset + length > data.length) throw new RangeError('metadata truncated');
+    const bytes = data.subarray(offset, offset + length);
+    offset += length;
+    return bytes;
+  };
+  const readString = () => {
+    const length = view.getUint32(offset, true);
+    offset += 4;
+    return new TextDecoder().decode(readBytes(length)).replace(/\0+$/, '');
+  };
+
+  try {
+    const updateAuthority = encodeAddress(readBytes(32));
+    readBytes(32); // mint
+    const name = readString();
+    const symbol = readString();
+    readString(); // uri
+    readBytes(2); // seller_fee_basis_points
+    if (readBytes(1)[0] === 1) {
+      const creatorCount = view.getUint32(offset, true);
+      offset += 4;
+      readBytes(creatorCount * 34);
+    }
+    readBytes(1); // primary_sale_happened
+    const isMutable = readBytes(1)[0] === 1;
+    return { updateAuthority, name, symbol, isMutable };
+  } catch {
+    return null;
+  }
+};
+
+// ============================================
+// LP POOL STATE
+// ============================================
+
+/**
+ * LP mint bytes and the pool's LP count from raw pool account data
+ * @returns {{lpMint: Uint8Array, lpReserve: number} | null}
+ */
+export const readLpPoolState = (data, layout) => {
+  if (data.length < layout.lpReserveOffset + 8 || data.length < layout.lpMintOffset + 32) return null;
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  return {
+    lpMint: data.subarray(layout.lpMintOffset, layout.lpMintOffset + 32),
+    lpReserve: Number(view.getBigUint64(layout.lpReserveOffset, true))
+  };
+};
+
+// ============================================
+// CHECKS
+// ============================================
+
+const findExtension = (mint, name) => mint.extensions?.find(e => e.extension === name)?.state;
+
+const check = (id, label, status, detail) => ({ id, label, status, detail });
+
+const shortAddress = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+
+const extensionChecks = (mint) => {
+  if (mint.program !== TOKEN_2022_PROGRAM) {
+    return [check('extensions', 'Token-2022 extensions', 'pass', 'Classic SPL token - no extensions')];
+  }
+
+  const checks = [];
+  const transferFee = findExtension(mint, 'transferFeeConfig');
+  if (transferFee) {
+    const bps = Math.max(
+      transferFee.newerTransferFee?.transferFeeBasisPoints || 0,
+      transferFee.olderTransferFee?.transferFeeBasisPoints || 0
+    );
+    checks.push(check('transfer_fee', 'Transfer fee', bps >= HIGH_TRANSFER_FEE_BPS ? 'fail' : bps > 0 ? 'warn' : 'pass',
+      bps > 0 ? `${(bps / 100).toFixed(2)}% taken on every transfer` : 'Fee extension present but set to 0%'));
+  }
+
+  const permanentDelegate = findExtension(mint, 'permanentDelegate');
+  if (permanentDelegate?.delegate) {
+    checks.push(check('permanent_delegate', 'Permanent delegate', 'fail',
+      `${shortAddress(permanentDelegate.delegate)} can move or burn anyone's tokens`));
+  }
+
+  const transferHook = findExtension(mint, 'transferHook');
+  if (transferHook?.programId) {
+    checks.push(check('transfer_hook', 'Transfer hook', 'warn',
+      `Every transfer calls program ${shortAddress(transferHook.programId)} - it can block sells`));
+  }
+
+  if (mint.extensions?.some(e => e.extension === 'nonTransferable')) {
+    checks.push(check('non_transferable', 'Non-transferable', 'fail', 'Tokens cannot be transferred'));
+  }
+
+  if (findExtension(mint, 'defaultAccountState')?.accountState === 'frozen') {
+    checks.push(check('default_frozen', 'Default account state', 'fail', 'New token accounts start frozen'));
+  }
+
+  const pausable = findExtension(mint, 'pausableConfig');
+  if (pausable?.authority) {
+    checks.push(check('pausable', 'Pausable', 'warn', `${shortAddress(pausable.authority)} can pause all transfers`));
+  }
+
+  const closeAuthority = findExtension(mint, 'mintCloseAuthority');
+  if (closeAuthority?.closeAuthority) {
+    checks.push(check('close_authority', 'Mint close authority', 'warn',
+      `${shortAddress(closeAuthority.closeAuthority)} can close the mint once supply is zero`));
+  }
+
+  if (checks.length === 0) {
+    checks.push(check('extensions', 'Token-2022 extensions', 'pass', 'No risky extensions enabled'));
+  }
+  return checks;
+};
+
+const metadataCheck = (mint, metadata) => {
+  // Token-2022 can keep metadata on the mint itself
+  const embedded = findExtension(mint, 'tokenMetadata');
+  if (embedded) {
+    return embedded.updateAuthority
+      ? check('metadata', 'Metadata', 'warn', `Mutable - ${shortAddress(embedded.updateAuthority)} can change name and image`)
+      : check('metadata', 'Metadata', 'pass', 'Immutable (no update authority)');
+  }
+  if (!metadata) return check('metadata', 'Metadata', 'unknown', 'No Metaplex metadata account found');
+  return metadata.isMutable
+    ? check('metadata', 'Metadata', 'warn', `Mutable - ${shortAddress(metadata.updateAuthority)} can change name and image`)
+    : check('metadata', 'Metadata', 'pass', 'Immutable');
+};
+
+// Burn only: LP held by a locker program isn't recognised, so locked liquidity
+// still shows as not burned - the label and details say so
+const LP_LABEL = 'LP burn';
+
+const lpCheck = (lp) => {
+  if (!lp) return check('lp', LP_LABEL, 'unknown', 'No pool to check');
+  if (!lp.supported) return check('lp', LP_LABEL, 'unknown', `${lp.dexId || 'This pool'} has no burnable LP token`);
+  if (!lp.lpReserve) return check('lp', LP_LABEL, 'unknown', `${lp.label}: pool LP count unavailable`);
+
+  // Raw units on both sides; supply can't exceed what the pool minted
+  const burned = Math.max(0, (1 - lp.supply / lp.lpReserve) * 100);
+  if (burned >= 95) return check('lp', LP_LABEL, 'pass', `${lp.label}: ${burned.toFixed(1)}% of LP burned`);
+  if (burned >= 50) return check('lp', LP_LABEL, 'warn', `${lp.label}: only ${burned.toFixed(1)}% of LP burned (locks not checked)`);
+  return check('lp', LP_LABEL, 'fail', `${lp.label}: ${(100 - burned).toFixed(1)}% of LP not burned - liquidity can be pulled unless it's locked (locks not checked)`);
+};
+
+/**
+ * Grade a token from its on-chain accounts.
+ *
+ * @param {{
+ *   mint: {program, mintAuthority, freezeAuthority, extensions?} | null,
+ *   metadata: {updateAuthority, isMutable} | null,
+ *   lp: {supported, label, dexId, supply, lpReserve} | null - supply and lpReserve in raw LP units
+ * }} data - from api.getTokenSafetyData
+ * @returns {Array<{id, label, status: 'pass'|'warn'|'fail'|'unknown', detail}>} worst first
+ */
+export const buildSafetyChecks = ({ mint, metadata, lp }) => {
+  if (!mint) return [check('mint', 'Mint account', 'unknown', 'Mint account could not be read')];
+
+  const checks = [
+    mint.mintAuthority
+      ? check('mint_authority', 'Mint authority', 'fail', `${shortAddress(mint.mintAuthority)} can mint more supply`)
+      : check('mint_authority', 'Mint authority', 'pass', 'Revoked - supply is fixed'),
+    mint.freezeAuthority
+      ? check('freeze_authority', 'Freeze authority', 'fail', `${shortAddress(mint.freezeAuthority)} can freeze holders' tokens`)
+      : check('freeze_authority', 'Freeze authority', 'pass', 'Revoked'),
+    ...extensionChecks(mint),
+    metadataCheck(mint, metadata),
+    lpCheck(lp)
+  ];
+
+  return checks.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+};
+
+/**
+ * Counts per status, e.g. { pass: 4, warn: 1, fail: 0, unknown: 1 }
+ */
+export const summarizeSafety = (checks) =>
+  Object.fromEntries(STATUS_ORDER.map(status => [status, checks.filter(c => c.status === status).length]));
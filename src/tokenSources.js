@@ -0,0 +1,189 @@
+// src/tokenSources.js
+// Where the Marketplace discovers tokens. Each source is an adapter with the
+// same fetchPage(params, options) -> { tokens, next, hasMore } contract, and
+// every token comes out in one normalized shape (TOKEN_FIELDS). Fields a
+// source doesn't provide are null - nothing is estimated or made up.
+// Several sources can be merged into one feed; the selection is saved in
+// localStorage.
+
+import { fetchMarketplacePage, fetchLatestTokenProfiles, fetchLatestTokenBoosts } from './api';
+
+const STORAGE_KEY = 'orb_marketplace_sources';
+
+/**
+ * The normalized token shape, in display order
+ */
+export const TOKEN_FIELDS = [
+  'mint',
+  'symbol',
+  'name',
+  'image_uri',
+  'description',
+  'market_cap',
+  'liquidity',
+  'volume_24h',
+  'price',
+  'price_change_24h',
+  'holders',
+  'is_graduated',
+  'created_timestamp',
+  'twitter',
+  'telegram',
+  'website'
+];
+
+// A single unpaged list, for sources that return everything at once
+const singlePage = (fetchList) => async (params, options) => ({
+  tokens: await fetchList(options),
+  next: null,
+  hasMore: false
+});
+
+/**
+ * `serverSide` sources sort, filter (screener bounds) and page on their end;
+ * the others return one list that is sorted here. All tokens still go through
+ * the client-side screener check.
+ */
+export const TOKEN_SOURCES = {
+  backend: {
+    label: 'ORB Backend',
+    shortLabel: 'ORB',
+    description: 'Marketplace tokens from the ORB backend',
+    serverSide: true,
+    fetchPage: fetchMarketplacePage
+  },
+  dexscreener_profiles: {
+    label: 'DexScreener Latest',
+    shortLabel: 'DS new',
+    description: 'Tokens that most recently added a DexScreener profile',
+    serverSide: false,
+    fetchPage: singlePage(fetchLatestTokenProfiles)
+  },
+  dexscreener_boosts: {
+    label: 'DexScreener Boosts',
+    shortLabel: 'DS boost',
+    description: 'Tokens most recently boosted on DexScreener',
+    serverSide: false,
+    fetchPage: singlePage(fetchLatestTokenBoosts)
+  }
+};
+
+export const DEFAULT_SOURCES = ['backend'];
+
+// Backend sort_by values -> normalized token field
+const SORT_FIELDS = {
+  created_at: 'created_timestamp',
+  market_cap: 'market_cap',
+  volume_24h: 'volume_24h'
+};
+
+/**
+ * Picks the normalized fields off a source's token, null for anything missing
+ */
+export const normalizeToken = (token, sourceId) => {
+  const normalized = {};
+  for (const field of TOKEN_FIELDS) {
+    const value = token[field];
+    normalized[field] = value === undefined || value === '' ? null : value;
+  }
+  normalized.sources = [sourceId];
+  return normalized;
+};
+
+/**
+ * Merges tokens listed by more than one source. The first source's values
+ * win; the others only fill in nulls.
+ */
+export const mergeTokenLists = (lists) => {
+  const byMint = new Map();
+  for (const tokens of lists) {
+    for (const token of tokens) {
+      const existing = byMint.get(token.mint);
+      if (!existing) {
+        byMint.set(token.mint, { ...token });
+        continue;
+      }
+      for (const field of TOKEN_FIELDS) {
+        if (existing[field] === null) existing[field] = token[field];
+      }
+      existing.sources = [...new Set([...existing.sources, ...token.sources])];
+    }
+  }
+  return [...byMint.values()];
+};
+
+/**
+ * Descending by the backend-style sort key, tokens without the value last
+ */
+export const sortTokens = (tokens, sortBy) => {
+  const field = SORT_FIELDS[sortBy];
+  if (!field) return tokens;
+  return [...tokens].sort((a, b) => {
+    const va = a[field];
+    const vb = b[field];
+    if (va === null || vb === null) return (va === null) - (vb === null);
+    return vb - va;
+  });
+};
+
+/**
+ * Fetches a page from each selected source and merges them. Pass the previous
+ * result's `next` to continue - only sources that still have pages are asked.
+ * A source that fails is reported in `failed` as long as another one worked.
+ *
+ * @returns {Promise<{tokens, next: Object<sourceId, cursor>|null, hasMore, failed: Array<{source, message}>}>}
+ */
+export const fetchFromSources = async (sourceIds, params = {}, next = null, options = {}) => {
+  const ids = (next ? Object.keys(next) : sourceIds).filter(id => id in TOKEN_SOURCES);
+  if (ids.length === 0) return { tokens: [], next: null, hasMore: false, failed: [] };
+
+  const results = await Promise.allSettled(
+    ids.map(id => TOKEN_SOURCES[id].fetchPage({ ...params, ...(next?.[id] || {}) }, options))
+  );
+
+  const failed = [];
+  const lists = [];
+  const nextBySource = {};
+
+  results.forEach((result, i) => {
+    const id = ids[i];
+    if (result.status === 'rejected') {
+      failed.push({ source: id, message: result.reason?.message || String(result.reason) });
+      return;
+    }
+    lists.push(result.value.tokens.map(token => normalizeToken(token, id)));
+    if (result.value.hasMore && result.value.next) nextBySource[id] = result.value.next;
+  });
+
+  if (lists.length === 0) throw results[0].reason;
+
+  const merged = mergeTokenLists(lists);
+  const serverOrdered = ids.length === 1 && TOKEN_SOURCES[ids[0]].serverSide;
+  const hasMore = Object.keys(nextBySource).length > 0;
+
+  return {
+    tokens: serverOrdered ? merged : sortTokens(merged, params.sort_by),
+    next: hasMore ? nextBySource : null,
+    hasMore,
+    failed
+  };
+};
+
+export const loadSelectedSources = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const valid = Array.isArray(saved) ? saved.filter(id => id in TOKEN_SOURCES) : [];
+    return valid.length > 0 ? valid : DEFAULT_SOURCES;
+  } catch (error) {
+    console.error('[TokenSources] Failed to read selected sources:', error);
+    return DEFAULT_SOURCES;
+  }
+};
+
+export const saveSelectedSources = (sourceIds) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sourceIds));
+  } catch (error) {
+    console.error('[TokenSources] Failed to save selected sources:', error);
+  }
+};
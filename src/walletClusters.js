@@ -0,0 +1,238 @@
+// src/walletClusters.js
+// Linked-wallet clustering for a token's top holders
+// Groups holders that share a funding wallet, bought within the same short window,
+// or look alike (same pattern and near-identical position). Bundles that split
+// supply across fresh wallets show up as one cluster.
+//
+// findFundingSource takes any connection-like object with getSignaturesForAddress
+// and getParsedTransaction, so a local stand-in serving fixture transactions can
+// replace the RPC. Everything else here is pure.
+
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+
+const SIGNATURE_PAGE_SIZE = 1000;
+// Wallets with more history than this aren't fresh - their first funding isn't worth digging for
+const MAX_SIGNATURE_PAGES = 3;
+// How many of the oldest transactions to check for the funding transfer
+const FUNDING_CANDIDATES = 3;
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+};
+
+/**
+ * Exchange hot wallets fund thousands of unrelated users, so sharing one isn't a link
+ */
+export const EXCHANGE_FUNDERS = {
+  '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM': 'Binance',
+  '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9': 'Binance',
+  'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS': 'Coinbase'
+};
+
+export const LINK_REASONS = {
+  funding: 'Same funding wallet',
+  timing: 'Bought in the same window',
+  pattern: 'Same pattern and position size'
+};
+
+export const DEFAULT_CLUSTER_OPTIONS = {
+  useFunding: true,
+  useTiming: true,
+  usePattern: true,
+  timingWindowSeconds: 60,
+  positionTolerance: 0.1 // relative difference in holding % for a pattern link
+};
+
+// Patterns that only say the analysis failed
+const UNINFORMATIVE_PATTERNS = new Set(['Unknown', 'ERROR', 'TIMEOUT']);
+
+// ============================================
+// FUNDING SOURCE
+// ============================================
+
+const findSolTransferTo = (tx, walletAddress) => {
+  const instructions = [
+    ...(tx?.transaction?.message?.instructions || []),
+    ...(tx?.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+  ];
+
+  for (const ix of instructions) {
+    if (ix.program !== 'system' || !ix.parsed) continue;
+    const { type, info } = ix.parsed;
+    if (type === 'transfer' && info.destination === walletAddress) {
+      return { funder: info.source, lamports: info.lamports };
+    }
+    if ((type === 'createAccount' || type === 'createAccountWithSeed') && info.newAccount === walletAddress) {
+      return { funder: info.source, lamports: info.lamports };
+    }
+  }
+  return null;
+};
+
+/**
+ * The wallet that first sent SOL to `walletAddress`.
+ * Returns null when the wallet's history is too long to reach its start, or when
+ * none of its oldest transactions is a plain SOL transfer in.
+ * `signal` is checked between RPC calls; an aborted trace throws an AbortError
+ * instead of returning a partial answer.
+ *
+ * @param {{signal?: AbortSignal}} options
+ * @returns {Promise<{funder, signature, blockTime, amount} | null>}
+ */
+export const findFundingSource = async (connection, walletAddress, { signal } = {}) => {
+  const owner = new PublicKey(walletAddress);
+  let before;
+  // Last non-empty page - a history that's an exact multiple of the page size ends on an empty one
+  let oldestPage = [];
+
+  for (let i = 0; i < MAX_SIGNATURE_PAGES; i++) {
+    throwIfAborted(signal);
+    const page = await connection.getSignaturesForAddress(owner, { before, limit: SIGNATURE_PAGE_SIZE });
+    if (page.length > 0) oldestPage = page;
+    if (page.length < SIGNATURE_PAGE_SIZE) break;
+    if (i === MAX_SIGNATURE_PAGES - 1) return null;
+    before = page[page.length - 1].signature;
+  }
+
+  const oldestFirst = oldestPage.slice(-FUNDING_CANDIDATES).reverse();
+  for (const { signature, blockTime } of oldestFirst) {
+    throwIfAborted(signal);
+    const tx = await connection.getParsedTransaction(signature, { maxSupportedTransactionVersion: 0 });
+    throwIfAborted(signal);
+    const transfer = findSolTransferTo(tx, walletAddress);
+    if (transfer) {
+      return {
+        funder: transfer.funder,
+        signature,
+        blockTime: blockTime ?? tx?.blockTime ?? null,
+        amount: transfer.lamports / LAMPORTS_PER_SOL
+      };
+    }
+  }
+  throwIfAborted(signal);
+  return null;
+};
+
+// ============================================
+// CLUSTERING
+// ============================================
+
+/**
+ * firstBuyTime arrives as unix seconds, milliseconds or a date string depending on the backend
+ */
+export const toUnixSeconds = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = typeof value === 'number' ? value : Number(value);
+  if (Number.isFinite(n)) return n > 1e12 ? Math.floor(n / 1000) : n;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+};
+
+const createUnionFind = (size) => {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+  return { find, union };
+};
+
+/**
+ * Group holders into linked clusters.
+ *
+ * @param {Array<{address, holdingPercent, firstBuyTime?, pattern?, isFallback?}>} holders
+ * @param {Object<string, {funder}|null>} fundingByWallet - findFundingSource results by address
+ * @param {object} options - see DEFAULT_CLUSTER_OPTIONS
+ * @returns {{
+ *   clusters: Array<{id, members: string[], supplyShare, reasons: string[], funders: string[]}>,
+ *   links: Array<{source, target, reason}>,
+ *   clusteredShare: number
+ * }} clusters largest share first; singletons are left out
+ */
+export const clusterHolders = (holders, fundingByWallet = {}, options = {}) => {
+  const opts = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+  const rows = (holders || []).map(h => ({
+    address: h.address,
+    share: parseFloat(h.holdingPercent) || 0,
+    firstBuy: toUnixSeconds(h.firstBuyTime),
+    pattern: h.isFallback ? null : h.pattern,
+    funder: fundingByWallet[h.address]?.funder || null
+  }));
+
+  const { find, union } = createUnionFind(rows.length);
+  const links = [];
+  const link = (a, b, reason) => {
+    union(a, b);
+    links.push({ source: rows[a].address, target: rows[b].address, reason });
+  };
+
+  if (opts.useFunding) {
+    // Chain each funder's wallets together (one edge per wallet keeps the graph readable)
+    const firstByFunder = new Map();
+    rows.forEach((row, i) => {
+      if (!row.funder || EXCHANGE_FUNDERS[row.funder]) return;
+      if (firstByFunder.has(row.funder)) link(firstByFunder.get(row.funder), i, 'funding');
+      else firstByFunder.set(row.funder, i);
+    });
+    // A holder that funded another holder directly
+    const indexByAddress = new Map(rows.map((row, i) => [row.address, i]));
+    rows.forEach((row, i) => {
+      if (row.funder && indexByAddress.has(row.funder)) link(indexByAddress.get(row.funder), i, 'funding');
+    });
+  }
+
+  if (opts.useTiming) {
+    const timed = rows
+      .map((row, i) => ({ i, time: row.firstBuy }))
+      .filter(r => r.time !== null)
+      .sort((a, b) => a.time - b.time);
+    // Windows are measured from the first buy of each group, so a steady
+    // trickle of buys can't chain into one cluster
+    let windowStart = timed[0];
+    for (let k = 1; k < timed.length; k++) {
+      if (timed[k].time - windowStart.time <= opts.timingWindowSeconds) link(windowStart.i, timed[k].i, 'timing');
+      else windowStart = timed[k];
+    }
+  }
+
+  if (opts.usePattern) {
+    for (let a = 0; a < rows.length; a++) {
+      for (let b = a + 1; b < rows.length; b++) {
+        const pa = rows[a].pattern;
+        if (!pa || UNINFORMATIVE_PATTERNS.has(pa) || pa !== rows[b].pattern) continue;
+        const larger = Math.max(rows[a].share, rows[b].share);
+        if (larger > 0 && Math.abs(rows[a].share - rows[b].share) / larger <= opts.positionTolerance) {
+          link(a, b, 'pattern');
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  rows.forEach((row, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const clusters = [...groups.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const addresses = new Set(members.map(i => rows[i].address));
+      const clusterLinks = links.filter(l => addresses.has(l.source));
+      // Funders behind a funding link - a funder that paid only one member isn't a shared source
+      const funders = members.map(i => rows[i].funder).filter(f => f && !EXCHANGE_FUNDERS[f]);
+      return {
+        members: members.map(i => rows[i].address),
+        supplyShare: members.reduce((sum, i) => sum + rows[i].share, 0),
+        reasons: [...new Set(clusterLinks.map(l => l.reason))],
+        funders: [...new Set(funders.filter(f => addresses.has(f) || funders.indexOf(f) !== funders.lastIndexOf(f)))]
+      };
+    })
+    .sort((a, b) => b.supplyShare - a.supplyShare)
+    .map((cluster, id) => ({ id, ...cluster }));
+
+  return {
+    clusters,
+    links,
+    clusteredShare: clusters.reduce((sum, c) => sum + c.supplyShare, 0)
+  };
+};
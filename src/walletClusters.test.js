@@ -0,0 +1,211 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Keypair } from '@solana/web3.js';
+import { findFundingSource, clusterHolders, toUnixSeconds } from './walletClusters';
+
+const newAddress = () => Keypair.generate().publicKey.toBase58();
+
+/**
+ * Local stand-in for the RPC: serves signature history (newest first, paged
+ * like getSignaturesForAddress) and parsed transactions from fixtures.
+ */
+class FixtureConnection {
+  constructor({ history = {}, transactions = {} }) {
+    this.history = history;
+    this.transactions = transactions;
+    this.getSignaturesForAddress = vi.fn(this.getSignaturesForAddress.bind(this));
+    this.getParsedTransaction = vi.fn(this.getParsedTransaction.bind(this));
+  }
+
+  async getSignaturesForAddress(publicKey, { before, limit = 1000 } = {}) {
+    const all = this.history[publicKey.toBase58()] || [];
+    const start = before ? all.findIndex(s => s.signature === before) + 1 : 0;
+    return all.slice(start, start + limit);
+  }
+
+  async getParsedTransaction(signature) {
+    return this.transactions[signature] || null;
+  }
+}
+
+// History of `count` signatures, newest first; the oldest one is `oldestSignature`
+const historyOf = (count, oldestSignature) => Array.from({ length: count }, (_, i) => {
+  const isOldest = i === count - 1;
+  return { signature: isOldest ? oldestSignature : `sig-${i}`, blockTime: 2000000 - i };
+});
+
+const transferTx = (source, destination, lamports, { inner = false, type = 'transfer' } = {}) => {
+  const ix = {
+    program: 'system',
+    parsed: type === 'transfer'
+      ? { type, info: { source, destination, lamports } }
+      : { type, info: { source, newAccount: destination, lamports } }
+  };
+  return {
+    blockTime: 1000,
+    transaction: { message: { instructions: inner ? [] : [ix] } },
+    meta: { innerInstructions: inner ? [{ index: 0, instructions: [ix] }] : [] }
+  };
+};
+
+describe('findFundingSource', () => {
+  const wallet = newAddress();
+  const funder = newAddress();
+
+  it('finds the first SOL transfer into a short history', async () => {
+    const connection = new FixtureConnection({
+      history: { [wallet]: historyOf(5, 'funding-sig') },
+      transactions: { 'funding-sig': transferTx(funder, wallet, 1.5e9) }
+    });
+
+    await expect(findFundingSource(connection, wallet)).resolves.toEqual({
+      funder,
+      signature: 'funding-sig',
+      blockTime: 2000000 - 4,
+      amount: 1.5
+    });
+  });
+
+  it('recognizes inner-instruction and createAccount funding', async () => {
+    const connection = new FixtureConnection({
+      history: { [wallet]: historyOf(1, 'funding-sig') },
+      transactions: { 'funding-sig': transferTx(funder, wallet, 1e9, { inner: true, type: 'createAccount' }) }
+    });
+
+    const result = await findFundingSource(connection, wallet);
+    expect(result.funder).toBe(funder);
+  });
+
+  it('keeps the last non-empty page when history is an exact multiple of the page size', async () => {
+    const connection = new FixtureConnection({
+      history: { [wallet]: historyOf(1000, 'funding-sig') },
+      transactions: { 'funding-sig': transferTx(funder, wallet, 2e9) }
+    });
+
+    const result = await findFundingSource(connection, wallet);
+    expect(connection.getSignaturesForAddress).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ funder, signature: 'funding-sig' });
+  });
+
+  it('pages back to the start of a longer history', async () => {
+    const connection = new FixtureConnection({
+      history: { [wallet]: historyOf(1500, 'funding-sig') },
+      transactions: { 'funding-sig': transferTx(funder, wallet, 2e9) }
+    });
+
+    const result = await findFundingSource(connection, wallet);
+    expect(result?.signature).toBe('funding-sig');
+  });
+
+  it('gives up on wallets with too much history', async () => {
+    const connection = new FixtureConnection({
+      history: { [wallet]: historyOf(3500, 'funding-sig') },
+      transactions: { 'funding-sig': transferTx(funder, wallet, 2e9) }
+    });
+
+    await expect(findFundingSource(connection, wallet)).resolves.toBeNull();
+    expect(connection.getParsedTransaction).not.toHaveBeenCalled();
+  });
+
+  it('returns null for an empty history or no transfer in', async () => {
+    const other = newAddress();
+    const connection = new FixtureConnection({
+      history: { [other]: historyOf(2, 'not-funding') },
+      transactions: { 'not-funding': transferTx(other, funder, 1e9) }
+    });
+
+    await expect(findFundingSource(connection, wallet)).resolves.toBeNull();
+    await expect(findFundingSource(connection, other)).resolves.toBeNull();
+  });
+
+  it('stops paging once aborted', async () => {
+    const controller = new AbortController();
+    const connection = new FixtureConnection({
+      history: { [wallet]: historyOf(1500, 'funding-sig') },
+      transactions: { 'funding-sig': transferTx(funder, wallet, 2e9) }
+    });
+    connection.getSignaturesForAddress.mockImplementationOnce(async (...args) => {
+      controller.abort();
+      return FixtureConnection.prototype.getSignaturesForAddress.apply(connection, args);
+    });
+
+    await expect(findFundingSource(connection, wallet, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(connection.getSignaturesForAddress).toHaveBeenCalledTimes(1);
+    expect(connection.getParsedTransaction).not.toHaveBeenCalled();
+  });
+
+  it('drops a result found after the abort', async () => {
+    const controller = new AbortController();
+    const connection = new FixtureConnection({
+      history: { [wallet]: historyOf(1, 'funding-sig') },
+      transactions: { 'funding-sig': transferTx(funder, wallet, 1e9) }
+    });
+    connection.getParsedTransaction.mockImplementationOnce(async (signature) => {
+      controller.abort();
+      return connection.transactions[signature];
+    });
+
+    await expect(findFundingSource(connection, wallet, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('clusterHolders', () => {
+  const holder = (address, overrides = {}) => ({ address, holdingPercent: '1.00', ...overrides });
+
+  it('links wallets with the same non-exchange funder', () => {
+    const [a, b, c, funder] = [newAddress(), newAddress(), newAddress(), newAddress()];
+    const { clusters } = clusterHolders(
+      [holder(a), holder(b), holder(c)],
+      { [a]: { funder }, [b]: { funder }, [c]: { funder: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM' } },
+      { useTiming: false, usePattern: false }
+    );
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].members.sort()).toEqual([a, b].sort());
+    expect(clusters[0].funders).toEqual([funder]);
+  });
+
+  it('measures the timing window from the first buy of each group', () => {
+    const addresses = [newAddress(), newAddress(), newAddress(), newAddress()];
+    // 40s apart: each buy is within 60s of the previous one, but not of the first
+    const holders = addresses.map((address, i) => holder(address, { firstBuyTime: 1000 + i * 40 }));
+    const { clusters, links } = clusterHolders(holders, {}, { useFunding: false, usePattern: false });
+
+    expect(clusters.map(c => c.members.sort())).toEqual([
+      [addresses[0], addresses[1]].sort(),
+      [addresses[2], addresses[3]].sort()
+    ]);
+    expect(links.every(l => l.reason === 'timing')).toBe(true);
+  });
+
+  it('links same-pattern holders with similar positions only', () => {
+    const [a, b, c] = [newAddress(), newAddress(), newAddress()];
+    const { clusters } = clusterHolders([
+      holder(a, { pattern: 'Sniper', holdingPercent: '2.00' }),
+      holder(b, { pattern: 'Sniper', holdingPercent: '1.90' }),
+      holder(c, { pattern: 'Sniper', holdingPercent: '1.00' })
+    ], {}, { useFunding: false, useTiming: false });
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].members.sort()).toEqual([a, b].sort());
+  });
+
+  it('ignores fallback rows for pattern links', () => {
+    const { clusters } = clusterHolders([
+      holder(newAddress(), { pattern: 'Sniper', isFallback: true }),
+      holder(newAddress(), { pattern: 'Sniper', isFallback: true })
+    ], {}, { useFunding: false, useTiming: false });
+    expect(clusters).toEqual([]);
+  });
+});
+
+describe('toUnixSeconds', () => {
+  it('accepts seconds, milliseconds and date strings', () => {
+    expect(toUnixSeconds(1700000000)).toBe(1700000000);
+    expect(toUnixSeconds(1700000000123)).toBe(1700000000);
+    expect(toUnixSeconds('2023-11-14T22:13:20Z')).toBe(1700000000);
+    expect(toUnixSeconds('')).toBeNull();
+    expect(toUnixSeconds('not a date')).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+// src/workQueue.js
+// Bounded-concurrency work queue for ORB
+// Used by the Terminal holder scan to analyze several wallets at once without flooding the backend
+
+/**
+ * Raised (and passed to onTaskError) when a single task exceeds taskTimeout
+ */
+export class TaskTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Task timed out after ${timeout}ms`);
+    this.name = 'TaskTimeoutError';
+  }
+}
+
+const abortError = () => new DOMException('Aborted', 'AbortError');
+
+/**
+ * Run worker over items with at most `concurrency` tasks in flight.
+ *
+ * Each task gets its own AbortSignal, aborted when the caller's signal fires
+ * or the task runs past taskTimeout. A task error stops the queue (no new tasks
+ * start, in-flight ones finish) unless onTaskError returns a replacement result.
+ *
+ * @param {Array} items - Work items, started in order
+ * @param {Function} worker - async (item, { signal, index }) => result
+ * @param {object} options
+ * @param {number} options.concurrency - Pool size (default 4)
+ * @param {number} options.taskTimeout - Per-task timeout in ms (0 = none)
+ * @param {AbortSignal} options.signal - Stops the queue and aborts in-flight tasks
+ * @param {Function} options.onResult - (result, item, index) called as each task finishes
+ * @param {Function} options.onTaskError - (error, item, index) => result; throw to stop the queue
+ * @returns {Promise<Array>} Results in input order
+ */
+export const runQueue = async (items, worker, {
+  concurrency = 4,
+  taskTimeout = 0,
+  signal,
+  onResult,
+  onTaskError
+} = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let fatalError = null;
+
+  const runTask = async (item, index) => {
+    const controller = new AbortController();
+    const onParentAbort = () => controller.abort();
+    signal?.addEventListener('abort', onParentAbort, { once: true });
+
+    let timer;
+    const timeout = taskTimeout > 0
+      ? new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new TaskTimeoutError(taskTimeout));
+        }, taskTimeout);
+      })
+      : null;
+
+    try {
+      const task = worker(item, { signal: controller.signal, index });
+      return await (timeout ? Promise.race([task, timeout]) : task);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onParentAbort);
+    }
+  };
+
+  const lane = async () => {
+    while (!fatalError && nextIndex < items.length) {
+      if (signal?.aborted) return;
+
+      const index = nextIndex++;
+      const item = items[index];
+      let result;
+
+      try {
+        result = await runTask(item, index);
+      } catch (error) {
+        if (signal?.aborted) return;
+        if (!onTaskError) {
+          fatalError = fatalError || error;
+          return;
+        }
+        try {
+          result = onTaskError(error, item, index);
+        } catch (handlerError) {
+          fatalError = fatalError || handlerError;
+          return;
+        }
+      }
+
+      results[index] = result;
+      onResult?.(result, item, index);
+    }
+  };
+
+  const laneCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: laneCount }, lane));
+
+  if (signal?.aborted) throw abortError();
+  if (fatalError) throw fatalError;
+  return results;
+};
@@ -1,5 +1,28 @@
 export default {
   content: ["./index.html", "./src/**/*.{js,ts,jsx,tsx}"],
-  theme: { extend: {} },
+  theme: {
+    extend: {
+      // Marketplace live feed: new cards slide in, changed values flash once
+      keyframes: {
+        'feed-in': {
+          '0%': { opacity: '0', transform: 'translateY(-12px) scale(0.97)' },
+          '100%': { opacity: '1', transform: 'translateY(0) scale(1)' }
+        },
+        'flash-up': {
+          '0%, 40%': { backgroundColor: 'rgba(74, 222, 128, 0.35)' },
+          '100%': { backgroundColor: 'transparent' }
+        },
+        'flash-down': {
+          '0%, 40%': { backgroundColor: 'rgba(248, 113, 113, 0.35)' },
+          '100%': { backgroundColor: 'transparent' }
+        }
+      },
+      animation: {
+        'feed-in': 'feed-in 0.5s ease-out',
+        'flash-up': 'flash-up 1.5s ease-out',
+        'flash-down': 'flash-down 1.5s ease-out'
+      }
+    }
+  },
   plugins: [],
 }
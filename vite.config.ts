@@ -5,7 +5,8 @@ import { nodePolyfills } from 'vite-plugin-node-polyfills'
 export default defineConfig({
   plugins: [
     react(),
-    nodePolyfills({
+    // Browser polyfills for Node built-ins - tests run on Node and use the real ones
+    !process.env.VITEST && nodePolyfills({
       // 1. This handles the "Buffer is not defined" error
       // 2. This handles the "global is not defined" error
       globals: {